@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Schema migration CLI
+//
+//   node bin/migrate.js up              apply all pending migrations
+//   node bin/migrate.js down [steps]    roll back the last migration(s)
+//   node bin/migrate.js status          list applied and pending migrations
+//   node bin/migrate.js create <name>   add an empty migration file
+
+const { pool } = require('../lib/db');
+const migrations = require('../lib/migrations');
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    switch (command) {
+        case 'up': {
+            const applied = await migrations.migrateUp();
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s)`
+                : '✅ Database is up to date');
+            break;
+        }
+        case 'down': {
+            const steps = arg === undefined ? 1 : parseInt(arg, 10);
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('steps must be a positive number');
+            }
+            const reverted = await migrations.migrateDown({ steps });
+            console.log(`✅ Rolled back ${reverted.length} migration(s)`);
+            break;
+        }
+        case 'status': {
+            const { applied, pending, unknown } = await migrations.status();
+            applied.forEach(id => console.log(`  applied  ${id}`));
+            pending.forEach(id => console.log(`  pending  ${id}`));
+            unknown.forEach(id => console.log(`  unknown  ${id} (no file)`));
+            break;
+        }
+        case 'create': {
+            console.log(`✅ Created ${migrations.createMigration(arg)}`);
+            return;
+        }
+        default:
+            throw new Error(`Unknown command "${command}". Use up, down, status or create.`);
+    }
+}
+
+main()
+    .catch((error) => {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
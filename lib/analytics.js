@@ -0,0 +1,236 @@
+const { pool } = require('./db');
+const { PAID_STATUSES } = require('./orders');
+const { ValidationError, fieldError } = require('./validation');
+
+const DEFAULT_TIMEZONE = process.env.TIMEZONE || 'Africa/Nairobi';
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD || '10', 10);
+const INTERVALS = ['day', 'week', 'month'];
+
+// Timestamps are stored as UTC without a zone; this expression gives the
+// local wall-clock time in the requested timezone ($1 in every query below)
+const LOCAL_TIME = "((created_at AT TIME ZONE 'UTC') AT TIME ZONE $1)";
+
+// One customer per phone number (last nine digits), falling back to email
+const CUSTOMER_KEY = "COALESCE(NULLIF(RIGHT(regexp_replace(phone, '\\D', '', 'g'), 9), ''), LOWER(email))";
+
+class AnalyticsError extends ValidationError {
+    constructor(message, field) {
+        super([fieldError(field, 'invalid_query', message)], message);
+        this.name = 'AnalyticsError';
+    }
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Today's date (YYYY-MM-DD) in a timezone
+function localDate(timezone, date = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+// Validate ?from=YYYY-MM-DD&to=YYYY-MM-DD&timezone=&interval=; defaults to the last 30 days
+function parseRange(query) {
+    const timezone = query.timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timezone)) {
+        throw new AnalyticsError('Invalid timezone', 'timezone');
+    }
+
+    const interval = query.interval || 'day';
+    if (!INTERVALS.includes(interval)) {
+        throw new AnalyticsError(`interval must be one of: ${INTERVALS.join(', ')}`, 'interval');
+    }
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const to = query.to || localDate(timezone);
+    const from = query.from || localDate(timezone, new Date(new Date(`${to}T00:00:00Z`).getTime() - 29 * 24 * 60 * 60 * 1000));
+
+    for (const [field, value] of [['from', from], ['to', to]]) {
+        // Round-trip so impossible dates like 2024-02-30 are rejected
+        if (!datePattern.test(value) || isNaN(new Date(value).getTime()) ||
+            new Date(value).toISOString().slice(0, 10) !== value) {
+            throw new AnalyticsError(`${field} must be a date in YYYY-MM-DD format`, field);
+        }
+    }
+    if (from > to) {
+        throw new AnalyticsError('from must not be after to', 'from');
+    }
+
+    return { from, to, timezone, interval };
+}
+
+function rangeWhere() {
+    return `${LOCAL_TIME} >= $2::date AND ${LOCAL_TIME} < $3::date + 1`;
+}
+
+async function revenueSeries({ from, to, timezone, interval }, db) {
+    const result = await db.query(
+        `SELECT to_char(date_trunc('${interval}', ${LOCAL_TIME}), 'YYYY-MM-DD') AS period,
+                COUNT(*) AS orders,
+                COUNT(*) FILTER (WHERE status = ANY($4::varchar[])) AS paid_orders,
+                COALESCE(SUM(total - refunded_amount) FILTER (WHERE status = ANY($4::varchar[])), 0) AS revenue
+         FROM orders
+         WHERE ${rangeWhere()}
+         GROUP BY 1
+         ORDER BY 1`,
+        [timezone, from, to, PAID_STATUSES]
+    );
+    return result.rows.map(row => ({
+        period: row.period,
+        orders: parseInt(row.orders),
+        paidOrders: parseInt(row.paid_orders),
+        revenue: parseFloat(row.revenue)
+    }));
+}
+
+async function summary({ from, to, timezone }, db) {
+    const result = await db.query(
+        `WITH ranged AS (
+             SELECT * FROM orders WHERE ${rangeWhere()}
+         ), paid AS (
+             SELECT ${CUSTOMER_KEY} AS customer, total - refunded_amount AS total FROM ranged WHERE status = ANY($4::varchar[])
+         ), per_customer AS (
+             SELECT customer, COUNT(*) AS orders FROM paid GROUP BY customer
+         )
+         SELECT
+             (SELECT COUNT(*) FROM ranged) AS total_orders,
+             (SELECT COUNT(*) FROM ranged WHERE status = 'cancelled') AS cancelled_orders,
+             (SELECT COUNT(*) FROM paid) AS paid_orders,
+             (SELECT COALESCE(SUM(total), 0) FROM paid) AS revenue,
+             (SELECT COUNT(DISTINCT ${CUSTOMER_KEY}) FROM ranged) AS unique_customers,
+             (SELECT COUNT(*) FROM per_customer) AS paying_customers,
+             (SELECT COUNT(*) FROM per_customer WHERE orders > 1) AS repeat_customers`,
+        [timezone, from, to, PAID_STATUSES]
+    );
+    const row = result.rows[0];
+
+    const totalOrders = parseInt(row.total_orders);
+    const paidOrders = parseInt(row.paid_orders);
+    const payingCustomers = parseInt(row.paying_customers);
+    const revenue = parseFloat(row.revenue);
+    const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+    return {
+        totalOrders,
+        paidOrders,
+        revenue,
+        averageOrderValue: paidOrders > 0 ? Math.round((revenue / paidOrders) * 100) / 100 : 0,
+        uniqueCustomers: parseInt(row.unique_customers),
+        payingCustomers,
+        repeatCustomers: parseInt(row.repeat_customers),
+        repeatCustomerRate: ratio(parseInt(row.repeat_customers), payingCustomers),
+        cancelledOrders: parseInt(row.cancelled_orders),
+        cancellationRate: ratio(parseInt(row.cancelled_orders), totalOrders)
+    };
+}
+
+// Top products per product type by units sold, from the priced item snapshots
+async function bestSellers({ from, to, timezone }, db, limitPerType = 5) {
+    const result = await db.query(
+        `SELECT type, product_id, title, units, revenue FROM (
+             SELECT item->>'type' AS type,
+                    item->>'productId' AS product_id,
+                    MAX(item->>'title') AS title,
+                    SUM((item->>'quantity')::int) AS units,
+                    SUM((item->>'lineTotal')::numeric) AS revenue,
+                    ROW_NUMBER() OVER (
+                        PARTITION BY item->>'type'
+                        ORDER BY SUM((item->>'quantity')::int) DESC
+                    ) AS rank
+             FROM orders, jsonb_array_elements(items) AS item
+             WHERE ${rangeWhere()} AND status = ANY($4::varchar[])
+             GROUP BY item->>'type', item->>'productId'
+         ) ranked
+         WHERE rank <= $5
+         ORDER BY type, units DESC`,
+        [timezone, from, to, PAID_STATUSES, limitPerType]
+    );
+
+    const byType = {};
+    for (const row of result.rows) {
+        const type = row.type || 'unknown';
+        byType[type] = byType[type] || [];
+        byType[type].push({
+            productId: row.product_id,
+            title: row.title,
+            unitsSold: parseInt(row.units),
+            revenue: parseFloat(row.revenue)
+        });
+    }
+    return byType;
+}
+
+// Products running low, counted per variant for products sold by variant
+async function lowStock(db, threshold = LOW_STOCK_THRESHOLD) {
+    const result = await db.query(
+        `SELECT p.id, NULL AS variant_id, p.title, p.type, p.quantity, p.available
+         FROM products p
+         WHERE p.quantity <= $1
+           AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+         UNION ALL
+         SELECT p.id, v.id, p.title || ' (' || v.name || ')', p.type, v.quantity, p.available AND v.available
+         FROM product_variants v
+         JOIN products p ON p.id = v.product_id
+         WHERE v.quantity <= $1
+         ORDER BY quantity ASC, title ASC`,
+        [threshold]
+    );
+    return result.rows;
+}
+
+async function report(range, db = pool) {
+    const [totals, series, sellers, stock] = await Promise.all([
+        summary(range, db),
+        revenueSeries(range, db),
+        bestSellers(range, db),
+        lowStock(db)
+    ]);
+
+    return {
+        range,
+        summary: totals,
+        series,
+        bestSellersByType: sellers,
+        lowStock: {
+            threshold: LOW_STOCK_THRESHOLD,
+            products: stock
+        }
+    };
+}
+
+// Today's revenue and all-time unique customers for the dashboard cards
+async function dashboardFigures(db = pool, timezone = DEFAULT_TIMEZONE) {
+    const today = localDate(timezone);
+    const [todayRevenue, customers] = await Promise.all([
+        db.query(
+            `SELECT COALESCE(SUM(total - refunded_amount), 0) AS revenue FROM orders
+             WHERE ${rangeWhere()} AND status = ANY($4::varchar[])`,
+            [timezone, today, today, PAID_STATUSES]
+        ),
+        db.query(`SELECT COUNT(DISTINCT ${CUSTOMER_KEY}) AS count FROM orders`)
+    ]);
+
+    return {
+        todayRevenue: parseFloat(todayRevenue.rows[0].revenue),
+        totalCustomers: parseInt(customers.rows[0].count)
+    };
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    localDate,
+    AnalyticsError,
+    parseRange,
+    report,
+    dashboardFigures
+};
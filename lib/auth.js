@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+
+const ROLES = ['owner', 'staff', 'read_only'];
+
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS || '7', 10);
+const BCRYPT_ROUNDS = 10;
+
+// Admins, customers and riders get separate token types and refresh-token
+// tables, so a token for one is never accepted on another's routes
+const SESSIONS = {
+    admin: { access: 'access', refresh: 'refresh', table: 'admin_refresh_tokens', owner: 'user_id', accounts: 'admin_users' },
+    customer: { access: 'customer_access', refresh: 'customer_refresh', table: 'customer_refresh_tokens', owner: 'customer_id', accounts: 'customers' },
+    rider: { access: 'rider_access', refresh: 'rider_refresh', table: 'rider_refresh_tokens', owner: 'rider_id', accounts: 'riders' }
+};
+
+// Every instance must sign with the same secret, so production will not
+// start without one
+if (!process.env.JWT_SECRET) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+    console.warn('⚠️  JWT_SECRET is not set, using a random secret. Tokens will not survive a restart.');
+}
+
+async function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+async function verifyPassword(password, hash) {
+    return bcrypt.compare(password, hash);
+}
+
+// Strip the password hash before sending a user back to a client
+function publicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        active: user.active,
+        lastLoginAt: user.last_login_at,
+        createdAt: user.created_at
+    };
+}
+
+function signAccessToken(claims, session) {
+    return jwt.sign(
+        { ...claims, type: session.access },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+// Refresh tokens are JWTs too, but each carries a jti that must still be
+// present (and not revoked) in the session's refresh-token table to be accepted.
+async function issueRefreshToken(ownerId, db, session) {
+    const jti = uuidv4();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await db.query(
+        `INSERT INTO ${session.table} (id, ${session.owner}, expires_at)
+         VALUES ($1, $2, $3)`,
+        [jti, ownerId, expiresAt]
+    );
+
+    return jwt.sign(
+        { sub: ownerId, type: session.refresh },
+        JWT_SECRET,
+        { expiresIn: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60, jwtid: jti }
+    );
+}
+
+async function issueTokens(user, db = pool) {
+    return {
+        accessToken: signAccessToken({ sub: user.id, role: user.role }, SESSIONS.admin),
+        refreshToken: await issueRefreshToken(user.id, db, SESSIONS.admin),
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+async function issueAccountTokens(account, session, db = pool) {
+    return {
+        accessToken: signAccessToken({ sub: account.id }, session),
+        refreshToken: await issueRefreshToken(account.id, db, session),
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+async function issueCustomerTokens(customer, db = pool) {
+    return issueAccountTokens(customer, SESSIONS.customer, db);
+}
+
+async function issueRiderTokens(rider, db = pool) {
+    return issueAccountTokens(rider, SESSIONS.rider, db);
+}
+
+function verifyToken(token, type) {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.type !== type) {
+        throw new jwt.JsonWebTokenError('Wrong token type');
+    }
+    return payload;
+}
+
+async function revokeRefreshToken(jti, db = pool, session = SESSIONS.admin) {
+    await db.query(
+        `UPDATE ${session.table} SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND revoked_at IS NULL`,
+        [jti]
+    );
+}
+
+async function revokeCustomerRefreshToken(jti, db = pool) {
+    await revokeRefreshToken(jti, db, SESSIONS.customer);
+}
+
+// Revoke every live refresh token of an account, e.g. after a password change
+async function revokeAllRefreshTokens(ownerId, session, db = pool) {
+    await db.query(
+        `UPDATE ${session.table} SET revoked_at = CURRENT_TIMESTAMP
+         WHERE ${session.owner} = $1 AND revoked_at IS NULL`,
+        [ownerId]
+    );
+}
+
+// Check an admin, customer or rider refresh token and revoke it so it cannot be used
+// again. Returns the account row, or null when the token is invalid, expired,
+// revoked or the account is disabled.
+async function rotateRefreshToken(refreshToken, session) {
+    let payload;
+    try {
+        payload = verifyToken(refreshToken, session.refresh);
+    } catch (error) {
+        return null;
+    }
+
+    // Revoked in the same statement that checks it, so two requests racing
+    // with one refresh token cannot both get a new pair
+    const result = await pool.query(
+        `UPDATE ${session.table} t
+         SET revoked_at = CURRENT_TIMESTAMP
+         FROM ${session.accounts} a
+         WHERE t.id = $1 AND t.${session.owner} = $2 AND t.revoked_at IS NULL
+           AND t.expires_at > CURRENT_TIMESTAMP
+           AND a.id = t.${session.owner} AND a.active = true
+         RETURNING a.*`,
+        [payload.jti, payload.sub]
+    );
+    return result.rows[0] || null;
+}
+
+// Create the first owner account from ADMIN_EMAIL / ADMIN_PASSWORD when the
+// admin_users table is empty, so a fresh deployment can log in at all.
+async function ensureBootstrapOwner() {
+    const check = await pool.query('SELECT COUNT(*) FROM admin_users');
+    if (parseInt(check.rows[0].count) > 0) {
+        return;
+    }
+
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) {
+        console.warn('⚠️  No admin users exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first owner.');
+        return;
+    }
+
+    await pool.query(
+        `INSERT INTO admin_users (id, email, name, password_hash, role)
+         VALUES ($1, $2, $3, $4, 'owner')`,
+        [uuidv4(), email.toLowerCase(), process.env.ADMIN_NAME || 'Owner', await hashPassword(password)]
+    );
+    console.log(`✅ Owner account created for ${email}`);
+}
+
+// Middleware: require a valid access token and attach the admin user to req.admin
+async function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    }
+
+    let payload;
+    try {
+        payload = verifyToken(token, SESSIONS.admin.access);
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT * FROM admin_users WHERE id = $1 AND active = true',
+            [payload.sub]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(401).json({
+                success: false,
+                error: 'Account not found or disabled'
+            });
+        }
+
+        req.admin = result.rows[0];
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to authenticate request'
+        });
+    }
+}
+
+// Middleware factory: authenticate, then allow only the listed roles
+function requireRole(...roles) {
+    return [
+        requireAuth,
+        (req, res, next) => {
+            if (!roles.includes(req.admin.role)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Insufficient permissions'
+                });
+            }
+            next();
+        }
+    ];
+}
+
+// Bearer token from the Authorization header, or null
+function bearerToken(req) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+// EventSource cannot send headers, so event streams also take the access
+// token as ?accessToken=. Mount only on those routes, as URLs end up in logs.
+function acceptQueryToken(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.accessToken === 'string') {
+        req.headers.authorization = `Bearer ${req.query.accessToken}`;
+    }
+    next();
+}
+
+async function loadAccount(token, session) {
+    const payload = verifyToken(token, session.access);
+    const result = await pool.query(
+        `SELECT * FROM ${session.accounts} WHERE id = $1 AND active = true`,
+        [payload.sub]
+    );
+    return result.rows[0] || null;
+}
+
+// Middleware factory: require an access token of the session type and attach
+// the account to req[property]
+function requireAccount(session, property) {
+    return async (req, res, next) => {
+        const token = bearerToken(req);
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        try {
+            req[property] = await loadAccount(token, session);
+        } catch (error) {
+            if (error instanceof jwt.JsonWebTokenError) {
+                return res.status(401).json({
+                    success: false,
+                    error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
+                });
+            }
+            console.error(`Error authenticating ${property}:`, error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to authenticate request'
+            });
+        }
+
+        if (!req[property]) {
+            return res.status(401).json({
+                success: false,
+                error: 'Account not found or disabled'
+            });
+        }
+        next();
+    };
+}
+
+// Middleware: require a customer access token and attach the account to req.customer
+const requireCustomer = requireAccount(SESSIONS.customer, 'customer');
+
+// Middleware: require a rider access token and attach the rider to req.rider
+const requireRider = requireAccount(SESSIONS.rider, 'rider');
+
+// Middleware: attach req.customer when a valid customer token is sent, and
+// carry on as a guest otherwise (checkout works with or without an account)
+async function optionalCustomer(req, res, next) {
+    const token = bearerToken(req);
+    if (!token) {
+        return next();
+    }
+    return requireCustomer(req, res, next);
+}
+
+module.exports = {
+    ROLES,
+    SESSIONS,
+    hashPassword,
+    verifyPassword,
+    publicUser,
+    issueTokens,
+    issueCustomerTokens,
+    issueRiderTokens,
+    verifyToken,
+    revokeRefreshToken,
+    revokeCustomerRefreshToken,
+    revokeAllRefreshTokens,
+    rotateRefreshToken,
+    ensureBootstrapOwner,
+    requireAuth,
+    requireRole,
+    acceptQueryToken,
+    requireCustomer,
+    optionalCustomer,
+    requireRider
+};
@@ -0,0 +1,296 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('./db');
+const inventory = require('./inventory');
+const { DEFAULT_TIMEZONE, localDate } = require('./analytics');
+
+// Stock intake. Every delivery of birds or egg trays is received as a batch
+// with its supplier, farm, slaughter or lay date and expiry. The shelf stock
+// of a product (or variant) is the units left in its active batches: a batch
+// that expires or is recalled comes off the shelf with whatever it still
+// holds. Sales take from the first-expiring batch first (see inventory.js),
+// and stock_allocations records which batches every order got, for recalls.
+//
+// Pre-order lines take from preorder_stock rather than the shelf, so they
+// are not traced to a batch.
+
+// "Expiring soon" report window
+const EXPIRING_SOON_DAYS = parseInt(process.env.EXPIRING_SOON_DAYS || '3', 10);
+
+// Expiry dates are calendar days in the shop's timezone
+const TIMEZONE = DEFAULT_TIMEZONE;
+
+class BatchError extends Error {
+    constructor(message, status = 409, code = 'BATCH_NOT_ALLOWED') {
+        super(message);
+        this.name = 'BatchError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Lock the product behind a batch before the batch itself, the order
+// checkouts lock them in
+async function lockProduct(client, productId) {
+    const result = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [productId]);
+    return result.rows[0] || null;
+}
+
+// Bring the shelf stock behind a batch back in line with its active batches
+async function syncShelf(client, productId, variantId) {
+    const updated = await inventory.syncShelfStock(client, productId, variantId);
+    if (!updated) {
+        throw new BatchError('The shelf stock for this batch could not be updated', 409, 'SHELF_NOT_UPDATED');
+    }
+    return updated;
+}
+
+async function lockBatch(client, batchId) {
+    const found = await client.query('SELECT product_id FROM stock_batches WHERE id = $1', [batchId]);
+    if (found.rows.length === 0) {
+        throw new BatchError('Stock batch not found', 404, 'BATCH_NOT_FOUND');
+    }
+    await lockProduct(client, found.rows[0].product_id);
+    const result = await client.query('SELECT * FROM stock_batches WHERE id = $1 FOR UPDATE', [batchId]);
+    return result.rows[0];
+}
+
+// Take an active batch off the shelf as expired or recalled
+async function retire(client, batch, status, fields = {}) {
+    const result = await client.query(
+        `UPDATE stock_batches
+         SET status = $2,
+             recalled_at = CASE WHEN $2::varchar = 'recalled' THEN CURRENT_TIMESTAMP ELSE recalled_at END,
+             recall_reason = COALESCE($3, recall_reason),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [batch.id, status, fields.reason || null]
+    );
+    if (batch.status === 'active' && batch.remaining > 0) {
+        await syncShelf(client, batch.product_id, batch.variant_id);
+    }
+    return result.rows[0];
+}
+
+// Receive a batch (staff) and put its units on the shelf
+async function receiveBatch(fields, admin) {
+    return withTransaction(async (client) => {
+        const product = await lockProduct(client, fields.productId);
+        if (!product) {
+            throw new BatchError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+        }
+
+        const variants = await client.query(
+            'SELECT id FROM product_variants WHERE product_id = $1',
+            [product.id]
+        );
+        if (fields.variantId && !variants.rows.some(row => row.id === fields.variantId)) {
+            throw new BatchError('Product variant not found', 404, 'VARIANT_NOT_FOUND');
+        }
+        if (!fields.variantId && variants.rows.length > 0) {
+            throw new BatchError('This product is sold by variant; choose the variant the stock is for', 400, 'VARIANT_REQUIRED');
+        }
+
+        if (fields.expiresOn && fields.expiresOn < localDate(TIMEZONE)) {
+            throw new BatchError('This batch has already expired', 400, 'BATCH_EXPIRED');
+        }
+
+        const result = await client.query(
+            `INSERT INTO stock_batches (id, product_id, variant_id, code, supplier, farm, produced_on, expires_on,
+                                        quantity, remaining, unit_cost, notes, received_by_id, received_by_name)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9, $10, $11, $12, $13)
+             RETURNING *`,
+            [uuidv4(), product.id, fields.variantId || null, fields.code, fields.supplier, fields.farm,
+             fields.producedOn, fields.expiresOn, fields.quantity, fields.unitCost, fields.notes,
+             admin ? admin.id : null, admin ? admin.name : null]
+        );
+        if (fields.quantity > 0) {
+            await syncShelf(client, product.id, fields.variantId || null);
+        }
+        return result.rows[0];
+    });
+}
+
+// Record the stock a new product or variant was created with as an opening
+// batch, in the caller's transaction. The new row already holds the units
+// on its shelf.
+async function receiveOpeningStock(client, { productId, variantId = null, quantity }, admin = null) {
+    const id = uuidv4();
+    await client.query(
+        `INSERT INTO stock_batches (id, product_id, variant_id, code, quantity, remaining, notes,
+                                    received_by_id, received_by_name)
+         VALUES ($1, $2, $3, $4, $5, $5, 'Opening stock', $6, $7)`,
+        [id, productId, variantId, `OPENING-${id}`, quantity, admin ? admin.id : null, admin ? admin.name : null]
+    );
+}
+
+const BATCH_COLUMNS = {
+    code: 'code',
+    supplier: 'supplier',
+    farm: 'farm',
+    producedOn: 'produced_on',
+    expiresOn: 'expires_on',
+    unitCost: 'unit_cost',
+    notes: 'notes'
+};
+
+// Correct a batch's details or its count of units left (staff). An active
+// batch moved to an expiry date already past comes off the shelf now.
+async function updateBatch(batchId, fields) {
+    return withTransaction(async (client) => {
+        const batch = await lockBatch(client, batchId);
+
+        const values = [];
+        const assignments = Object.entries(fields)
+            .filter(([field]) => BATCH_COLUMNS[field])
+            .map(([field, value]) => {
+                values.push(value);
+                return `${BATCH_COLUMNS[field]} = $${values.length}`;
+            });
+
+        if (fields.remaining !== undefined) {
+            if (fields.remaining > batch.quantity) {
+                throw new BatchError(`A batch of ${batch.quantity} cannot have ${fields.remaining} left`, 400, 'INVALID_REMAINING');
+            }
+            values.push(fields.remaining);
+            assignments.push(`remaining = $${values.length}`);
+        }
+        values.push(batchId);
+
+        const result = await client.query(
+            `UPDATE stock_batches
+             SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $${values.length}
+             RETURNING *`,
+            values
+        );
+        const updated = result.rows[0];
+        if (updated.status === 'active' && updated.remaining !== batch.remaining) {
+            await syncShelf(client, batch.product_id, batch.variant_id);
+        }
+
+        if (updated.status === 'active' && updated.expires_on && updated.expires_on < localDate(TIMEZONE)) {
+            return retire(client, updated, 'expired');
+        }
+        return updated;
+    });
+}
+
+// Pull a batch from sale (staff). Use recallOrders to find who got it.
+async function recallBatch(batchId, reason) {
+    return withTransaction(async (client) => {
+        const batch = await lockBatch(client, batchId);
+        if (batch.status === 'recalled') {
+            throw new BatchError('Stock batch is already recalled', 409, 'ALREADY_RECALLED');
+        }
+        return retire(client, batch, 'recalled', { reason });
+    });
+}
+
+// Take batches past their expiry off the shelf. Returns how many expired.
+async function expireBatches() {
+    const due = await pool.query(
+        `SELECT id FROM stock_batches WHERE status = 'active' AND expires_on < $1::date ORDER BY expires_on ASC`,
+        [localDate(TIMEZONE)]
+    );
+
+    let expired = 0;
+    for (const { id } of due.rows) {
+        const done = await withTransaction(async (client) => {
+            const batch = await lockBatch(client, id);
+            if (batch.status !== 'active') {
+                return false;
+            }
+            await retire(client, batch, 'expired');
+            return true;
+        });
+        if (done) {
+            expired++;
+        }
+    }
+    return expired;
+}
+
+async function getBatch(batchId) {
+    const result = await pool.query(
+        `SELECT b.*, p.title AS product_title, v.name AS variant_name, v.sku
+         FROM stock_batches b
+         JOIN products p ON p.id = b.product_id
+         LEFT JOIN product_variants v ON v.id = b.variant_id
+         WHERE b.id = $1`,
+        [batchId]
+    );
+    if (result.rows.length === 0) {
+        throw new BatchError('Stock batch not found', 404, 'BATCH_NOT_FOUND');
+    }
+    return result.rows[0];
+}
+
+// Active batches with units left that expire within `days` (or already
+// have, if the expiry job has not caught up), soonest first
+async function expiringSoon(days = EXPIRING_SOON_DAYS) {
+    const today = localDate(TIMEZONE);
+    const result = await pool.query(
+        `SELECT b.*, p.title AS product_title, v.name AS variant_name, v.sku,
+                (b.expires_on - $1::date) AS days_left,
+                b.remaining * COALESCE(b.unit_cost, 0) AS value_at_cost
+         FROM stock_batches b
+         JOIN products p ON p.id = b.product_id
+         LEFT JOIN product_variants v ON v.id = b.variant_id
+         WHERE b.status = 'active' AND b.remaining > 0
+           AND b.expires_on <= $1::date + $2::integer
+         ORDER BY b.expires_on ASC, p.title ASC`,
+        [today, days]
+    );
+    return {
+        today,
+        days,
+        batches: result.rows.map(row => ({
+            ...row,
+            value_at_cost: parseFloat(row.value_at_cost)
+        })),
+        units: result.rows.reduce((sum, row) => sum + row.remaining, 0)
+    };
+}
+
+// Every order that took units from a batch and who placed it. Released
+// reservations give their units back, so only orders still holding or
+// sold units from the batch are listed.
+async function recallOrders(batchId) {
+    const batch = await getBatch(batchId);
+    const result = await pool.query(
+        `SELECT o.id AS order_id, o.status, o.created_at, o.customer_id, o.customer_name, o.phone, o.email,
+                o.location, r.status AS stock_status, SUM(a.quantity)::integer AS quantity
+         FROM stock_allocations a
+         JOIN stock_reservations r ON r.id = a.reservation_id
+         JOIN orders o ON o.id = r.order_id
+         WHERE a.batch_id = $1
+         GROUP BY o.id, r.status
+         ORDER BY o.created_at ASC`,
+        [batchId]
+    );
+
+    const customers = new Set(result.rows.map(row => row.customer_id || row.phone));
+    return {
+        batch,
+        orders: result.rows,
+        summary: {
+            orders: new Set(result.rows.map(row => row.order_id)).size,
+            customers: customers.size,
+            units: result.rows.reduce((sum, row) => sum + row.quantity, 0)
+        }
+    };
+}
+
+module.exports = {
+    EXPIRING_SOON_DAYS,
+    BatchError,
+    receiveBatch,
+    receiveOpeningStock,
+    updateBatch,
+    recallBatch,
+    expireBatches,
+    getBatch,
+    expiringSoon,
+    recallOrders
+};
@@ -0,0 +1,122 @@
+const pricing = require('./pricing');
+const slots = require('./slots');
+const inventory = require('./inventory');
+const promotions = require('./promotions');
+const customers = require('./customers');
+const tracking = require('./tracking');
+const orders = require('./orders');
+const notifications = require('./notifications');
+const events = require('./events');
+
+// Placing an order, shared by the storefront checkout and subscriptions.
+// Prices are computed server-side: client-sent subtotal, delivery fee,
+// discount and total are never read.
+
+function generateId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Price and reserve stock for a new order in the caller's transaction, under
+// row locks so concurrent checkouts cannot both take the last unit.
+// `fields` are the checkout body (customerName, email, phone, location,
+// latitude, longitude, deliveryNotes, items, language, couponCode,
+// deliverySlotId, deliveryDate). Returns the order (without its token hash),
+// when its reservation expires and its tracking token, shown once.
+async function placeOrder(client, fields, { customer = null, actor = null, note = 'Order placed', subscriptionId = null } = {}) {
+    const {
+        customerName,
+        email,
+        phone,
+        location,
+        latitude,
+        longitude,
+        deliveryNotes,
+        items,
+        language,
+        couponCode,
+        deliverySlotId,
+        deliveryDate
+    } = fields;
+
+    // The delivery fee depends on where the order is going
+    const point = { latitude, longitude };
+
+    // Orders for a later day are pre-orders, taking stock expected for that day
+    const preorderDate = deliveryDate && deliveryDate > slots.bookingWindow().today ? deliveryDate : null;
+
+    const id = generateId('ORD');
+    const transactionId = generateId('TXN');
+    const trackingToken = tracking.generateToken();
+
+    const priced = await pricing.priceOrder(items, client, { lock: true, point, couponCode, phone, preorderDate });
+
+    // Rejected when the slot is full, for everyone or for this zone
+    const booking = deliverySlotId
+        ? await slots.bookSlot(client, { slotId: deliverySlotId, date: deliveryDate, zoneId: priced.delivery.zoneId })
+        : null;
+
+    // Signed-in customers, and guests using a registered phone, get the order on their account
+    const customerId = await customers.customerIdForOrder(client, phone, customer);
+
+    const result = await client.query(
+        `INSERT INTO orders (id, customer_name, email, phone, location, latitude, longitude,
+                           delivery_notes, items, subtotal, delivery_fee, total, transaction_id,
+                           delivery_zone_id, tracking_token_hash, locale,
+                           discount, discounts, coupon_code, customer_id,
+                           delivery_slot_id, delivery_date, delivery_window_start, delivery_window_end,
+                           is_preorder, estimated_delivery, subscription_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+                 $21, $22, $23, $24, $25, $26, $27)
+         RETURNING *`,
+        [id, customerName, email, phone, location,
+         point.latitude, point.longitude,
+         deliveryNotes,
+         JSON.stringify(priced.items),
+         priced.subtotal,
+         priced.deliveryFee,
+         priced.total,
+         transactionId,
+         priced.delivery.zoneId,
+         tracking.hashToken(trackingToken),
+         language,
+         priced.discount,
+         JSON.stringify(priced.discounts),
+         priced.couponCode,
+         customerId,
+         booking ? booking.slotId : null,
+         booking ? booking.date : null,
+         booking ? booking.windowStart : null,
+         booking ? booking.windowEnd : null,
+         Boolean(booking && booking.preorder),
+         booking ? booking.windowEnd : null,
+         subscriptionId]
+    );
+
+    for (const line of priced.items) {
+        await client.query(
+            `INSERT INTO order_items (order_id, product_id, title, unit_price, quantity, line_total,
+                                      variant_id, variant_name, sku)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [id, line.productId, line.title, line.unitPrice, line.quantity, line.lineTotal,
+             line.variantId || null, line.variant || null, line.sku || null]
+        );
+    }
+
+    const reservationExpiresAt = await inventory.reserveStock(client, id, priced.items, { deliveryDate: preorderDate });
+
+    await promotions.recordRedemptions(client, id, phone, priced.discounts);
+
+    await orders.recordStatusChange(client, id, null, 'pending',
+        actor || { type: 'customer', id: null, name: customerName }, note);
+
+    await notifications.notifyOrderEvent(client, 'order_created', result.rows[0]);
+    await events.publishOrderEvent(client, 'order.created', result.rows[0]);
+
+    const order = result.rows[0];
+    delete order.tracking_token_hash;
+    return { order, reservationExpiresAt, trackingToken };
+}
+
+module.exports = {
+    placeOrder
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('./db');
+const auth = require('./auth');
+const templates = require('./notificationTemplates');
+const { providers } = require('./notificationProviders');
+const { PAID_STATUSES } = require('./orders');
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '10', 10);
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+const OTP_HOURLY_LIMIT = 5;
+
+// Orders are matched to accounts on the last nine phone digits, so guest
+// orders typed as 07.., 7.. or +2547.. all link to the same customer
+const ORDER_PHONE_KEY = "RIGHT(regexp_replace(phone, '\\D', '', 'g'), 9)";
+
+class CustomerError extends Error {
+    constructor(message, status = 400, code = 'CUSTOMER_ERROR') {
+        super(message);
+        this.name = 'CustomerError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function phoneKey(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-9);
+}
+
+// Strip the password hash before sending an account back to a client
+function publicCustomer(customer) {
+    return {
+        id: customer.id,
+        phone: customer.phone,
+        name: customer.name,
+        email: customer.email,
+        hasPassword: Boolean(customer.password_hash),
+        phoneVerified: Boolean(customer.phone_verified_at),
+        active: customer.active,
+        lastLoginAt: customer.last_login_at,
+        createdAt: customer.created_at
+    };
+}
+
+function hashOtp(phone, code) {
+    return crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+}
+
+// Text a six-digit login code to a phone. Limited to one code a minute and
+// OTP_HOURLY_LIMIT an hour per phone number.
+async function requestOtp(phone, locale = 'en') {
+    const recent = await pool.query(
+        `SELECT COUNT(*) AS last_hour,
+                COUNT(*) FILTER (WHERE created_at > CURRENT_TIMESTAMP - ($2 || ' seconds')::interval) AS last_minute
+         FROM customer_otps
+         WHERE phone = $1 AND created_at > CURRENT_TIMESTAMP - INTERVAL '1 hour'`,
+        [phone, String(OTP_RESEND_SECONDS)]
+    );
+    if (parseInt(recent.rows[0].last_minute) > 0 || parseInt(recent.rows[0].last_hour) >= OTP_HOURLY_LIMIT) {
+        throw new CustomerError('Too many codes requested, please wait and try again', 429, 'OTP_RATE_LIMITED');
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+    const inserted = await pool.query(
+        `INSERT INTO customer_otps (phone, code_hash, expires_at)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [phone, hashOtp(phone, code), expiresAt]
+    );
+
+    try {
+        await providers.sms.send({
+            to: phone,
+            body: templates.otpMessage(code, OTP_TTL_MINUTES, locale).sms,
+            secret: true
+        });
+    } catch (error) {
+        await pool.query('DELETE FROM customer_otps WHERE id = $1', [inserted.rows[0].id]);
+        console.error('Error sending login code:', error.message);
+        throw new CustomerError('Could not send the code, please try again', 502, 'OTP_SEND_FAILED');
+    }
+
+    return { expiresAt };
+}
+
+// Check a code against the newest live one for the phone. Failed attempts
+// are committed even though the caller goes on to reject the request.
+async function consumeOtp(phone, code) {
+    const valid = await withTransaction(async (client) => {
+        const result = await client.query(
+            `SELECT * FROM customer_otps
+             WHERE phone = $1 AND consumed_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+             ORDER BY created_at DESC
+             LIMIT 1
+             FOR UPDATE`,
+            [phone]
+        );
+        const otp = result.rows[0];
+        if (!otp || otp.attempts >= OTP_MAX_ATTEMPTS) {
+            return false;
+        }
+
+        const matches = crypto.timingSafeEqual(
+            Buffer.from(hashOtp(phone, code), 'hex'),
+            Buffer.from(otp.code_hash, 'hex')
+        );
+        await client.query(
+            `UPDATE customer_otps
+             SET attempts = attempts + 1, consumed_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP END
+             WHERE id = $1`,
+            [otp.id, matches]
+        );
+        return matches;
+    });
+
+    if (!valid) {
+        throw new CustomerError('Invalid or expired code', 401, 'OTP_INVALID');
+    }
+}
+
+// Account phone numbers are stored in E.164, as normalised by validation
+async function findByPhone(phone, db = pool) {
+    const result = await db.query('SELECT * FROM customers WHERE phone = $1', [phone]);
+    return result.rows[0] || null;
+}
+
+// Attach guest orders placed from the customer's phone to their account
+async function linkGuestOrders(db, customer) {
+    const result = await db.query(
+        `UPDATE orders SET customer_id = $1
+         WHERE customer_id IS NULL AND ${ORDER_PHONE_KEY} = $2`,
+        [customer.id, phoneKey(customer.phone)]
+    );
+    return result.rowCount;
+}
+
+// Account for a new order: the signed-in customer, else the account that
+// owns the phone number, else none (a guest order)
+async function customerIdForOrder(db, phone, customer = null) {
+    if (customer) {
+        return customer.id;
+    }
+    const existing = await findByPhone(phone, db);
+    return existing ? existing.id : null;
+}
+
+// Create an account for a phone number proven by an OTP code
+async function register({ phone, code, name, email = null, password = null }) {
+    if (await findByPhone(phone)) {
+        throw new CustomerError('An account with this phone number already exists', 409, 'ACCOUNT_EXISTS');
+    }
+    await consumeOtp(phone, code);
+
+    const passwordHash = password ? await auth.hashPassword(password) : null;
+
+    return withTransaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO customers (id, phone, name, email, password_hash, phone_verified_at, last_login_at)
+             VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+             ON CONFLICT (phone) DO NOTHING
+             RETURNING *`,
+            [uuidv4(), phone, name, email, passwordHash]
+        );
+        if (result.rows.length === 0) {
+            throw new CustomerError('An account with this phone number already exists', 409, 'ACCOUNT_EXISTS');
+        }
+        const customer = result.rows[0];
+        await linkGuestOrders(client, customer);
+        return customer;
+    });
+}
+
+// Sign in with either an OTP code or a password. Returns the account.
+async function login({ phone, code, password }) {
+    const customer = await findByPhone(phone);
+
+    if (code) {
+        await consumeOtp(phone, code);
+        if (!customer || !customer.active) {
+            throw new CustomerError('No account exists for this phone number', 404, 'ACCOUNT_NOT_FOUND');
+        }
+    } else if (!customer || !customer.active || !customer.password_hash ||
+        !(await auth.verifyPassword(password, customer.password_hash))) {
+        // Same response for unknown phone, no password set and wrong password
+        throw new CustomerError('Invalid phone number or password', 401, 'INVALID_CREDENTIALS');
+    }
+
+    const result = await pool.query(
+        `UPDATE customers
+         SET last_login_at = CURRENT_TIMESTAMP,
+             phone_verified_at = CASE WHEN $2 THEN COALESCE(phone_verified_at, CURRENT_TIMESTAMP) ELSE phone_verified_at END
+         WHERE id = $1
+         RETURNING *`,
+        [customer.id, Boolean(code)]
+    );
+    return result.rows[0];
+}
+
+// Exchange a refresh token for a new pair, revoking the old one. Returns
+// null when the token is invalid, expired, revoked or the account is disabled.
+async function refreshSession(refreshToken) {
+    const customer = await auth.rotateRefreshToken(refreshToken, auth.SESSIONS.customer);
+    if (!customer) {
+        return null;
+    }
+    return { customer, tokens: await auth.issueCustomerTokens(customer) };
+}
+
+// Order counts and lifetime spend (paid orders, excluding refunds)
+async function orderStats(customerId, db = pool) {
+    const result = await db.query(
+        `SELECT COUNT(*) AS orders,
+                COUNT(*) FILTER (WHERE status = ANY($2::varchar[])) AS paid_orders,
+                COALESCE(SUM(total - refunded_amount) FILTER (WHERE status = ANY($2::varchar[])), 0) AS lifetime_spend,
+                MIN(created_at) AS first_order_at,
+                MAX(created_at) AS last_order_at
+         FROM orders
+         WHERE customer_id = $1`,
+        [customerId, PAID_STATUSES]
+    );
+    const row = result.rows[0];
+    const paidOrders = parseInt(row.paid_orders);
+    const lifetimeSpend = parseFloat(row.lifetime_spend);
+
+    return {
+        orders: parseInt(row.orders),
+        paidOrders,
+        lifetimeSpend,
+        averageOrderValue: paidOrders > 0 ? Math.round((lifetimeSpend / paidOrders) * 100) / 100 : 0,
+        firstOrderAt: row.first_order_at,
+        lastOrderAt: row.last_order_at
+    };
+}
+
+// Order rows as shown to their customer (no tracking token hash)
+function customerOrder(order) {
+    const { tracking_token_hash, ...rest } = order;
+    return rest;
+}
+
+module.exports = {
+    OTP_TTL_MINUTES,
+    CustomerError,
+    publicCustomer,
+    requestOtp,
+    customerIdForOrder,
+    register,
+    login,
+    refreshSession,
+    orderStats,
+    customerOrder
+};
@@ -0,0 +1,37 @@
+const { Pool, types } = require('pg');
+require('dotenv').config();
+
+// Return DATE columns as 'YYYY-MM-DD' strings. By default they become a
+// Date at midnight in the server's timezone, which shifts the day elsewhere.
+const DATE_OID = 1082;
+types.setTypeParser(DATE_OID, value => value);
+
+// Database connection
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// Run a callback inside a single transaction on a dedicated client.
+// Commits when the callback resolves, rolls back when it throws.
+async function withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    pool,
+    withTransaction
+};
@@ -0,0 +1,157 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+
+// Where riders leave from; radius zones are measured from here
+const DISPATCH_POINT = {
+    latitude: parseFloat(process.env.DISPATCH_LAT || '-1.2921'),
+    longitude: parseFloat(process.env.DISPATCH_LNG || '36.8219')
+};
+
+const DEFAULT_ZONE_RADIUS_KM = parseFloat(process.env.DEFAULT_ZONE_RADIUS_KM || '25');
+const DEFAULT_DELIVERY_FEE = parseFloat(process.env.DELIVERY_FEE || '200');
+
+// `code` is OUTSIDE_DELIVERY_AREA or BELOW_MINIMUM_ORDER
+class DeliveryError extends Error {
+    constructor(message, details = {}, code = 'OUTSIDE_DELIVERY_AREA') {
+        super(message);
+        this.name = 'DeliveryError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in kilometres
+function distanceKm(from, to) {
+    const R = 6371;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Ray casting over a polygon given as [[lat, lng], ...]
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        const crosses = (lngI > point.longitude) !== (lngJ > point.longitude) &&
+            point.latitude < (latJ - latI) * (point.longitude - lngI) / (lngJ - lngI) + latI;
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function zoneContains(zone, point) {
+    if (zone.kind === 'radius') {
+        return distanceKm(DISPATCH_POINT, point) <= parseFloat(zone.radius_km);
+    }
+    return Array.isArray(zone.polygon) && zone.polygon.length >= 3 && pointInPolygon(point, zone.polygon);
+}
+
+// Validate coordinates from a request body; returns null when they are unusable
+function parseCoordinates(latitude, longitude) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (latitude === undefined || latitude === null || latitude === '' ||
+        longitude === undefined || longitude === null || longitude === '' ||
+        !Number.isFinite(lat) || !Number.isFinite(lng) ||
+        lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return null;
+    }
+    return { latitude: lat, longitude: lng };
+}
+
+// Check a zone definition from the admin API; returns an error message or null
+function validateZone(zone) {
+    if (!['radius', 'polygon'].includes(zone.kind)) {
+        return 'Zone kind must be radius or polygon';
+    }
+    if (zone.kind === 'radius' && !(Number(zone.radiusKm) > 0)) {
+        return 'Radius zones need a positive radiusKm';
+    }
+    if (zone.kind === 'polygon') {
+        const valid = Array.isArray(zone.polygon) && zone.polygon.length >= 3 &&
+            zone.polygon.every(p => Array.isArray(p) && parseCoordinates(p[0], p[1]));
+        if (!valid) {
+            return 'Polygon zones need at least three [latitude, longitude] points';
+        }
+    }
+    if (!(Number(zone.fee) >= 0)) {
+        return 'Fee must be zero or more';
+    }
+    return null;
+}
+
+// The matching zone with the lowest priority number wins
+async function findZone(point, db = pool) {
+    const result = await db.query(
+        'SELECT * FROM delivery_zones WHERE active = true ORDER BY priority ASC, fee ASC, created_at ASC'
+    );
+    return result.rows.find(zone => zoneContains(zone, point)) || null;
+}
+
+// Work out the delivery fee for a drop-off point and order subtotal.
+// Throws DeliveryError when the point is outside every zone or the
+// subtotal is under the zone's minimum order value.
+async function quote(point, subtotal, db = pool) {
+    const zone = await findZone(point, db);
+
+    if (!zone) {
+        throw new DeliveryError('We do not deliver to this location yet', {
+            distanceKm: Math.round(distanceKm(DISPATCH_POINT, point) * 10) / 10
+        });
+    }
+
+    const minOrderValue = parseFloat(zone.min_order_value || 0);
+    const freeThreshold = zone.free_delivery_threshold === null ? null : parseFloat(zone.free_delivery_threshold);
+    const freeDelivery = freeThreshold !== null && subtotal >= freeThreshold;
+
+    const result = {
+        zoneId: zone.id,
+        zoneName: zone.name,
+        distanceKm: Math.round(distanceKm(DISPATCH_POINT, point) * 10) / 10,
+        deliveryFee: freeDelivery ? 0 : parseFloat(zone.fee),
+        minOrderValue,
+        freeDeliveryThreshold: freeThreshold,
+        freeDelivery
+    };
+
+    if (subtotal < minOrderValue) {
+        throw new DeliveryError(`Minimum order for ${zone.name} is KES ${minOrderValue}`, result, 'BELOW_MINIMUM_ORDER');
+    }
+
+    return result;
+}
+
+// Seed one radius zone around the dispatch point so a fresh database can take orders
+async function ensureDefaultZone() {
+    const check = await pool.query('SELECT COUNT(*) FROM delivery_zones');
+    if (parseInt(check.rows[0].count) > 0) {
+        return;
+    }
+    await pool.query(
+        `INSERT INTO delivery_zones (id, name, kind, radius_km, fee)
+         VALUES ($1, $2, 'radius', $3, $4)`,
+        [uuidv4(), 'Default', DEFAULT_ZONE_RADIUS_KM, DEFAULT_DELIVERY_FEE]
+    );
+    console.log('✅ Default delivery zone added');
+}
+
+module.exports = {
+    DISPATCH_POINT,
+    DeliveryError,
+    distanceKm,
+    parseCoordinates,
+    validateZone,
+    findZone,
+    quote,
+    ensureDefaultZone
+};
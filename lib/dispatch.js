@@ -0,0 +1,334 @@
+const { pool, withTransaction } = require('./db');
+const orders = require('./orders');
+const images = require('./images');
+const { DISPATCH_POINT, distanceKm } = require('./delivery');
+
+// Rider dispatch. An order that is paid or being prepared is assigned to a
+// rider, by an admin or to the nearest available rider; the rider picks it
+// up at the dispatch point (order -> out_for_delivery) and hands it over
+// with a recipient name or photo as proof (order -> delivered).
+
+const RIDER_SPEED_KMH = parseFloat(process.env.RIDER_SPEED_KMH || '25');
+const RIDER_MAX_ACTIVE_DELIVERIES = parseInt(process.env.RIDER_MAX_ACTIVE_DELIVERIES || '3', 10);
+const RIDER_LOCATION_MAX_AGE_MINUTES = parseInt(process.env.RIDER_LOCATION_MAX_AGE_MINUTES || '15', 10);
+
+// Roads are longer than the straight line, and handing over takes a while
+const ROAD_FACTOR = 1.3;
+const HANDOVER_MINUTES = 5;
+
+const ASSIGNABLE_STATUSES = ['paid', 'preparing'];
+const ACTIVE_STATUSES = ['assigned', 'picked_up'];
+
+class DispatchError extends Error {
+    constructor(message, status = 409, code = 'DISPATCH_ERROR') {
+        super(message);
+        this.name = 'DispatchError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// The rider's last reported position, if recent enough to rely on
+function riderPosition(rider) {
+    if (!rider.location_updated_at ||
+        Date.now() - new Date(rider.location_updated_at).getTime() > RIDER_LOCATION_MAX_AGE_MINUTES * 60 * 1000) {
+        return null;
+    }
+    return { latitude: parseFloat(rider.latitude), longitude: parseFloat(rider.longitude) };
+}
+
+function orderPoint(order) {
+    if (order.latitude === null || order.longitude === null) {
+        return null;
+    }
+    return { latitude: parseFloat(order.latitude), longitude: parseFloat(order.longitude) };
+}
+
+// Arrival time for a rider riding from one point to another
+function estimateArrival(from, to, now = new Date()) {
+    const minutes = distanceKm(from, to) * ROAD_FACTOR / RIDER_SPEED_KMH * 60 + HANDOVER_MINUTES;
+    return new Date(now.getTime() + Math.ceil(minutes) * 60 * 1000);
+}
+
+function deliveryView(row) {
+    return {
+        id: row.delivery_id,
+        status: row.delivery_status,
+        riderId: row.rider_id,
+        assignment: row.assignment,
+        assignedAt: row.assigned_at,
+        pickedUpAt: row.picked_up_at,
+        order: {
+            id: row.order_id,
+            status: row.status,
+            customerName: row.customer_name,
+            phone: row.phone,
+            location: row.location,
+            latitude: row.latitude === null ? null : parseFloat(row.latitude),
+            longitude: row.longitude === null ? null : parseFloat(row.longitude),
+            deliveryNotes: row.delivery_notes,
+            items: row.items || [],
+            total: parseFloat(row.total),
+            paymentVerified: row.payment_verified,
+            estimatedDelivery: row.estimated_delivery
+        }
+    };
+}
+
+// Open deliveries, oldest assignment first; all riders' unless riderId is given
+async function activeDeliveries(riderId = null, db = pool) {
+    const result = await db.query(
+        `SELECT d.id AS delivery_id, d.status AS delivery_status, d.rider_id, d.assignment,
+                d.assigned_at, d.picked_up_at,
+                o.id AS order_id, o.status, o.customer_name, o.phone, o.location, o.latitude, o.longitude,
+                o.delivery_notes, o.total, o.payment_verified, o.estimated_delivery,
+                (SELECT json_agg(json_build_object('title', i.title, 'variant', i.variant_name, 'quantity', i.quantity) ORDER BY i.id)
+                 FROM order_items i WHERE i.order_id = o.id) AS items
+         FROM deliveries d
+         JOIN orders o ON o.id = d.order_id
+         WHERE d.status = ANY($1::varchar[]) AND ($2::varchar IS NULL OR d.rider_id = $2)
+         ORDER BY d.assigned_at ASC, d.id ASC`,
+        [ACTIVE_STATUSES, riderId]
+    );
+    return result.rows.map(deliveryView);
+}
+
+async function lockRider(client, riderId) {
+    const result = await client.query('SELECT * FROM riders WHERE id = $1 FOR UPDATE', [riderId]);
+    const rider = result.rows[0];
+    if (!rider) {
+        throw new DispatchError('Rider not found', 404, 'RIDER_NOT_FOUND');
+    }
+    if (!rider.active) {
+        throw new DispatchError('Rider account is disabled', 409, 'RIDER_UNAVAILABLE');
+    }
+    return rider;
+}
+
+// The available rider closest to the dispatch point, where orders are
+// collected, among those with a recent position and room for another
+// delivery. Fewer open deliveries breaks ties.
+async function nearestRider(client) {
+    const result = await client.query(
+        `SELECT r.*,
+                (SELECT COUNT(*) FROM deliveries d
+                 WHERE d.rider_id = r.id AND d.status = ANY($2::varchar[])) AS open_deliveries
+         FROM riders r
+         WHERE r.active = true AND r.available = true
+           AND r.location_updated_at > CURRENT_TIMESTAMP - ($1 || ' minutes')::interval
+         ORDER BY r.id
+         FOR UPDATE OF r`,
+        [String(RIDER_LOCATION_MAX_AGE_MINUTES), ACTIVE_STATUSES]
+    );
+
+    const ranked = result.rows
+        .filter(rider => parseInt(rider.open_deliveries) < RIDER_MAX_ACTIVE_DELIVERIES)
+        .map(rider => ({
+            rider,
+            distance: distanceKm(riderPosition(rider) || DISPATCH_POINT, DISPATCH_POINT),
+            load: parseInt(rider.open_deliveries)
+        }))
+        .sort((a, b) => a.distance - b.distance || a.load - b.load);
+
+    if (ranked.length === 0) {
+        throw new DispatchError('No rider is available right now', 409, 'NO_RIDER_AVAILABLE');
+    }
+    return ranked[0].rider;
+}
+
+// Assign an order to a rider: riderId for a manual choice, or null for the
+// nearest available rider. An order not yet picked up can be reassigned.
+async function assignOrder(orderId, { riderId = null, assignedBy = null } = {}) {
+    return withTransaction(async (client) => {
+        const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        const order = orderResult.rows[0];
+        if (!order) {
+            throw new DispatchError('Order not found', 404, 'ORDER_NOT_FOUND');
+        }
+        if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+            throw new DispatchError(`Cannot assign a rider to an order that is ${order.status}`, 409, 'NOT_ASSIGNABLE');
+        }
+
+        const currentResult = await client.query(
+            'SELECT * FROM deliveries WHERE order_id = $1 AND status = ANY($2::varchar[]) FOR UPDATE',
+            [orderId, ACTIVE_STATUSES]
+        );
+        const current = currentResult.rows[0];
+        if (current && current.status === 'picked_up') {
+            throw new DispatchError('Order has already been picked up', 409, 'ALREADY_PICKED_UP');
+        }
+
+        const rider = riderId ? await lockRider(client, riderId) : await nearestRider(client);
+        if (current && current.rider_id === rider.id) {
+            return { delivery: current, rider };
+        }
+
+        if (current) {
+            await client.query(
+                `UPDATE deliveries
+                 SET status = 'unassigned', unassigned_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [current.id]
+            );
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO deliveries (order_id, rider_id, assignment, assigned_by)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [orderId, rider.id, riderId ? 'manual' : 'nearest', assignedBy]
+        );
+        return { delivery: inserted.rows[0], rider };
+    });
+}
+
+// Take an order off its rider before pickup
+async function unassignOrder(orderId) {
+    const result = await pool.query(
+        `UPDATE deliveries
+         SET status = 'unassigned', unassigned_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE order_id = $1 AND status = 'assigned'
+         RETURNING *`,
+        [orderId]
+    );
+    if (result.rows.length === 0) {
+        throw new DispatchError('Order has no rider assignment that can be removed', 409, 'NOT_ASSIGNED');
+    }
+    return result.rows[0];
+}
+
+// The rider's open delivery of an order, locked unless `lock` is false
+async function riderDelivery(db, rider, orderId, lock = true) {
+    const result = await db.query(
+        `SELECT * FROM deliveries
+         WHERE order_id = $1 AND rider_id = $2 AND status = ANY($3::varchar[])
+         ${lock ? 'FOR UPDATE' : ''}`,
+        [orderId, rider.id, ACTIVE_STATUSES]
+    );
+    if (result.rows.length === 0) {
+        throw new DispatchError('Delivery not found', 404, 'DELIVERY_NOT_FOUND');
+    }
+    return result.rows[0];
+}
+
+// The rider has collected the order. An order still marked paid is moved
+// through preparing first; the ETA is worked out from the rider's position.
+async function pickUp(rider, orderId) {
+    return withTransaction(async (client) => {
+        // The order before its delivery, as cancelling takes them
+        const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        const delivery = await riderDelivery(client, rider, orderId);
+        if (delivery.status === 'picked_up') {
+            throw new DispatchError('Order has already been picked up', 409, 'ALREADY_PICKED_UP');
+        }
+
+        const actor = orders.riderActor(rider);
+        if (orderResult.rows[0].status === 'paid') {
+            await orders.transitionOrder(client, orderId, 'preparing', { actor });
+        }
+
+        const destination = orderPoint(orderResult.rows[0]);
+        const order = await orders.transitionOrder(client, orderId, 'out_for_delivery', {
+            actor,
+            estimatedDelivery: destination
+                ? estimateArrival(riderPosition(rider) || DISPATCH_POINT, destination)
+                : null
+        });
+
+        const updated = await client.query(
+            `UPDATE deliveries
+             SET status = 'picked_up', picked_up_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [delivery.id]
+        );
+        return { delivery: updated.rows[0], order };
+    });
+}
+
+// Hand the order over. Proof is the recipient's name, a photo (an uploaded
+// file), or both.
+async function completeDelivery(rider, orderId, { recipientName = null, photo = null } = {}) {
+    if (!recipientName && !photo) {
+        throw new DispatchError('Give the recipient name or a photo as proof of delivery', 400, 'PROOF_REQUIRED');
+    }
+
+    // Check before uploading so a wrong order ID leaves no stray photo
+    await riderDelivery(pool, rider, orderId, false);
+
+    const stored = photo ? await images.storeImage(photo, `deliveries/${orderId}`) : null;
+    try {
+        return await withTransaction(async (client) => {
+            await client.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+            const delivery = await riderDelivery(client, rider, orderId);
+            if (delivery.status !== 'picked_up') {
+                throw new DispatchError('Pick the order up before delivering it', 409, 'NOT_PICKED_UP');
+            }
+
+            const updated = await client.query(
+                `UPDATE deliveries
+                 SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, recipient_name = $2,
+                     proof_photo_url = $3, proof_storage_driver = $4, proof_storage_key = $5,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1
+                 RETURNING *`,
+                [delivery.id, recipientName,
+                 stored ? stored.url : null, stored ? stored.storage_driver : null, stored ? stored.storage_key : null]
+            );
+
+            const order = await orders.transitionOrder(client, orderId, 'delivered', {
+                actor: orders.riderActor(rider),
+                note: recipientName ? `Received by ${recipientName}` : 'Photo proof of delivery'
+            });
+            return { delivery: updated.rows[0], order };
+        });
+    } catch (error) {
+        if (stored) {
+            await images.removeStoredImages([stored]);
+        }
+        throw error;
+    }
+}
+
+// New ETAs for the orders a rider is carrying, from their latest position.
+// Each is timed as a direct ride, ignoring the order of drops.
+async function updateEtas(rider) {
+    const position = riderPosition(rider);
+    if (!position) {
+        return [];
+    }
+
+    const result = await pool.query(
+        `SELECT o.id, o.latitude, o.longitude
+         FROM deliveries d
+         JOIN orders o ON o.id = d.order_id
+         WHERE d.rider_id = $1 AND d.status = 'picked_up' AND o.status = 'out_for_delivery'
+           AND o.latitude IS NOT NULL AND o.longitude IS NOT NULL`,
+        [rider.id]
+    );
+
+    const etas = [];
+    for (const order of result.rows) {
+        const estimatedDelivery = estimateArrival(position, orderPoint(order));
+        await pool.query(
+            `UPDATE orders SET estimated_delivery = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'out_for_delivery'`,
+            [order.id, estimatedDelivery]
+        );
+        etas.push({ orderId: order.id, estimatedDelivery });
+    }
+    return etas;
+}
+
+module.exports = {
+    RIDER_MAX_ACTIVE_DELIVERIES,
+    ASSIGNABLE_STATUSES,
+    DispatchError,
+    estimateArrival,
+    activeDeliveries,
+    assignOrder,
+    unassignOrder,
+    pickUp,
+    completeDelivery,
+    updateEtas
+};
@@ -0,0 +1,196 @@
+const { Client } = require('pg');
+const { pool } = require('./db');
+
+// Live order events for Server-Sent Events streams. Changes are published
+// with NOTIFY on the caller's transaction, so only committed changes go out,
+// and every server instance LISTENs on the channel and passes them on to its
+// own open streams.
+//
+// Events carry no customer details: the admin dashboard fetches the order
+// when it needs more, and a tracking page already has it.
+
+const CHANNEL = 'order_events';
+const EVENT_TYPES = ['order.created', 'payment.verified', 'order.status_changed'];
+
+const HEARTBEAT_SECONDS = parseInt(process.env.EVENT_HEARTBEAT_SECONDS || '25', 10);
+const RECONNECT_SECONDS = 5;
+
+// A client that stops reading is cut off rather than buffered forever;
+// EventSource reconnects on its own
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const subscribers = new Set();
+let listener = null;
+let connecting = null;
+let reconnectTimer = null;
+
+function orderEvent(type, order, previousStatus = null) {
+    return {
+        type,
+        orderId: order.id,
+        status: order.status,
+        previousStatus,
+        paymentVerified: order.payment_verified,
+        total: parseFloat(order.total),
+        estimatedDelivery: order.estimated_delivery,
+        at: new Date().toISOString()
+    };
+}
+
+// Publish an order event. Pass the caller's transaction client so the event
+// is only sent if the change commits.
+async function publishOrderEvent(db, type, order, previousStatus = null) {
+    await db.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(orderEvent(type, order, previousStatus))]);
+}
+
+function deliver(event) {
+    for (const subscriber of subscribers) {
+        if (subscriber.filter(event)) {
+            subscriber.send(event);
+        }
+    }
+}
+
+function scheduleReconnect() {
+    if (reconnectTimer || subscribers.size === 0) {
+        return;
+    }
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        start()
+            // Events sent while the listener was down are lost, so tell
+            // clients to fetch what they show again
+            .then(() => deliver({ type: 'resync', at: new Date().toISOString() }))
+            .catch(error => {
+                console.error('Error reconnecting order event listener:', error.message);
+                scheduleReconnect();
+            });
+    }, RECONNECT_SECONDS * 1000);
+}
+
+// Open the LISTEN connection if it is not open yet. It uses its own client,
+// outside the pool, as it stays connected for as long as the server runs.
+async function start() {
+    if (listener) {
+        return;
+    }
+    if (!connecting) {
+        connecting = (async () => {
+            const client = new Client(pool.options);
+            const lost = (error) => {
+                if (listener !== client) {
+                    return;
+                }
+                listener = null;
+                console.error('Order event listener disconnected:', error ? error.message : 'connection ended');
+                client.end().catch(() => {});
+                scheduleReconnect();
+            };
+
+            client.on('notification', (message) => {
+                try {
+                    deliver(JSON.parse(message.payload));
+                } catch (error) {
+                    console.error('Error handling order event:', error);
+                }
+            });
+            client.on('error', lost);
+            client.on('end', () => lost());
+
+            try {
+                await client.connect();
+                await client.query(`LISTEN ${CHANNEL}`);
+            } catch (error) {
+                client.end().catch(() => {});
+                throw error;
+            }
+            listener = client;
+        })().finally(() => {
+            connecting = null;
+        });
+    }
+    await connecting;
+}
+
+function subscribe(filter, send) {
+    const subscriber = { filter, send };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+}
+
+// Turn the response into an event stream of the events `filter` accepts.
+// `initial`, if given, is an async function returning the first event (e.g. a
+// snapshot of the order). It runs after subscribing, and events arriving
+// meanwhile wait until it has been sent, so nothing in between is missed.
+// Rejects before anything is written when the listener cannot connect.
+async function openStream(req, res, filter, initial = null) {
+    await start();
+
+    let pending = [];
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    let closed = false;
+    const close = () => {
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    const write = (chunk) => {
+        if (res.writableEnded) {
+            return;
+        }
+        if (res.writableLength > MAX_BUFFERED_BYTES) {
+            close();
+            res.end();
+            return;
+        }
+        res.write(chunk);
+    };
+    const send = (event) => {
+        if (pending) {
+            pending.push(event);
+            return;
+        }
+        write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    unsubscribe = subscribe(filter, send);
+    req.on('close', close);
+
+    let first;
+    try {
+        first = initial ? await initial() : null;
+    } catch (error) {
+        close();
+        throw error;
+    }
+    if (closed) {
+        return;
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    write(`retry: ${RECONNECT_SECONDS * 1000}\n\n`);
+
+    const queued = pending;
+    pending = null;
+    if (first) {
+        send(first);
+    }
+    queued.forEach(send);
+
+    heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+}
+
+module.exports = {
+    EVENT_TYPES,
+    publishOrderEvent,
+    openStream
+};
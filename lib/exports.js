@@ -0,0 +1,374 @@
+const { pool } = require('./db');
+const { STATUSES, PAID_STATUSES } = require('./orders');
+const { parseRange } = require('./analytics');
+const { ListQueryError, parseList } = require('./listing');
+
+// Streaming exports for the accountant and the dispatch desk. Rows are read
+// through a server-side cursor BATCH_SIZE at a time and written straight to
+// the response, so an export never holds a whole table in memory.
+
+const BATCH_SIZE = 500;
+
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'amount_mismatch', 'partially_refunded', 'refunded'];
+
+// Statuses on a delivery manifest unless ?status= says otherwise
+const MANIFEST_STATUSES = ['paid', 'preparing', 'out_for_delivery'];
+
+// Wall-clock time in the export timezone ($1 in every query below)
+const localTime = column => `to_char((${column} AT TIME ZONE 'UTC') AT TIME ZONE $1, 'YYYY-MM-DD HH24:MI')`;
+const inRange = column => `(${column} AT TIME ZONE 'UTC') AT TIME ZONE $1 >= $2::date
+           AND (${column} AT TIME ZONE 'UTC') AT TIME ZONE $1 < $3::date + 1`;
+
+// The day an order goes out: its delivery slot's date, else the day it was placed
+const DELIVERY_DAY = `COALESCE(o.delivery_date, ((o.created_at AT TIME ZONE 'UTC') AT TIME ZONE $1)::date)`;
+
+// Lines of an order as "2 x Kienyeji (Dressed); 1 x Tray of eggs"
+const ITEM_SUMMARY = `(SELECT string_agg(i.quantity || ' x ' || i.title || COALESCE(' (' || i.variant_name || ')', ''), '; ' ORDER BY i.id)
+                       FROM order_items i WHERE i.order_id = o.id)`;
+
+// Stock batches an order's units were taken from, so packers pick from them
+const BATCH_CODES = `(SELECT string_agg(DISTINCT b.code, ', ')
+                      FROM stock_reservations r
+                      JOIN stock_allocations a ON a.reservation_id = r.id
+                      JOIN stock_batches b ON b.id = a.batch_id
+                      WHERE r.order_id = o.id)`;
+
+// ?from=&to=&timezone= as for analytics, plus ?status=a,b checked against `allowed`
+function parseOptions(query, allowed = STATUSES, fallback = null) {
+    const { from, to, timezone } = parseRange(query);
+
+    const statuses = parseList(query.status) || fallback;
+    const unknown = (statuses || []).find(status => !allowed.includes(status));
+    if (unknown) {
+        throw new ListQueryError(`status must be one of: ${allowed.join(', ')}`, 'status');
+    }
+
+    return { from, to, timezone, statuses };
+}
+
+// Manifests default to a single day: ?to=, else today
+function parseManifestOptions(query) {
+    const options = parseOptions(query, STATUSES, MANIFEST_STATUSES);
+    if (!query.from) {
+        options.from = options.to;
+    }
+    return options;
+}
+
+function fileName(name, { from, to }, extension) {
+    return from === to
+        ? `${name}-${from}.${extension}`
+        : `${name}-${from}-to-${to}.${extension}`;
+}
+
+// Writes to the response, waiting for the socket to drain when its buffer is
+// full. Rejects once the client has gone away so the cursor is closed early.
+function createWriter(res) {
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    return async (chunk) => {
+        if (closed) {
+            throw new Error('Client closed the connection');
+        }
+        if (!res.write(chunk)) {
+            await new Promise(resolve => {
+                const done = () => {
+                    res.off('drain', done);
+                    res.off('close', done);
+                    resolve();
+                };
+                res.on('drain', done);
+                res.on('close', done);
+            });
+        }
+    };
+}
+
+// Run a query through a cursor in a read-only transaction, handing each
+// batch of rows to onRows
+async function streamQuery(sql, params, onRows) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN READ ONLY');
+        await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, params);
+
+        for (;;) {
+            const batch = await client.query(`FETCH ${BATCH_SIZE} FROM export_cursor`);
+            if (batch.rows.length === 0) {
+                break;
+            }
+            await onRows(batch.rows);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Quote a CSV cell. Text starting with =, +, - or @ is prefixed with an
+// apostrophe so spreadsheets do not run it as a formula; plain numbers
+// (DECIMAL columns arrive as strings, phones as +254...) are left alone.
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+    return values.map(csvCell).join(',') + '\r\n';
+}
+
+// Stream `sql` as CSV. `columns` is a list of [header, column name] pairs.
+async function streamCsv(write, columns, sql, params) {
+    // Byte order mark so Excel opens the file as UTF-8
+    await write('\ufeff' + csvRow(columns.map(([header]) => header)));
+    await streamQuery(sql, params, async (rows) => {
+        await write(rows.map(row => csvRow(columns.map(([, key]) => row[key]))).join(''));
+    });
+}
+
+async function ordersCsv({ from, to, timezone, statuses }, write) {
+    const columns = [
+        ['Order ID', 'id'],
+        ['Date', 'created_local'],
+        ['Status', 'status'],
+        ['Customer', 'customer_name'],
+        ['Phone', 'phone'],
+        ['Email', 'email'],
+        ['Location', 'location'],
+        ['Delivery Area', 'zone_name'],
+        ['Items', 'items_summary'],
+        ['Subtotal', 'subtotal'],
+        ['Delivery Fee', 'delivery_fee'],
+        ['Discount', 'discount'],
+        ['Coupon', 'coupon_code'],
+        ['Total', 'total'],
+        ['Payment Verified', 'payment_verified'],
+        ['M-Pesa Receipt', 'transaction_id']
+    ];
+    await streamCsv(write, columns,
+        `SELECT o.id, ${localTime('o.created_at')} AS created_local, o.status, o.customer_name, o.phone,
+                o.email, o.location, z.name AS zone_name, ${ITEM_SUMMARY} AS items_summary,
+                o.subtotal, o.delivery_fee, o.discount, o.coupon_code, o.total,
+                CASE WHEN o.payment_verified THEN 'yes' ELSE 'no' END AS payment_verified,
+                o.transaction_id
+         FROM orders o
+         LEFT JOIN delivery_zones z ON z.id = o.delivery_zone_id
+         WHERE ${inRange('o.created_at')}
+           AND ($4::varchar[] IS NULL OR o.status = ANY($4::varchar[]))
+         ORDER BY o.created_at ASC, o.id ASC`,
+        [timezone, from, to, statuses]
+    );
+}
+
+async function paymentsCsv({ from, to, timezone, statuses }, write) {
+    const columns = [
+        ['Payment ID', 'id'],
+        ['Date', 'created_local'],
+        ['Verified At', 'verified_local'],
+        ['Status', 'status'],
+        ['Amount', 'amount'],
+        ['Refunded', 'refunded_amount'],
+        ['Currency', 'currency'],
+        ['Phone', 'phone'],
+        ['M-Pesa Receipt', 'transaction_id'],
+        ['Checkout Request', 'checkout_request_id'],
+        ['Failure Reason', 'failure_reason'],
+        ['Order ID', 'order_id'],
+        ['Customer', 'customer_name'],
+        ['Order Status', 'order_status']
+    ];
+    await streamCsv(write, columns,
+        `SELECT p.id, ${localTime('p.created_at')} AS created_local, ${localTime('p.verified_at')} AS verified_local,
+                p.status, p.amount, p.refunded_amount, p.currency, p.phone, p.transaction_id, p.checkout_request_id,
+                p.failure_reason, p.order_id, o.customer_name, o.status AS order_status
+         FROM payments p
+         LEFT JOIN orders o ON o.id = p.order_id
+         WHERE ${inRange('p.created_at')}
+           AND ($4::varchar[] IS NULL OR p.status = ANY($4::varchar[]))
+         ORDER BY p.created_at ASC, p.id ASC`,
+        [timezone, from, to, statuses]
+    );
+}
+
+// One row per local day in the range, including days without sales. Counts
+// orders in the requested statuses, the paid ones by default. Refunded is
+// what went back on those orders; Net is Total less Refunded.
+async function salesCsv({ from, to, timezone, statuses }, write) {
+    const columns = [
+        ['Date', 'day'],
+        ['Orders', 'orders'],
+        ['Items Sold', 'items_sold'],
+        ['Subtotal', 'subtotal'],
+        ['Delivery Fees', 'delivery_fees'],
+        ['Discounts', 'discounts'],
+        ['Total', 'total'],
+        ['Refunded', 'refunded'],
+        ['Net', 'net'],
+        ['Average Order Value', 'average_order_value']
+    ];
+    await streamCsv(write, columns,
+        `WITH sales AS (
+             SELECT ((o.created_at AT TIME ZONE 'UTC') AT TIME ZONE $1)::date AS day,
+                    COUNT(*) AS orders,
+                    SUM((SELECT COALESCE(SUM(i.quantity), 0) FROM order_items i WHERE i.order_id = o.id)) AS items_sold,
+                    SUM(o.subtotal) AS subtotal,
+                    SUM(o.delivery_fee) AS delivery_fees,
+                    SUM(o.discount) AS discounts,
+                    SUM(o.total) AS total,
+                    SUM(o.refunded_amount) AS refunded
+             FROM orders o
+             WHERE ${inRange('o.created_at')}
+               AND o.status = ANY($4::varchar[])
+             GROUP BY 1
+         )
+         SELECT to_char(d.day, 'YYYY-MM-DD') AS day,
+                COALESCE(s.orders, 0) AS orders,
+                COALESCE(s.items_sold, 0) AS items_sold,
+                COALESCE(s.subtotal, 0) AS subtotal,
+                COALESCE(s.delivery_fees, 0) AS delivery_fees,
+                COALESCE(s.discounts, 0) AS discounts,
+                COALESCE(s.total, 0) AS total,
+                COALESCE(s.refunded, 0) AS refunded,
+                COALESCE(s.total - s.refunded, 0) AS net,
+                CASE WHEN s.orders > 0 THEN ROUND(s.total / s.orders, 2) ELSE 0 END AS average_order_value
+         FROM generate_series($2::date, $3::date, INTERVAL '1 day') AS d(day)
+         LEFT JOIN sales s ON s.day = d.day::date
+         ORDER BY d.day ASC`,
+        [timezone, from, to, statuses || PAID_STATUSES]
+    );
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const MANIFEST_STYLE = `
+    body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 6px; border-bottom: 2px solid #333; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    .check { width: 24px; }
+    .totals { margin: 4px 0 0; font-weight: bold; }
+    section { page-break-after: always; }
+    section:last-of-type { page-break-after: auto; }
+    @media print { body { margin: 0; } }`;
+
+function manifestRow(order) {
+    const map = order.latitude !== null && order.longitude !== null
+        ? `<br><a href="https://maps.google.com/?q=${order.latitude},${order.longitude}">${order.latitude}, ${order.longitude}</a>`
+        : '';
+    return `<tr>
+<td>${escapeHtml(order.id)}${order.slot_window ? `<br><strong>${escapeHtml(order.slot_window)}</strong>` : ''}</td>
+<td>${escapeHtml(order.customer_name)}<br>${escapeHtml(order.phone)}</td>
+<td>${escapeHtml(order.location)}${map}</td>
+<td>${escapeHtml(order.delivery_notes)}</td>
+<td>${escapeHtml(order.items_summary)}${order.batch_codes ? `<br><small>Batch ${escapeHtml(order.batch_codes)}</small>` : ''}</td>
+<td>KES ${escapeHtml(order.total)}${order.payment_verified ? '' : '<br><strong>NOT PAID</strong>'}</td>
+<td class="check"></td>
+</tr>\n`;
+}
+
+function closeGroup(group) {
+    return `</tbody></table>
+<p class="totals">${group.count} order(s), KES ${group.total.toFixed(2)}</p>
+</section>\n`;
+}
+
+// Printable delivery manifest for riders: orders going out in the period
+// (slot orders on their delivery date) grouped by delivery area, one area
+// per printed page. Browsers can save it as a PDF from the print dialog.
+async function manifestHtml({ from, to, timezone, statuses }, write) {
+    const period = from === to ? from : `${from} to ${to}`;
+    await write(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Delivery manifest ${escapeHtml(period)}</title>
+<style>${MANIFEST_STYLE}</style></head>
+<body>
+<h1>Kuku Yetu delivery manifest</h1>
+<p>${escapeHtml(period)} &middot; ${escapeHtml(statuses.join(', '))}</p>\n`);
+
+    let group = null;
+    await streamQuery(
+        `SELECT o.id, o.customer_name, o.phone, o.location, o.latitude, o.longitude, o.delivery_notes,
+                o.total, o.payment_verified, COALESCE(z.name, 'No delivery area') AS zone_name,
+                ${ITEM_SUMMARY} AS items_summary, ${BATCH_CODES} AS batch_codes,
+                to_char((o.delivery_window_start AT TIME ZONE 'UTC') AT TIME ZONE $1, 'HH24:MI') || '-' ||
+                    to_char((o.delivery_window_end AT TIME ZONE 'UTC') AT TIME ZONE $1, 'HH24:MI') AS slot_window
+         FROM orders o
+         LEFT JOIN delivery_zones z ON z.id = o.delivery_zone_id
+         WHERE ${DELIVERY_DAY} BETWEEN $2::date AND $3::date
+           AND o.status = ANY($4::varchar[])
+         ORDER BY z.name ASC NULLS LAST, o.delivery_window_start ASC NULLS LAST, o.created_at ASC, o.id ASC`,
+        [timezone, from, to, statuses],
+        async (rows) => {
+            let html = '';
+            for (const order of rows) {
+                if (!group || group.name !== order.zone_name) {
+                    if (group) {
+                        html += closeGroup(group);
+                    }
+                    group = { name: order.zone_name, count: 0, total: 0 };
+                    html += `<section><h2>${escapeHtml(order.zone_name)}</h2>
+<table><thead><tr><th>Order</th><th>Customer</th><th>Location</th><th>Notes</th><th>Items</th><th>Amount</th><th class="check">&#10003;</th></tr></thead><tbody>\n`;
+                }
+                group.count += 1;
+                group.total += parseFloat(order.total);
+                html += manifestRow(order);
+            }
+            await write(html);
+        }
+    );
+
+    await write(`${group ? closeGroup(group) : '<p>No orders to deliver.</p>\n'}</body></html>\n`);
+}
+
+// Send an export as a download. Errors before the first byte reach the
+// caller as usual; after that the response can only be cut off, which the
+// caller does with res.destroy() so a partial file is never taken as complete.
+async function send(res, produce, options, { contentType, filename, inline = false }) {
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+        await produce(options, createWriter(res));
+        res.end();
+    } catch (error) {
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    PAYMENT_STATUSES,
+    MANIFEST_STATUSES,
+    parseOptions,
+    parseManifestOptions,
+    fileName,
+    send,
+    ordersCsv,
+    paymentsCsv,
+    salesCsv,
+    manifestHtml
+};
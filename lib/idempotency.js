@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { ValidationError, fieldError, sendValidationError } = require('./validation');
+
+// Idempotency-Key support for routes that create things. The first request
+// with a key claims it and its response is stored; retries with the same key
+// and the same body get that response back instead of running the route
+// again. Keys are kept for IDEMPOTENCY_TTL_HOURS.
+//
+// Responses of 500 and above are not stored, so a retry after a server error
+// runs the route again. Stored bodies hold whatever the route returned (an
+// order's tracking token included), one more reason they expire.
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10);
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Fingerprint of what the request asks for. Run after validation so the body
+// is normalised; a signed-in customer is part of it, so one customer's key
+// never replays another's response.
+function requestHash(req) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({
+            body: req.body,
+            params: req.params,
+            customer: req.customer ? req.customer.id : null
+        }))
+        .digest('hex');
+}
+
+// Claim a key for this request. Expired keys are taken over as new.
+// Returns the stored row when someone else already holds the key.
+async function claim(scope, key, hash) {
+    const result = await pool.query(
+        `INSERT INTO idempotency_keys (scope, key, request_hash, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' hours')::interval)
+         ON CONFLICT (scope, key) DO UPDATE
+             SET request_hash = EXCLUDED.request_hash, status = 'in_progress',
+                 response_status = NULL, response_body = NULL, completed_at = NULL,
+                 created_at = CURRENT_TIMESTAMP, expires_at = EXCLUDED.expires_at
+             WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP
+         RETURNING scope`,
+        [scope, key, hash, String(IDEMPOTENCY_TTL_HOURS)]
+    );
+    if (result.rows.length > 0) {
+        return null;
+    }
+
+    const existing = await pool.query(
+        'SELECT * FROM idempotency_keys WHERE scope = $1 AND key = $2',
+        [scope, key]
+    );
+    return existing.rows[0];
+}
+
+async function complete(scope, key, status, body) {
+    if (status >= 500) {
+        await pool.query('DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2', [scope, key]);
+        return;
+    }
+    await pool.query(
+        `UPDATE idempotency_keys
+         SET status = 'completed', response_status = $3, response_body = $4, completed_at = CURRENT_TIMESTAMP
+         WHERE scope = $1 AND key = $2`,
+        [scope, key, status, JSON.stringify(body)]
+    );
+}
+
+// Give up a claim whose response was not stored, so retries run the route
+async function release(scope, key) {
+    await pool.query(
+        `DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2 AND status = 'in_progress'`,
+        [scope, key]
+    );
+}
+
+// Middleware factory. Requests without the header pass straight through.
+function idempotent(scope) {
+    return async (req, res, next) => {
+        const key = req.get(HEADER);
+        if (key === undefined) {
+            return next();
+        }
+        if (!KEY_PATTERN.test(key)) {
+            return sendValidationError(res, new ValidationError([
+                fieldError(HEADER, 'invalid_format', `${HEADER} must be 1-255 printable characters`)
+            ]));
+        }
+
+        try {
+            const hash = requestHash(req);
+            const existing = await claim(scope, key, hash);
+
+            if (existing) {
+                if (existing.request_hash !== hash) {
+                    return res.status(422).json({
+                        success: false,
+                        error: `${HEADER} was already used for a different request`,
+                        code: 'IDEMPOTENCY_KEY_REUSED'
+                    });
+                }
+                if (existing.status === 'in_progress') {
+                    return res.status(409).set('Retry-After', '1').json({
+                        success: false,
+                        error: 'The original request is still being processed',
+                        code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+                    });
+                }
+                return res.status(existing.response_status)
+                    .set('Idempotent-Replayed', 'true')
+                    .json(existing.response_body);
+            }
+        } catch (error) {
+            console.error('Error checking idempotency key:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to process request'
+            });
+        }
+
+        // Store the response before it is sent, so a retry that arrives as
+        // soon as the client sees it is already answered from the store
+        const json = res.json.bind(res);
+        let stored = false;
+        res.json = (body) => {
+            res.json = json;
+            stored = true;
+            complete(scope, key, res.statusCode, body)
+                .catch(error => console.error('Error storing idempotent response:', error))
+                .finally(() => json(body));
+            return res;
+        };
+
+        // A route that answered some other way (res.send, a stream, a
+        // response cut off midway) leaves nothing to replay. A client that
+        // hangs up before any answer does not release the key: the route is
+        // still running and stores its response when it finishes.
+        let settled = false;
+        const settle = () => {
+            if (stored || settled || !res.headersSent) {
+                return;
+            }
+            settled = true;
+            release(scope, key).catch(error => console.error('Error releasing idempotency key:', error));
+        };
+        res.on('finish', settle);
+        res.on('close', settle);
+        next();
+    };
+}
+
+// Remove keys past their retention window
+async function deleteExpired() {
+    const result = await pool.query('DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+}
+
+module.exports = {
+    IDEMPOTENCY_TTL_HOURS,
+    idempotent,
+    deleteExpired
+};
@@ -0,0 +1,279 @@
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('./db');
+const { storage, adapterFor } = require('./storage');
+
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || String(5 * 1024 * 1024), 10);
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+class ImageError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ImageError';
+        this.status = status;
+    }
+}
+
+// Express middleware wrapping multer for up to `maxFiles` images in `field`
+// (req.files); rejected uploads get a 400 response. Files are kept in memory
+// just long enough to check and hand to storage.
+function createUploadMiddleware(field, maxFiles) {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: MAX_IMAGE_BYTES,
+            files: maxFiles
+        },
+        fileFilter: (req, file, cb) => {
+            if (!EXTENSIONS[file.mimetype]) {
+                return cb(new ImageError('Only JPEG, PNG and WebP images are allowed'));
+            }
+            cb(null, true);
+        }
+    }).array(field, maxFiles);
+
+    return (req, res, next) => {
+        upload(req, res, (error) => {
+            if (!error) {
+                return next();
+            }
+            if (!(error instanceof multer.MulterError) && !(error instanceof ImageError)) {
+                return next(error);
+            }
+            const messages = {
+                LIMIT_FILE_SIZE: `Images must be ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)}MB or smaller`,
+                LIMIT_FILE_COUNT: `Upload at most ${maxFiles} image${maxFiles === 1 ? '' : 's'} at a time`,
+                LIMIT_UNEXPECTED_FILE: `Images must be sent in the "${field}" field`
+            };
+            res.status(400).json({
+                success: false,
+                error: messages[error.code] || error.message
+            });
+        });
+    };
+}
+
+// Product images: up to MAX_IMAGES_PER_UPLOAD in "images"
+const uploadMiddleware = createUploadMiddleware('images', MAX_IMAGES_PER_UPLOAD);
+
+// Don't trust the client's Content-Type: check the file signature too
+function sniffMimeType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 8 && buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+// Products created before uploads existed only have URLs in products.images.
+// Import those as 'external' rows so they can be reordered and removed too.
+async function ensureImageRows(client, productId) {
+    const product = await client.query(
+        'SELECT id, images FROM products WHERE id = $1 FOR UPDATE',
+        [productId]
+    );
+    if (product.rows.length === 0) {
+        throw new ImageError('Product not found', 404);
+    }
+
+    const existing = await client.query(
+        'SELECT COUNT(*) FROM product_images WHERE product_id = $1',
+        [productId]
+    );
+    if (parseInt(existing.rows[0].count) > 0) {
+        return;
+    }
+
+    const urls = product.rows[0].images || [];
+    for (let i = 0; i < urls.length; i++) {
+        await client.query(
+            `INSERT INTO product_images (id, product_id, url, storage_driver, storage_key, position)
+             VALUES ($1, $2, $3, 'external', NULL, $4)`,
+            [uuidv4(), productId, urls[i], i]
+        );
+    }
+}
+
+// Copy the ordered image URLs back onto products.images, which is what the
+// storefront reads
+async function syncProductImages(client, productId) {
+    const result = await client.query(
+        `UPDATE products
+         SET images = ARRAY(
+                 SELECT url FROM product_images WHERE product_id = $1 ORDER BY position ASC, created_at ASC
+             ),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING images`,
+        [productId]
+    );
+    return result.rows[0].images;
+}
+
+async function listImages(productId, db = pool) {
+    const result = await db.query(
+        `SELECT id, url, storage_driver, position, created_at
+         FROM product_images WHERE product_id = $1
+         ORDER BY position ASC, created_at ASC`,
+        [productId]
+    );
+    return result.rows;
+}
+
+// Image rows for a product, importing legacy URLs first if needed
+async function getImages(productId) {
+    return withTransaction(async (client) => {
+        await ensureImageRows(client, productId);
+        return listImages(productId, client);
+    });
+}
+
+// Best-effort removal from storage; a missing file must not block a delete
+async function removeStoredImages(rows) {
+    for (const row of rows) {
+        const adapter = row.storage_key ? adapterFor(row.storage_driver) : null;
+        if (!adapter) {
+            continue;
+        }
+        try {
+            await adapter.remove(row.storage_key);
+        } catch (error) {
+            console.error(`Failed to remove stored image ${row.storage_key}:`, error.message);
+        }
+    }
+}
+
+function checkImage(file) {
+    if (sniffMimeType(file.buffer) !== file.mimetype) {
+        throw new ImageError(`${file.originalname} is not a valid ${EXTENSIONS[file.mimetype].toUpperCase()} image`);
+    }
+}
+
+// Check and store a single uploaded image outside the product gallery.
+// Returns { url, storage_key, storage_driver } for the caller to record.
+async function storeImage(file, folder) {
+    checkImage(file);
+    const stored = await storage.save(file.buffer, {
+        folder,
+        extension: EXTENSIONS[file.mimetype]
+    });
+    return { url: stored.url, storage_key: stored.key, storage_driver: storage.driver };
+}
+
+async function addImages(productId, files) {
+    if (!files || files.length === 0) {
+        throw new ImageError('No images uploaded');
+    }
+
+    files.forEach(checkImage);
+
+    const check = await pool.query('SELECT id FROM products WHERE id = $1', [productId]);
+    if (check.rows.length === 0) {
+        throw new ImageError('Product not found', 404);
+    }
+
+    // Upload first; if the database write fails, clean up what was stored
+    const saved = [];
+    try {
+        for (const file of files) {
+            const stored = await storage.save(file.buffer, {
+                folder: `products/${productId}`,
+                extension: EXTENSIONS[file.mimetype]
+            });
+            saved.push({ ...stored, storage_key: stored.key, storage_driver: storage.driver });
+        }
+
+        return await withTransaction(async (client) => {
+            await ensureImageRows(client, productId);
+
+            const max = await client.query(
+                'SELECT COALESCE(MAX(position), -1) AS position FROM product_images WHERE product_id = $1',
+                [productId]
+            );
+            let position = parseInt(max.rows[0].position) + 1;
+
+            for (const image of saved) {
+                await client.query(
+                    `INSERT INTO product_images (id, product_id, url, storage_driver, storage_key, position)
+                     VALUES ($1, $2, $3, $4, $5, $6)`,
+                    [uuidv4(), productId, image.url, image.storage_driver, image.storage_key, position++]
+                );
+            }
+
+            await syncProductImages(client, productId);
+            return listImages(productId, client);
+        });
+    } catch (error) {
+        await removeStoredImages(saved);
+        throw error;
+    }
+}
+
+// imageIds must list every image of the product exactly once, in the new order
+async function reorderImages(productId, imageIds) {
+    return withTransaction(async (client) => {
+        await ensureImageRows(client, productId);
+
+        const current = await listImages(productId, client);
+        const currentIds = current.map(image => image.id).sort();
+        const requested = Array.isArray(imageIds) ? [...imageIds].map(String) : [];
+
+        if (requested.length !== currentIds.length ||
+            [...requested].sort().some((id, i) => id !== currentIds[i])) {
+            throw new ImageError('imageIds must list every image of the product exactly once');
+        }
+
+        for (let i = 0; i < requested.length; i++) {
+            await client.query(
+                'UPDATE product_images SET position = $1 WHERE id = $2 AND product_id = $3',
+                [i, requested[i], productId]
+            );
+        }
+
+        await syncProductImages(client, productId);
+        return listImages(productId, client);
+    });
+}
+
+async function deleteImage(productId, imageId) {
+    const removed = await withTransaction(async (client) => {
+        await ensureImageRows(client, productId);
+
+        const result = await client.query(
+            'DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING *',
+            [imageId, productId]
+        );
+        if (result.rows.length === 0) {
+            throw new ImageError('Image not found', 404);
+        }
+
+        await syncProductImages(client, productId);
+        return result.rows[0];
+    });
+
+    await removeStoredImages([removed]);
+    return listImages(productId);
+}
+
+module.exports = {
+    ImageError,
+    createUploadMiddleware,
+    uploadMiddleware,
+    storeImage,
+    getImages,
+    addImages,
+    reorderImages,
+    deleteImage,
+    removeStoredImages
+};
@@ -0,0 +1,321 @@
+const { withTransaction } = require('./db');
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES || '30', 10);
+
+// Thrown when stock cannot be taken for an order
+class InventoryError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'InventoryError';
+        this.code = 'OUT_OF_STOCK';
+        this.details = details;
+    }
+}
+
+// Add (positive delta) or remove (negative delta) stock for one product.
+// A product that runs out is marked unavailable and flagged sold_out so it
+// comes back automatically on restock; products an admin switched off stay off.
+async function adjustStock(client, productId, delta) {
+    const result = await client.query(
+        `UPDATE products
+         SET quantity = quantity + $2,
+             available = CASE
+                 WHEN quantity + $2 <= 0 THEN false
+                 WHEN sold_out AND quantity + $2 > 0 THEN true
+                 ELSE available
+             END,
+             sold_out = CASE
+                 WHEN quantity + $2 <= 0 AND available THEN true
+                 WHEN quantity + $2 > 0 THEN false
+                 ELSE sold_out
+             END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND quantity + $2 >= 0
+         RETURNING id, quantity, available`,
+        [productId, delta]
+    );
+    return result.rows[0] || null;
+}
+
+// Same as adjustStock, for one product variant
+async function adjustVariantStock(client, variantId, delta) {
+    const result = await client.query(
+        `UPDATE product_variants
+         SET quantity = quantity + $2,
+             available = CASE
+                 WHEN quantity + $2 <= 0 THEN false
+                 WHEN sold_out AND quantity + $2 > 0 THEN true
+                 ELSE available
+             END,
+             sold_out = CASE
+                 WHEN quantity + $2 <= 0 AND available THEN true
+                 WHEN quantity + $2 > 0 THEN false
+                 ELSE sold_out
+             END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND quantity + $2 >= 0
+         RETURNING id, quantity, available`,
+        [variantId, delta]
+    );
+    return result.rows[0] || null;
+}
+
+// Same as adjustStock, for stock expected on a delivery date. Pre-order
+// lines take from it instead of the shelf; the shelf is left alone.
+async function adjustPreorderStock(client, productId, deliveryDate, delta) {
+    const result = await client.query(
+        `UPDATE preorder_stock
+         SET taken = taken - $3, updated_at = CURRENT_TIMESTAMP
+         WHERE product_id = $1 AND delivery_date = $2 AND taken - $3 BETWEEN 0 AND quantity
+         RETURNING product_id, quantity, taken`,
+        [productId, deliveryDate, delta]
+    );
+    return result.rows[0] || null;
+}
+
+// Shelf stock of a product, or of one of its variants
+async function adjustShelfStock(client, productId, variantId, delta) {
+    return variantId
+        ? adjustVariantStock(client, variantId, delta)
+        : adjustStock(client, productId, delta);
+}
+
+// Set the shelf stock of a product (or variant) to the units left in its
+// active batches, so batch changes cannot leave the two apart. Returns the
+// adjusted row, or null when the product or variant is gone.
+async function syncShelfStock(client, productId, variantId) {
+    const batches = await client.query(
+        `SELECT COALESCE(SUM(remaining), 0)::integer AS total FROM stock_batches
+         WHERE product_id = $1 AND variant_id IS NOT DISTINCT FROM $2::varchar AND status = 'active'`,
+        [productId, variantId]
+    );
+    const shelf = await client.query(
+        variantId
+            ? 'SELECT quantity FROM product_variants WHERE id = $1'
+            : 'SELECT quantity FROM products WHERE id = $1',
+        [variantId || productId]
+    );
+    if (shelf.rows.length === 0) {
+        return null;
+    }
+    return adjustShelfStock(client, productId, variantId, batches.rows[0].total - shelf.rows[0].quantity);
+}
+
+// Take a reservation's units out of the batches behind the shelf stock,
+// first-expiring (then oldest) first, and record where they came from.
+// The shelf stock is the sum of the active batches, so they hold enough
+// whenever the shelf did.
+async function allocateBatches(client, reservation) {
+    const batches = await client.query(
+        `SELECT id, remaining FROM stock_batches
+         WHERE product_id = $1 AND variant_id IS NOT DISTINCT FROM $2::varchar
+           AND status = 'active' AND remaining > 0
+         ORDER BY expires_on ASC NULLS LAST, produced_on ASC NULLS LAST, received_at ASC, id ASC
+         FOR UPDATE`,
+        [reservation.product_id, reservation.variant_id]
+    );
+
+    let needed = reservation.quantity;
+    for (const batch of batches.rows) {
+        if (needed === 0) {
+            break;
+        }
+        const taken = Math.min(needed, batch.remaining);
+        await client.query(
+            'UPDATE stock_batches SET remaining = remaining - $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [batch.id, taken]
+        );
+        await client.query(
+            'INSERT INTO stock_allocations (reservation_id, batch_id, quantity) VALUES ($1, $2, $3)',
+            [reservation.id, batch.id, taken]
+        );
+        needed -= taken;
+    }
+
+    if (needed > 0) {
+        throw new InventoryError('Some items are out of stock', [
+            { productId: reservation.product_id, variantId: reservation.variant_id, reason: 'Insufficient stock in batches' }
+        ]);
+    }
+}
+
+// Put a reservation's units back in the batches they came from. Returns how
+// many went back to active batches, and so to the shelf; units from a batch
+// that expired or was recalled meanwhile stay off sale.
+async function returnToBatches(client, reservation) {
+    const result = await client.query(
+        `WITH returned AS (
+             DELETE FROM stock_allocations WHERE reservation_id = $1
+             RETURNING batch_id, quantity
+         )
+         UPDATE stock_batches b
+         SET remaining = b.remaining + r.quantity, updated_at = CURRENT_TIMESTAMP
+         FROM (SELECT batch_id, SUM(quantity)::integer AS quantity FROM returned GROUP BY batch_id) r
+         WHERE b.id = r.batch_id
+         RETURNING b.status, r.quantity`,
+        [reservation.id]
+    );
+    return result.rows
+        .filter(row => row.status === 'active')
+        .reduce((sum, row) => sum + row.quantity, 0);
+}
+
+// Take a reservation's units from whichever stock it draws on
+async function takeStock(client, reservation) {
+    if (reservation.delivery_date) {
+        return adjustPreorderStock(client, reservation.product_id, reservation.delivery_date, -reservation.quantity);
+    }
+    const updated = await adjustShelfStock(client, reservation.product_id, reservation.variant_id, -reservation.quantity);
+    if (updated) {
+        await allocateBatches(client, reservation);
+    }
+    return updated;
+}
+
+async function returnStock(client, reservation) {
+    if (reservation.delivery_date) {
+        return adjustPreorderStock(client, reservation.product_id, reservation.delivery_date, reservation.quantity);
+    }
+    const live = await returnToBatches(client, reservation);
+    return adjustShelfStock(client, reservation.product_id, reservation.variant_id, live);
+}
+
+// Take stock for a freshly priced order. The product rows must already be
+// locked by the caller (pricing.priceOrder with `lock: true`). Lines priced
+// as pre-orders take from the expected stock for `deliveryDate`, and lines
+// for a variant from the variant's stock. Shelf units are allocated to stock
+// batches as they are taken.
+async function reserveStock(client, orderId, lines, { deliveryDate = null } = {}) {
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+    for (const line of lines) {
+        const inserted = await client.query(
+            `INSERT INTO stock_reservations (order_id, product_id, quantity, status, expires_at, delivery_date, variant_id)
+             VALUES ($1, $2, $3, 'reserved', $4, $5, $6)
+             RETURNING *`,
+            [orderId, line.productId, line.quantity, expiresAt,
+             line.preorder ? deliveryDate : null, line.variantId || null]
+        );
+        const reservation = inserted.rows[0];
+
+        if (!(await takeStock(client, reservation))) {
+            throw new InventoryError('Some items are out of stock', [
+                { productId: line.productId, variantId: reservation.variant_id, reason: 'Insufficient stock' }
+            ]);
+        }
+    }
+
+    return expiresAt;
+}
+
+// Lock the products behind an order's reservations in a stable order so
+// concurrent commits/releases cannot deadlock against checkouts.
+async function lockReservedProducts(client, reservations) {
+    const ids = [...new Set(reservations.map(r => r.product_id))].sort();
+    if (ids.length > 0) {
+        await client.query(
+            'SELECT id FROM products WHERE id = ANY($1::varchar[]) ORDER BY id FOR UPDATE',
+            [ids]
+        );
+    }
+}
+
+// Mark an order's stock as sold. Reservations that already expired are
+// re-taken if the stock is still there; otherwise the commit fails.
+async function commitReservation(client, orderId) {
+    const result = await client.query(
+        `SELECT * FROM stock_reservations
+         WHERE order_id = $1 AND status IN ('reserved', 'released')
+         ORDER BY product_id FOR UPDATE`,
+        [orderId]
+    );
+    const reservations = result.rows;
+    await lockReservedProducts(client, reservations);
+
+    const shortages = [];
+    for (const reservation of reservations) {
+        if (reservation.status === 'released') {
+            if (!(await takeStock(client, reservation))) {
+                shortages.push({ productId: reservation.product_id, reason: 'Reserved stock expired and is no longer available' });
+            }
+        }
+    }
+
+    if (shortages.length > 0) {
+        throw new InventoryError('Some items are no longer in stock', shortages);
+    }
+
+    await client.query(
+        `UPDATE stock_reservations
+         SET status = 'committed', updated_at = CURRENT_TIMESTAMP
+         WHERE order_id = $1 AND status IN ('reserved', 'released')`,
+        [orderId]
+    );
+
+    return reservations.length;
+}
+
+// Return an order's reserved (or, with `includeCommitted`, sold) stock to
+// the shelf. Used for cancellations and expired reservations.
+async function releaseReservation(client, orderId, { includeCommitted = false } = {}) {
+    const statuses = includeCommitted ? ['reserved', 'committed'] : ['reserved'];
+    const result = await client.query(
+        `SELECT * FROM stock_reservations
+         WHERE order_id = $1 AND status = ANY($2::varchar[])
+         ORDER BY product_id FOR UPDATE`,
+        [orderId, statuses]
+    );
+    const reservations = result.rows;
+    await lockReservedProducts(client, reservations);
+
+    for (const reservation of reservations) {
+        await returnStock(client, reservation);
+    }
+
+    await client.query(
+        `UPDATE stock_reservations
+         SET status = 'released', updated_at = CURRENT_TIMESTAMP
+         WHERE order_id = $1 AND status = ANY($2::varchar[])`,
+        [orderId, statuses]
+    );
+
+    return reservations.length;
+}
+
+// Release every reservation past its expiry. Orders are handled one per
+// transaction; SKIP LOCKED lets several instances sweep side by side.
+async function releaseExpiredReservations() {
+    let released = 0;
+
+    for (;;) {
+        const orderId = await withTransaction(async (client) => {
+            const result = await client.query(
+                `SELECT order_id FROM stock_reservations
+                 WHERE status = 'reserved' AND expires_at < CURRENT_TIMESTAMP
+                 LIMIT 1 FOR UPDATE SKIP LOCKED`
+            );
+            if (result.rows.length === 0) {
+                return null;
+            }
+            await releaseReservation(client, result.rows[0].order_id);
+            return result.rows[0].order_id;
+        });
+
+        if (!orderId) {
+            return released;
+        }
+        released++;
+    }
+}
+
+module.exports = {
+    RESERVATION_TTL_MINUTES,
+    InventoryError,
+    adjustStock,
+    adjustShelfStock,
+    syncShelfStock,
+    reserveStock,
+    commitReservation,
+    releaseReservation,
+    releaseExpiredReservations
+};
@@ -0,0 +1,195 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+
+// In-process scheduler for background work. Jobs are defined with how often
+// they run; every instance ticks through them, and the one that claims a
+// job's row in scheduled_jobs runs it, so a job runs once per interval no
+// matter how many instances are up. A claim is a lease: if the instance
+// dies mid-run the lock lapses after JOB_LOCK_SECONDS and another takes over.
+// Every run is logged in job_runs with what it did or why it failed.
+
+const TICK_SECONDS = parseInt(process.env.JOB_TICK_SECONDS || '15', 10);
+const LOCK_SECONDS = parseInt(process.env.JOB_LOCK_SECONDS || '600', 10);
+const RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS || '14', 10);
+
+const INSTANCE = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+let ticking = false;
+
+class JobError extends Error {
+    constructor(message, status = 409, code = 'JOB_RUNNING') {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// run() resolves with a summary of what it did, stored on the run
+function defineJob(name, { everySeconds, run }) {
+    jobs.set(name, { name, everySeconds, run });
+}
+
+// Make sure every defined job has a row. A shorter interval than before
+// brings the next run forward.
+async function register() {
+    for (const job of jobs.values()) {
+        await pool.query(
+            `INSERT INTO scheduled_jobs (name, interval_seconds) VALUES ($1, $2)
+             ON CONFLICT (name) DO UPDATE
+             SET interval_seconds = EXCLUDED.interval_seconds,
+                 next_run_at = LEAST(scheduled_jobs.next_run_at,
+                                     CURRENT_TIMESTAMP + EXCLUDED.interval_seconds * interval '1 second'),
+                 updated_at = CURRENT_TIMESTAMP`,
+            [job.name, job.everySeconds]
+        );
+    }
+}
+
+// Take a job's lock if nobody holds it and (unless forced) it is due.
+// Runs left 'running' by an instance whose lock lapsed are closed as failed.
+async function claim(job, force = false) {
+    const result = await pool.query(
+        `UPDATE scheduled_jobs
+         SET locked_by = $2,
+             locked_until = CURRENT_TIMESTAMP + $3::integer * interval '1 second',
+             next_run_at = CASE WHEN $4::boolean THEN next_run_at
+                                ELSE CURRENT_TIMESTAMP + interval_seconds * interval '1 second' END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE name = $1
+           AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+           AND ($4 OR next_run_at <= CURRENT_TIMESTAMP)
+         RETURNING *`,
+        [job.name, INSTANCE, LOCK_SECONDS, force]
+    );
+    if (result.rows.length === 0) {
+        return false;
+    }
+
+    await pool.query(
+        `UPDATE job_runs
+         SET status = 'failed', error = 'Lock expired before the run finished',
+             finished_at = CURRENT_TIMESTAMP
+         WHERE job = $1 AND status = 'running'`,
+        [job.name]
+    );
+    return true;
+}
+
+async function release(job) {
+    await pool.query(
+        `UPDATE scheduled_jobs SET locked_by = NULL, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE name = $1 AND locked_by = $2`,
+        [job.name, INSTANCE]
+    );
+}
+
+// Run a claimed job and log it. Failures are recorded, not thrown.
+async function execute(job, triggeredBy) {
+    const runId = uuidv4();
+    const started = Date.now();
+    await pool.query(
+        'INSERT INTO job_runs (id, job, instance, triggered_by) VALUES ($1, $2, $3, $4)',
+        [runId, job.name, INSTANCE, triggeredBy]
+    );
+
+    let result = null;
+    let failure = null;
+    try {
+        result = await job.run();
+    } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+        failure = error.message || String(error);
+    }
+
+    try {
+        const finished = await pool.query(
+            `UPDATE job_runs
+             SET status = $2, result = $3, error = $4, finished_at = CURRENT_TIMESTAMP, duration_ms = $5
+             WHERE id = $1 RETURNING *`,
+            [runId, failure ? 'failed' : 'succeeded', JSON.stringify(result || {}), failure, Date.now() - started]
+        );
+        return finished.rows[0];
+    } finally {
+        await release(job);
+    }
+}
+
+// Run every job that is due and not held elsewhere, one after another
+async function runDue() {
+    for (const job of jobs.values()) {
+        if (await claim(job)) {
+            await execute(job, 'schedule');
+        }
+    }
+}
+
+async function tick() {
+    if (ticking) {
+        return;
+    }
+    ticking = true;
+    try {
+        await runDue();
+    } catch (error) {
+        console.error('Error running scheduled jobs:', error);
+    } finally {
+        ticking = false;
+    }
+}
+
+async function start() {
+    await register();
+    setInterval(tick, TICK_SECONDS * 1000).unref();
+    tick();
+}
+
+// Run a job straight away for an admin, without moving its schedule
+async function runNow(name, admin) {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new JobError('Job not found', 404, 'JOB_NOT_FOUND');
+    }
+    if (!(await claim(job, true))) {
+        throw new JobError('Job is already running');
+    }
+    return execute(job, `admin:${admin.name}`);
+}
+
+// Defined jobs with their schedule, lock and latest run
+async function listJobs() {
+    const result = await pool.query(
+        `SELECT j.*, COALESCE(j.locked_until > CURRENT_TIMESTAMP, false) AS running, to_jsonb(r) AS last_run
+         FROM scheduled_jobs j
+         LEFT JOIN LATERAL (
+             SELECT id, status, triggered_by, result, error, started_at, finished_at, duration_ms
+             FROM job_runs WHERE job = j.name
+             ORDER BY started_at DESC LIMIT 1
+         ) r ON true
+         WHERE j.name = ANY($1::varchar[])
+         ORDER BY j.name ASC`,
+        [[...jobs.keys()]]
+    );
+    return result.rows;
+}
+
+async function deleteOldRuns() {
+    const result = await pool.query(
+        `DELETE FROM job_runs
+         WHERE status <> 'running' AND started_at < CURRENT_TIMESTAMP - $1::integer * interval '1 day'`,
+        [RUN_RETENTION_DAYS]
+    );
+    return result.rowCount;
+}
+
+module.exports = {
+    INSTANCE,
+    JobError,
+    defineJob,
+    start,
+    runNow,
+    listJobs,
+    deleteOldRuns
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { toShillings } = require('./money');
+
+// Lipiana M-Pesa client. LIPIANA_BASE_URL can point at a local mock server.
+const config = {
+    baseUrl: process.env.LIPIANA_BASE_URL,
+    apiKey: process.env.LIPIANA_API_KEY,
+    callbackSecret: process.env.LIPIANA_CALLBACK_SECRET,
+    callbackUrl: process.env.LIPIANA_CALLBACK_URL,
+    timeout: parseInt(process.env.LIPIANA_TIMEOUT_MS || '15000', 10)
+};
+
+class PaymentProviderError extends Error {
+    constructor(message, response = null) {
+        super(message);
+        this.name = 'PaymentProviderError';
+        this.response = response;
+    }
+}
+
+function isConfigured() {
+    return Boolean(config.baseUrl && config.apiKey);
+}
+
+function client() {
+    if (!isConfigured()) {
+        throw new PaymentProviderError('Payment provider is not configured');
+    }
+    return axios.create({
+        baseURL: config.baseUrl,
+        timeout: config.timeout,
+        headers: {
+            Authorization: `Bearer ${config.apiKey}`,
+            'Content-Type': 'application/json'
+        }
+    });
+}
+
+// Wrap axios errors so callers only deal with PaymentProviderError
+async function request(fn) {
+    try {
+        const response = await fn(client());
+        return response.data;
+    } catch (error) {
+        if (error instanceof PaymentProviderError) {
+            throw error;
+        }
+        const data = error.response ? error.response.data : null;
+        throw new PaymentProviderError(
+            (data && (data.message || data.error)) || error.message || 'Payment provider request failed',
+            data
+        );
+    }
+}
+
+// Map provider status strings and M-Pesa result codes onto our payment statuses
+function normalizeStatus(status, resultCode) {
+    if (resultCode !== undefined && resultCode !== null) {
+        return Number(resultCode) === 0 ? 'completed' : 'failed';
+    }
+    const value = String(status || '').toLowerCase();
+    if (['success', 'successful', 'completed', 'paid'].includes(value)) {
+        return 'completed';
+    }
+    if (['failed', 'cancelled', 'canceled', 'timeout', 'expired', 'rejected'].includes(value)) {
+        return 'failed';
+    }
+    return 'pending';
+}
+
+// Read a value from an M-Pesa style CallbackMetadata.Item list
+function metadataValue(metadata, name) {
+    const items = (metadata && metadata.Item) || [];
+    const item = items.find(entry => entry.Name === name);
+    return item ? item.Value : undefined;
+}
+
+// Normalize either Lipiana's flat payload or a raw M-Pesa stkCallback body
+function parseResult(payload) {
+    const body = payload || {};
+    const stk = body.Body && body.Body.stkCallback;
+
+    if (stk) {
+        return {
+            checkoutRequestId: stk.CheckoutRequestID,
+            status: normalizeStatus(null, stk.ResultCode),
+            amount: metadataValue(stk.CallbackMetadata, 'Amount'),
+            receipt: metadataValue(stk.CallbackMetadata, 'MpesaReceiptNumber') || null,
+            description: stk.ResultDesc || null,
+            raw: body
+        };
+    }
+
+    return {
+        checkoutRequestId: body.checkoutRequestId || body.checkout_request_id,
+        status: normalizeStatus(body.status, body.resultCode),
+        amount: body.amount,
+        receipt: body.receipt || body.mpesaReceipt || body.mpesa_receipt || null,
+        description: body.resultDesc || body.message || null,
+        raw: body
+    };
+}
+
+// Start an STK push prompt on the customer's phone
+async function initiateStkPush({ phone, amount, reference, description }) {
+    const data = await request(http => http.post('/stk/push', {
+        phone,
+        amount: toShillings(amount),
+        reference,
+        description: description || `Kuku Yetu order ${reference}`,
+        callbackUrl: config.callbackUrl
+    }));
+
+    const checkoutRequestId = data.checkoutRequestId || data.CheckoutRequestID;
+    if (!checkoutRequestId) {
+        throw new PaymentProviderError('Payment provider did not return a checkout request ID', data);
+    }
+
+    return { checkoutRequestId, raw: data };
+}
+
+// Ask the provider for the outcome of an STK push, for callbacks that never arrive
+async function queryStatus(checkoutRequestId) {
+    const data = await request(http => http.get(`/stk/status/${encodeURIComponent(checkoutRequestId)}`));
+    const result = parseResult(data);
+    result.checkoutRequestId = result.checkoutRequestId || checkoutRequestId;
+    return result;
+}
+
+// Normalize a reversal response: { reversalId, status, description, raw }
+function parseReversal(data) {
+    const body = data || {};
+    return {
+        reversalId: body.reversalId || body.reversal_id || body.TransactionID || null,
+        status: normalizeStatus(body.status, body.resultCode),
+        description: body.resultDesc || body.message || null,
+        raw: body
+    };
+}
+
+// Send money from a completed payment back to the customer. `reference` is
+// our refund ID; the provider treats a repeated reference as the same
+// reversal, so a request that timed out can be sent again.
+async function reversePayment({ receipt, phone, amount, reference, reason }) {
+    const data = await request(http => http.post('/reversals', {
+        receipt,
+        phone,
+        amount: toShillings(amount),
+        reference,
+        reason
+    }));
+    return parseReversal(data);
+}
+
+// Ask the provider for the outcome of a reversal still being processed
+async function queryReversal(reversalId) {
+    const data = await request(http => http.get(`/reversals/${encodeURIComponent(reversalId)}`));
+    const result = parseReversal(data);
+    result.reversalId = result.reversalId || reversalId;
+    return result;
+}
+
+// Callbacks are signed with HMAC-SHA256 over the raw request body
+function verifySignature(rawBody, signature) {
+    if (!config.callbackSecret || !rawBody || !signature) {
+        return false;
+    }
+    const expected = crypto
+        .createHmac('sha256', config.callbackSecret)
+        .update(rawBody)
+        .digest('hex');
+    const given = Buffer.from(String(signature).replace(/^sha256=/, ''));
+
+    return given.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), given);
+}
+
+module.exports = {
+    PaymentProviderError,
+    isConfigured,
+    initiateStkPush,
+    queryStatus,
+    reversePayment,
+    queryReversal,
+    parseResult,
+    verifySignature
+};
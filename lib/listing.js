@@ -0,0 +1,152 @@
+const { ValidationError, fieldError } = require('./validation');
+
+// Helpers for list endpoints: pagination, sorting and SQL filter building
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class ListQueryError extends ValidationError {
+    constructor(message, field) {
+        super([fieldError(field, 'invalid_query', message)], message);
+        this.name = 'ListQueryError';
+    }
+}
+
+function encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (Number.isInteger(offset) && offset >= 0) {
+            return offset;
+        }
+    } catch (error) {
+        // fall through
+    }
+    throw new ListQueryError('Invalid cursor', 'cursor');
+}
+
+// Accepts ?limit= with either ?page= (1-based) or an opaque ?cursor=
+function parsePagination(query) {
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new ListQueryError(`limit must be between 1 and ${MAX_LIMIT}`, 'limit');
+    }
+
+    let offset = 0;
+    if (query.cursor) {
+        offset = decodeCursor(query.cursor);
+    } else if (query.page !== undefined) {
+        const page = parseInt(query.page, 10);
+        if (!Number.isInteger(page) || page < 1) {
+            throw new ListQueryError('page must be a positive number', 'page');
+        }
+        offset = (page - 1) * limit;
+    }
+
+    return { limit, offset };
+}
+
+// ?sort=price&order=asc, restricted to whitelisted columns
+function parseSort(query, allowed, fallback) {
+    const field = query.sort || fallback;
+    const column = allowed[field];
+    if (!column) {
+        throw new ListQueryError(`sort must be one of: ${Object.keys(allowed).join(', ')}`, 'sort');
+    }
+    const order = String(query.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+        throw new ListQueryError('order must be asc or desc', 'order');
+    }
+    return `${column} ${order.toUpperCase()}`;
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    if (['true', '1'].includes(String(value))) {
+        return true;
+    }
+    if (['false', '0'].includes(String(value))) {
+        return false;
+    }
+    throw new ListQueryError(`${name} must be true or false`, name);
+}
+
+function parseNumber(value, name) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new ListQueryError(`${name} must be a number`, name);
+    }
+    return number;
+}
+
+function parseDate(value, name) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ListQueryError(`${name} must be a valid date`, name);
+    }
+    return date;
+}
+
+// Comma-separated list param, e.g. ?status=paid,preparing
+function parseList(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Collects WHERE clauses with numbered placeholders.
+//   const filters = createFilters();
+//   filters.add(`price >= ${filters.param(100)}`);
+function createFilters() {
+    const clauses = [];
+    const params = [];
+    return {
+        params,
+        param(value) {
+            params.push(value);
+            return `$${params.length}`;
+        },
+        add(clause) {
+            clauses.push(clause);
+        },
+        where() {
+            return clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        }
+    };
+}
+
+// Pagination block for the response envelope
+function pageInfo({ limit, offset }, total, returned) {
+    const nextOffset = offset + returned;
+    return {
+        total,
+        limit,
+        page: Math.floor(offset / limit) + 1,
+        totalPages: Math.ceil(total / limit),
+        nextCursor: nextOffset < total ? encodeCursor(nextOffset) : null
+    };
+}
+
+module.exports = {
+    ListQueryError,
+    parsePagination,
+    parseSort,
+    parseBoolean,
+    parseNumber,
+    parseDate,
+    parseList,
+    createFilters,
+    pageInfo
+};
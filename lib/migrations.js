@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+// Versioned schema migrations. Each file in migrations/ is named
+// NNN_description.js and exports async up(client) and down(client).
+// Every migration runs in its own transaction, and an advisory lock keeps
+// two processes from migrating the same database at once.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_KEY = 'kuku_yetu_migrations';
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { id: path.basename(file, '.js'), ...migration };
+        });
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            id VARCHAR(255) PRIMARY KEY,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function appliedIds(db) {
+    await ensureMigrationsTable(db);
+    const result = await db.query('SELECT id FROM schema_migrations ORDER BY id ASC');
+    return result.rows.map(row => row.id);
+}
+
+// Applied, pending and unknown (applied but missing on disk) migrations
+async function status(db = pool) {
+    const migrations = loadMigrations();
+    const applied = await appliedIds(db);
+    const known = new Set(migrations.map(m => m.id));
+
+    return {
+        applied,
+        pending: migrations.filter(m => !applied.includes(m.id)).map(m => m.id),
+        unknown: applied.filter(id => !known.has(id))
+    };
+}
+
+async function pendingMigrations(db = pool) {
+    return (await status(db)).pending;
+}
+
+// Hold the advisory lock on one client for the whole run
+async function withMigrationLock(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_KEY]);
+        try {
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+async function runInTransaction(client, fn) {
+    await client.query('BEGIN');
+    try {
+        await fn();
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+// Apply every pending migration in order. Returns the IDs applied.
+async function migrateUp({ log = console.log } = {}) {
+    return withMigrationLock(async (client) => {
+        const applied = await appliedIds(client);
+        const done = [];
+
+        for (const migration of loadMigrations()) {
+            if (applied.includes(migration.id)) {
+                continue;
+            }
+            log(`⬆️  ${migration.id}`);
+            await runInTransaction(client, async () => {
+                await migration.up(client);
+                await client.query('INSERT INTO schema_migrations (id) VALUES ($1)', [migration.id]);
+            });
+            done.push(migration.id);
+        }
+
+        return done;
+    });
+}
+
+// Roll back the most recent `steps` migrations. Returns the IDs reverted.
+async function migrateDown({ steps = 1, log = console.log } = {}) {
+    return withMigrationLock(async (client) => {
+        const byId = new Map(loadMigrations().map(m => [m.id, m]));
+        const applied = await appliedIds(client);
+        const done = [];
+
+        for (const id of applied.reverse().slice(0, steps)) {
+            const migration = byId.get(id);
+            if (!migration) {
+                throw new Error(`Cannot roll back ${id}: migration file not found`);
+            }
+            log(`⬇️  ${id}`);
+            await runInTransaction(client, async () => {
+                await migration.down(client);
+                await client.query('DELETE FROM schema_migrations WHERE id = $1', [id]);
+            });
+            done.push(id);
+        }
+
+        return done;
+    });
+}
+
+// Write a new empty migration file with the next number
+function createMigration(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!slug) {
+        throw new Error('Migration name is required');
+    }
+    const last = loadMigrations().pop();
+    const next = String((last ? parseInt(last.id, 10) : 0) + 1).padStart(3, '0');
+    const file = path.join(MIGRATIONS_DIR, `${next}_${slug}.js`);
+
+    fs.writeFileSync(file, `// ${name}
+module.exports = {
+    async up(client) {
+        await client.query(\`
+        \`);
+    },
+
+    async down(client) {
+        await client.query(\`
+        \`);
+    }
+};
+`);
+    return file;
+}
+
+module.exports = {
+    status,
+    pendingMigrations,
+    migrateUp,
+    migrateDown,
+    createMigration
+};
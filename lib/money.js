@@ -0,0 +1,14 @@
+// Round to cents so DECIMAL(10, 2) columns and JSON totals agree
+function toMoney(value) {
+    return Math.round(Number(value) * 100) / 100;
+}
+
+// M-Pesa moves whole shillings: payments charge and refunds send this much
+function toShillings(value) {
+    return Math.round(Number(value));
+}
+
+module.exports = {
+    toMoney,
+    toShillings
+};
@@ -0,0 +1,107 @@
+const fs = require('fs/promises');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+// SMS and email senders. Each provider exposes
+//   send({ to, subject, body }) -> { messageId }
+// and throws on failure so the queue can retry.
+// Choose with SMS_PROVIDER / EMAIL_PROVIDER; 'outbox' (the default) only logs
+// messages, and appends them to NOTIFICATION_OUTBOX_FILE when that is set.
+// It sends nothing, so production refuses it. A message marked `secret`
+// (a login code) is never written to the log.
+
+function outboxProvider(channel) {
+    return {
+        name: 'outbox',
+        async send(message) {
+            const entry = { id: `outbox-${uuidv4()}`, channel, ...message, at: new Date().toISOString() };
+            const shown = message.secret ? '(not logged)' : message.subject || message.body;
+            console.log(`📨 [${channel}] to ${message.to}: ${shown}`);
+            if (process.env.NOTIFICATION_OUTBOX_FILE) {
+                await fs.appendFile(process.env.NOTIFICATION_OUTBOX_FILE, JSON.stringify(entry) + '\n');
+            }
+            return { messageId: entry.id };
+        }
+    };
+}
+
+// Africa's Talking bulk SMS API
+function africasTalkingProvider() {
+    const baseUrl = process.env.AFRICASTALKING_BASE_URL || 'https://api.africastalking.com';
+    return {
+        name: 'africastalking',
+        async send({ to, body }) {
+            const form = new URLSearchParams({
+                username: process.env.AFRICASTALKING_USERNAME || '',
+                to,
+                message: body
+            });
+            if (process.env.AFRICASTALKING_SENDER_ID) {
+                form.append('from', process.env.AFRICASTALKING_SENDER_ID);
+            }
+            const response = await axios.post(`${baseUrl}/version1/messaging`, form.toString(), {
+                timeout: 15000,
+                headers: {
+                    apiKey: process.env.AFRICASTALKING_API_KEY || '',
+                    Accept: 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+            const recipient = response.data.SMSMessageData.Recipients[0];
+            if (!recipient || !['Success', 'Sent'].includes(recipient.status)) {
+                throw new Error(`SMS rejected: ${recipient ? recipient.status : response.data.SMSMessageData.Message}`);
+            }
+            return { messageId: recipient.messageId };
+        }
+    };
+}
+
+// SendGrid v3 mail API
+function sendGridProvider() {
+    const baseUrl = process.env.SENDGRID_BASE_URL || 'https://api.sendgrid.com';
+    return {
+        name: 'sendgrid',
+        async send({ to, subject, body }) {
+            const response = await axios.post(`${baseUrl}/v3/mail/send`, {
+                personalizations: [{ to: [{ email: to }] }],
+                from: { email: process.env.EMAIL_FROM || 'orders@kukuyetu.co.ke', name: 'Kuku Yetu' },
+                subject,
+                content: [{ type: 'text/plain', value: body }]
+            }, {
+                timeout: 15000,
+                headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY || ''}` }
+            });
+            return { messageId: response.headers['x-message-id'] || null };
+        }
+    };
+}
+
+const SMS_PROVIDERS = {
+    outbox: () => outboxProvider('sms'),
+    africastalking: africasTalkingProvider
+};
+
+const EMAIL_PROVIDERS = {
+    outbox: () => outboxProvider('email'),
+    sendgrid: sendGridProvider
+};
+
+function createProvider(registry, name, variable) {
+    const factory = registry[name];
+    if (!factory) {
+        throw new Error(`Unknown ${variable} "${name}"`);
+    }
+    if (name === 'outbox' && process.env.NODE_ENV === 'production') {
+        throw new Error(`${variable} must name a real provider in production; the outbox sends nothing`);
+    }
+    return factory();
+}
+
+const providers = {
+    sms: createProvider(SMS_PROVIDERS, process.env.SMS_PROVIDER || 'outbox', 'SMS_PROVIDER'),
+    email: createProvider(EMAIL_PROVIDERS, process.env.EMAIL_PROVIDER || 'outbox', 'EMAIL_PROVIDER')
+};
+
+module.exports = {
+    providers
+};
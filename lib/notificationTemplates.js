@@ -0,0 +1,182 @@
+// Customer and staff message templates, in English (en) and Swahili (sw).
+// Each template returns { sms, subject, body } for an order.
+
+const LOCALES = ['en', 'sw'];
+
+function money(value) {
+    return `KES ${Number(value).toLocaleString('en-KE')}`;
+}
+
+function itemSummary(order) {
+    return (order.items || []).map(item => `${item.quantity} x ${item.title}`).join(', ');
+}
+
+function eta(order) {
+    if (!order.estimated_delivery) {
+        return null;
+    }
+    return new Date(order.estimated_delivery).toLocaleTimeString('en-KE', {
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: process.env.TIMEZONE || 'Africa/Nairobi'
+    });
+}
+
+const customer = {
+    order_created: {
+        en: order => ({
+            sms: `Kuku Yetu: we received order ${order.id} (${money(order.total)}). Complete the M-Pesa payment to confirm it.`,
+            subject: `We received your order ${order.id}`,
+            body: `Hi ${order.customer_name},\n\nThank you for ordering from Kuku Yetu.\n\n` +
+                `Order: ${order.id}\nItems: ${itemSummary(order)}\nTotal: ${money(order.total)}\n\n` +
+                'Complete the M-Pesa payment on your phone to confirm your order.\n\nKuku Yetu'
+        }),
+        sw: order => ({
+            sms: `Kuku Yetu: tumepokea oda ${order.id} (${money(order.total)}). Kamilisha malipo ya M-Pesa ili kuithibitisha.`,
+            subject: `Tumepokea oda yako ${order.id}`,
+            body: `Habari ${order.customer_name},\n\nAsante kwa kuagiza kutoka Kuku Yetu.\n\n` +
+                `Oda: ${order.id}\nBidhaa: ${itemSummary(order)}\nJumla: ${money(order.total)}\n\n` +
+                'Kamilisha malipo ya M-Pesa kwenye simu yako ili kuthibitisha oda yako.\n\nKuku Yetu'
+        })
+    },
+    payment_reminder: {
+        en: order => ({
+            sms: `Kuku Yetu: order ${order.id} (${money(order.total)}) is waiting for payment. Pay with M-Pesa soon or it will be cancelled.`,
+            subject: `Order ${order.id} is waiting for payment`,
+            body: `Hi ${order.customer_name},\n\nWe have not received payment for order ${order.id} (${money(order.total)}) yet. ` +
+                'Complete the M-Pesa payment soon to confirm it, or the order will be cancelled and its items released.\n\nKuku Yetu'
+        }),
+        sw: order => ({
+            sms: `Kuku Yetu: oda ${order.id} (${money(order.total)}) inasubiri malipo. Lipa kwa M-Pesa mapema la sivyo itasitishwa.`,
+            subject: `Oda ${order.id} inasubiri malipo`,
+            body: `Habari ${order.customer_name},\n\nBado hatujapokea malipo ya oda ${order.id} (${money(order.total)}). ` +
+                'Kamilisha malipo ya M-Pesa mapema ili kuithibitisha, la sivyo oda itasitishwa.\n\nKuku Yetu'
+        })
+    },
+    paid: {
+        en: order => ({
+            sms: `Kuku Yetu: payment of ${money(order.total)} received. Order ${order.id} is confirmed.`,
+            subject: `Order ${order.id} confirmed`,
+            body: `Hi ${order.customer_name},\n\nWe received your payment of ${money(order.total)}. ` +
+                `Order ${order.id} is confirmed and will be prepared shortly.\n\nKuku Yetu`
+        }),
+        sw: order => ({
+            sms: `Kuku Yetu: malipo ya ${money(order.total)} yamepokelewa. Oda ${order.id} imethibitishwa.`,
+            subject: `Oda ${order.id} imethibitishwa`,
+            body: `Habari ${order.customer_name},\n\nTumepokea malipo yako ya ${money(order.total)}. ` +
+                `Oda ${order.id} imethibitishwa na itaandaliwa hivi karibuni.\n\nKuku Yetu`
+        })
+    },
+    preparing: {
+        en: order => ({
+            sms: `Kuku Yetu: order ${order.id} is being prepared.`,
+            subject: `Order ${order.id} is being prepared`,
+            body: `Hi ${order.customer_name},\n\nWe are preparing order ${order.id}.` +
+                (eta(order) ? ` Expected delivery around ${eta(order)}.` : '') + '\n\nKuku Yetu'
+        }),
+        sw: order => ({
+            sms: `Kuku Yetu: oda ${order.id} inaandaliwa.`,
+            subject: `Oda ${order.id} inaandaliwa`,
+            body: `Habari ${order.customer_name},\n\nTunaandaa oda ${order.id}.` +
+                (eta(order) ? ` Inatarajiwa kufika karibu saa ${eta(order)}.` : '') + '\n\nKuku Yetu'
+        })
+    },
+    out_for_delivery: {
+        en: order => ({
+            sms: `Kuku Yetu: order ${order.id} is on the way` + (eta(order) ? `, arriving around ${eta(order)}.` : '.'),
+            subject: `Order ${order.id} is out for delivery`,
+            body: `Hi ${order.customer_name},\n\nOrder ${order.id} is on the way to ${order.location}.` +
+                (eta(order) ? ` Expected around ${eta(order)}.` : '') + '\n\nKuku Yetu'
+        }),
+        sw: order => ({
+            sms: `Kuku Yetu: oda ${order.id} iko njiani` + (eta(order) ? `, itafika karibu saa ${eta(order)}.` : '.'),
+            subject: `Oda ${order.id} iko njiani`,
+            body: `Habari ${order.customer_name},\n\nOda ${order.id} iko njiani kuelekea ${order.location}.` +
+                (eta(order) ? ` Inatarajiwa karibu saa ${eta(order)}.` : '') + '\n\nKuku Yetu'
+        })
+    },
+    delivered: {
+        en: order => ({
+            sms: `Kuku Yetu: order ${order.id} has been delivered. Thank you!`,
+            subject: `Order ${order.id} delivered`,
+            body: `Hi ${order.customer_name},\n\nOrder ${order.id} has been delivered. Thank you for choosing Kuku Yetu!\n\nKuku Yetu`
+        }),
+        sw: order => ({
+            sms: `Kuku Yetu: oda ${order.id} imefikishwa. Asante!`,
+            subject: `Oda ${order.id} imefikishwa`,
+            body: `Habari ${order.customer_name},\n\nOda ${order.id} imefikishwa. Asante kwa kuchagua Kuku Yetu!\n\nKuku Yetu`
+        })
+    },
+    cancelled: {
+        en: order => ({
+            sms: `Kuku Yetu: order ${order.id} has been cancelled.`,
+            subject: `Order ${order.id} cancelled`,
+            body: `Hi ${order.customer_name},\n\nOrder ${order.id} has been cancelled. ` +
+                'If you already paid, we will contact you about your refund.\n\nKuku Yetu'
+        }),
+        sw: order => ({
+            sms: `Kuku Yetu: oda ${order.id} imesitishwa.`,
+            subject: `Oda ${order.id} imesitishwa`,
+            body: `Habari ${order.customer_name},\n\nOda ${order.id} imesitishwa. ` +
+                'Kama ulishalipa, tutawasiliana nawe kuhusu kurudishiwa pesa.\n\nKuku Yetu'
+        })
+    },
+    refunded: {
+        en: order => ({
+            sms: `Kuku Yetu: your payment for order ${order.id} has been refunded.`,
+            subject: `Order ${order.id} refunded`,
+            body: `Hi ${order.customer_name},\n\nYour payment for order ${order.id} has been refunded.\n\nKuku Yetu`
+        }),
+        sw: order => ({
+            sms: `Kuku Yetu: malipo yako ya oda ${order.id} yamerudishwa.`,
+            subject: `Malipo ya oda ${order.id} yamerudishwa`,
+            body: `Habari ${order.customer_name},\n\nMalipo yako ya oda ${order.id} yamerudishwa.\n\nKuku Yetu`
+        })
+    }
+};
+
+// Staff alerts are English only
+const staff = {
+    order_created: order => ({
+        sms: `New order ${order.id}: ${itemSummary(order)} - ${money(order.total)} to ${order.location}`,
+        subject: `New order ${order.id} (${money(order.total)})`,
+        body: `New order ${order.id}\n\nCustomer: ${order.customer_name} (${order.phone})\n` +
+            `Deliver to: ${order.location}\nItems: ${itemSummary(order)}\nTotal: ${money(order.total)}\n` +
+            (order.delivery_notes ? `Notes: ${order.delivery_notes}\n` : '')
+    }),
+    paid: order => ({
+        sms: `Order ${order.id} paid (${money(order.total)}). Ready to prepare.`,
+        subject: `Order ${order.id} paid`,
+        body: `Order ${order.id} for ${order.customer_name} has been paid (${money(order.total)}) and can be prepared.`
+    })
+};
+
+// One-time login codes. These go straight to the SMS provider and are never
+// written to the notification queue.
+const otp = {
+    en: (code, minutes) => `Kuku Yetu: your verification code is ${code}. It expires in ${minutes} minutes. Do not share it with anyone.`,
+    sw: (code, minutes) => `Kuku Yetu: nambari yako ya uthibitisho ni ${code}. Itaisha baada ya dakika ${minutes}. Usimpe mtu yeyote.`
+};
+
+function customerMessage(event, order, locale) {
+    const template = customer[event];
+    if (!template) {
+        return null;
+    }
+    return (template[locale] || template.en)(order);
+}
+
+function staffMessage(event, order) {
+    return staff[event] ? staff[event](order) : null;
+}
+
+function otpMessage(code, minutes, locale) {
+    return { sms: (otp[locale] || otp.en)(code, minutes) };
+}
+
+module.exports = {
+    LOCALES,
+    customerMessage,
+    staffMessage,
+    otpMessage
+};
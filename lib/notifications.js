@@ -0,0 +1,147 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const templates = require('./notificationTemplates');
+const { providers } = require('./notificationProviders');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5', 10);
+const BATCH_SIZE = 20;
+
+// Comma-separated staff contacts for new-order and payment alerts
+function staffContacts() {
+    const split = value => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+    return {
+        sms: split(process.env.STAFF_NOTIFY_PHONES),
+        email: split(process.env.STAFF_NOTIFY_EMAILS)
+    };
+}
+
+async function enqueue(db, { event, channel, recipient, audience, locale, message, orderId }) {
+    await db.query(
+        `INSERT INTO notifications (id, event, channel, audience, recipient, locale, subject, body,
+                                    order_id, max_attempts)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [uuidv4(), event, channel, audience, recipient, locale,
+         channel === 'email' ? message.subject : null,
+         channel === 'sms' ? message.sms : message.body,
+         orderId, MAX_ATTEMPTS]
+    );
+}
+
+// Queue the customer and staff messages for an order event. Pass the
+// caller's transaction client so messages are only queued if the change
+// that triggered them commits. Events: order_created or an order status.
+async function notifyOrderEvent(db, event, order) {
+    const locale = templates.LOCALES.includes(order.locale) ? order.locale : 'en';
+
+    const customerMessage = templates.customerMessage(event, order, locale);
+    if (customerMessage) {
+        if (order.phone) {
+            await enqueue(db, {
+                event, channel: 'sms', audience: 'customer', recipient: order.phone,
+                locale, message: customerMessage, orderId: order.id
+            });
+        }
+        if (order.email) {
+            await enqueue(db, {
+                event, channel: 'email', audience: 'customer', recipient: order.email,
+                locale, message: customerMessage, orderId: order.id
+            });
+        }
+    }
+
+    const staffMessage = templates.staffMessage(event, order);
+    if (staffMessage) {
+        const contacts = staffContacts();
+        for (const channel of ['sms', 'email']) {
+            for (const recipient of contacts[channel]) {
+                await enqueue(db, {
+                    event, channel, audience: 'staff', recipient,
+                    locale: 'en', message: staffMessage, orderId: order.id
+                });
+            }
+        }
+    }
+}
+
+// Claim due notifications so concurrent workers never send the same one
+async function claimBatch() {
+    const result = await pool.query(
+        `UPDATE notifications SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id IN (
+             SELECT id FROM notifications
+             WHERE status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP
+             ORDER BY next_attempt_at ASC
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [BATCH_SIZE]
+    );
+    return result.rows;
+}
+
+async function deliver(notification) {
+    const provider = providers[notification.channel];
+    try {
+        const { messageId } = await provider.send({
+            to: notification.recipient,
+            subject: notification.subject,
+            body: notification.body
+        });
+        await pool.query(
+            `UPDATE notifications
+             SET status = 'sent', provider = $1, provider_message_id = $2, last_error = NULL,
+                 sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            [provider.name, messageId, notification.id]
+        );
+        return true;
+    } catch (error) {
+        // Back off 1, 4, 9, 16... minutes between attempts
+        const exhausted = notification.attempts >= notification.max_attempts;
+        await pool.query(
+            `UPDATE notifications
+             SET status = $1, provider = $2, last_error = $3,
+                 next_attempt_at = CURRENT_TIMESTAMP + ($4 || ' minutes')::interval,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5`,
+            [exhausted ? 'failed' : 'queued', provider.name, error.message,
+             String(notification.attempts ** 2), notification.id]
+        );
+        return false;
+    }
+}
+
+// Send everything that is due. Returns counts for logging.
+async function processQueue() {
+    let sent = 0;
+    let failed = 0;
+
+    for (;;) {
+        const batch = await claimBatch();
+        if (batch.length === 0) {
+            return { sent, failed };
+        }
+        for (const notification of batch) {
+            if (await deliver(notification)) {
+                sent++;
+            } else {
+                failed++;
+            }
+        }
+    }
+}
+
+// Notifications stuck in 'sending' (e.g. the process died mid-send) go back in the queue
+async function requeueStale() {
+    await pool.query(
+        `UPDATE notifications SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+         WHERE status = 'sending' AND updated_at < CURRENT_TIMESTAMP - INTERVAL '10 minutes'`
+    );
+}
+
+module.exports = {
+    notifyOrderEvent,
+    processQueue,
+    requeueStale
+};
@@ -0,0 +1,169 @@
+const inventory = require('./inventory');
+const notifications = require('./notifications');
+const events = require('./events');
+
+// Order lifecycle:
+//   pending -> paid -> preparing -> out_for_delivery -> delivered
+// with cancelled and refunded as side exits.
+const STATUSES = ['pending', 'paid', 'preparing', 'out_for_delivery', 'delivered', 'cancelled', 'refunded'];
+
+const TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['preparing', 'cancelled', 'refunded'],
+    preparing: ['out_for_delivery', 'cancelled', 'refunded'],
+    out_for_delivery: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+// Statuses that count as a sale (used for revenue figures)
+const PAID_STATUSES = ['paid', 'preparing', 'out_for_delivery', 'delivered'];
+
+// Statuses only the payment and refund flows may set
+const SYSTEM_STATUSES = ['paid', 'refunded'];
+
+const PREPARATION_MINUTES = parseInt(process.env.PREPARATION_MINUTES || '30', 10);
+const DELIVERY_MINUTES = parseInt(process.env.DELIVERY_MINUTES || '45', 10);
+
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'system' };
+
+class OrderTransitionError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'OrderTransitionError';
+        this.status = status;
+    }
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Actor for history rows from an authenticated admin request
+function adminActor(admin) {
+    return { type: 'admin', id: admin.id, name: admin.name };
+}
+
+// Actor for history rows from a rider's app
+function riderActor(rider) {
+    return { type: 'rider', id: rider.id, name: rider.name };
+}
+
+async function recordStatusChange(client, orderId, fromStatus, toStatus, actor = SYSTEM_ACTOR, note = null) {
+    await client.query(
+        `INSERT INTO order_status_history (order_id, from_status, to_status, actor_type, actor_id, actor_name, note)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [orderId, fromStatus, toStatus, actor.type, actor.id, actor.name, note]
+    );
+}
+
+// Work out the new ETA. Only moving into preparation or dispatch changes it,
+// and an explicit ETA from staff always wins.
+function nextEstimatedDelivery(order, toStatus, estimatedDelivery) {
+    if (estimatedDelivery) {
+        return new Date(estimatedDelivery);
+    }
+    if (toStatus === 'preparing' && !order.estimated_delivery) {
+        return new Date(Date.now() + (PREPARATION_MINUTES + DELIVERY_MINUTES) * 60 * 1000);
+    }
+    if (toStatus === 'out_for_delivery') {
+        return new Date(Date.now() + DELIVERY_MINUTES * 60 * 1000);
+    }
+    return order.estimated_delivery;
+}
+
+// Move an order to a new status inside the caller's transaction, enforcing
+// the lifecycle rules and recording the change in order_status_history.
+async function transitionOrder(client, orderId, toStatus, { actor = SYSTEM_ACTOR, note = null, estimatedDelivery = null } = {}) {
+    if (!STATUSES.includes(toStatus)) {
+        throw new OrderTransitionError('Invalid status', 400);
+    }
+
+    const result = await client.query(
+        'SELECT * FROM orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+    );
+    const order = result.rows[0];
+
+    if (!order) {
+        throw new OrderTransitionError('Order not found', 404);
+    }
+
+    if (!canTransition(order.status, toStatus)) {
+        throw new OrderTransitionError(`Cannot change order from ${order.status} to ${toStatus}`);
+    }
+
+    const updated = await client.query(
+        `UPDATE orders
+         SET status = $1,
+             estimated_delivery = $2,
+             payment_verified = payment_verified OR $4,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [toStatus, nextEstimatedDelivery(order, toStatus, estimatedDelivery), orderId, toStatus === 'paid']
+    );
+
+    // Cancelled orders put their stock back on the shelf
+    if (toStatus === 'cancelled') {
+        await inventory.releaseReservation(client, orderId, { includeCommitted: true });
+    }
+
+    // A rider assignment still open when the order is finished or called off
+    // ends with it (riders close their own deliveries before getting here)
+    if (['delivered', 'cancelled', 'refunded'].includes(toStatus)) {
+        await client.query(
+            `UPDATE deliveries
+             SET status = CASE WHEN $2 THEN 'delivered' ELSE 'unassigned' END,
+                 delivered_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP END,
+                 unassigned_at = CASE WHEN $2 THEN NULL ELSE CURRENT_TIMESTAMP END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE order_id = $1 AND status IN ('assigned', 'picked_up')`,
+            [orderId, toStatus === 'delivered']
+        );
+    }
+
+    await recordStatusChange(client, orderId, order.status, toStatus, actor, note);
+
+    // Queued in the same transaction, so a rolled-back change sends nothing
+    await notifications.notifyOrderEvent(client, toStatus, updated.rows[0]);
+    await events.publishOrderEvent(client, 'order.status_changed', updated.rows[0], order.status);
+    if (toStatus === 'paid') {
+        await events.publishOrderEvent(client, 'payment.verified', updated.rows[0], order.status);
+    }
+
+    return updated.rows[0];
+}
+
+async function getTimeline(db, orderId) {
+    const result = await db.query(
+        `SELECT from_status, to_status, actor_type, actor_name, note, created_at
+         FROM order_status_history
+         WHERE order_id = $1
+         ORDER BY created_at ASC, id ASC`,
+        [orderId]
+    );
+    return result.rows.map(row => ({
+        from: row.from_status,
+        status: row.to_status,
+        actor: row.actor_type === 'admin' ? row.actor_name : row.actor_type,
+        note: row.note,
+        at: row.created_at
+    }));
+}
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    PAID_STATUSES,
+    SYSTEM_STATUSES,
+    SYSTEM_ACTOR,
+    OrderTransitionError,
+    canTransition,
+    adminActor,
+    riderActor,
+    recordStatusChange,
+    transitionOrder,
+    getTimeline
+};
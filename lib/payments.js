@@ -0,0 +1,360 @@
+const { pool, withTransaction } = require('./db');
+const { toMoney } = require('./money');
+const inventory = require('./inventory');
+const orders = require('./orders');
+const notifications = require('./notifications');
+const slots = require('./slots');
+const lipiana = require('./lipiana');
+const refunds = require('./refunds');
+
+// How long an M-Pesa prompt stays open on the customer's phone. A pending
+// payment younger than this is still in progress and is not started again.
+const PAYMENT_RETRY_SECONDS = parseInt(process.env.PAYMENT_RETRY_SECONDS || '120', 10);
+
+// Unpaid orders are cancelled this long after they were placed, and the
+// customer is reminded once after PAYMENT_REMINDER_MINUTES (0 turns
+// reminders off)
+const UNPAID_ORDER_EXPIRY_MINUTES = parseInt(process.env.UNPAID_ORDER_EXPIRY_MINUTES || '60', 10);
+const PAYMENT_REMINDER_MINUTES = parseInt(process.env.PAYMENT_REMINDER_MINUTES || '15', 10);
+
+const BATCH_SIZE = 50;
+
+// requeryPayment outcomes that leave the payment pending
+const UNSETTLED = ['pending', 'unreachable'];
+
+// Apply a provider result (from a callback or a status query) to a payment
+// and its order. Runs in one transaction with both rows locked, so a late
+// callback racing a status query settles the payment exactly once.
+//
+// Returns { outcome, payment, order } where outcome is one of
+// 'completed', 'failed', 'pending', 'already_settled', 'amount_mismatch',
+// 'order_not_payable', 'stock_unavailable' or 'slot_full'. An
+// 'order_not_payable' result also carries the refund it recorded.
+async function settlePayment(paymentId, result) {
+    return withTransaction(async (client) => {
+        const paymentResult = await client.query(
+            'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+            [paymentId]
+        );
+        const payment = paymentResult.rows[0];
+        if (!payment) {
+            return { outcome: 'not_found', payment: null, order: null };
+        }
+
+        const orderResult = await client.query(
+            'SELECT * FROM orders WHERE id = $1 FOR UPDATE',
+            [payment.order_id]
+        );
+        let order = orderResult.rows[0];
+
+        // Always keep the raw provider payload
+        await client.query(
+            'UPDATE payments SET lipiana_response = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [JSON.stringify(result.raw || {}), paymentId]
+        );
+
+        if (payment.status !== 'pending') {
+            return { outcome: 'already_settled', payment, order };
+        }
+
+        if (result.status === 'pending') {
+            return { outcome: 'pending', payment, order };
+        }
+
+        if (result.status === 'failed') {
+            const failed = await client.query(
+                `UPDATE payments
+                 SET status = 'failed', failure_reason = $1, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $2 RETURNING *`,
+                [result.description || 'Payment failed', paymentId]
+            );
+            return { outcome: 'failed', payment: failed.rows[0], order };
+        }
+
+        // Money was received: never confirm an order for the wrong amount.
+        // The payment records what was charged, the total in whole shillings.
+        const paid = toMoney(result.amount);
+        if (paid !== toMoney(payment.amount)) {
+            const mismatched = await client.query(
+                `UPDATE payments
+                 SET status = 'amount_mismatch', transaction_id = COALESCE($1, transaction_id),
+                     failure_reason = $2, received_amount = $4, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $3 RETURNING *`,
+                [result.receipt, `Paid ${paid} but ${toMoney(payment.amount)} was charged`, paymentId, paid]
+            );
+            return { outcome: 'amount_mismatch', payment: mismatched.rows[0], order };
+        }
+
+        // The order may have been cancelled while the customer was paying.
+        // The money is kept on record with a refund for staff to approve.
+        if (order.status !== 'pending') {
+            const orphaned = await client.query(
+                `UPDATE payments
+                 SET status = 'completed', transaction_id = COALESCE($1, transaction_id),
+                     failure_reason = $2, received_amount = amount,
+                     verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $3 RETURNING *`,
+                [result.receipt, `Paid while order was ${order.status}`, paymentId]
+            );
+            const refund = await refunds.requestRefund(client, order, {
+                reason: `Paid while order was ${order.status}`,
+                actor: orders.SYSTEM_ACTOR
+            });
+            return { outcome: 'order_not_payable', payment: orphaned.rows[0], order, refund };
+        }
+
+        // Stock may have been released if the reservation expired before
+        // the customer paid, and the order's delivery slot place with it.
+        // Keep the payment record either way.
+        let unavailable = null;
+        await client.query('SAVEPOINT commit_stock');
+        try {
+            const slotLapsed = await slots.slotLapsed(client, order);
+            await inventory.commitReservation(client, order.id);
+            if (slotLapsed) {
+                await slots.reclaimSlot(client, order);
+            }
+        } catch (error) {
+            if (error instanceof inventory.InventoryError) {
+                unavailable = { outcome: 'stock_unavailable', reason: 'Paid after stock reservation expired' };
+            } else if (error instanceof slots.SlotError) {
+                unavailable = { outcome: 'slot_full', reason: 'Paid after the delivery slot filled up' };
+            } else {
+                throw error;
+            }
+            await client.query('ROLLBACK TO SAVEPOINT commit_stock');
+        }
+
+        const completed = await client.query(
+            `UPDATE payments
+             SET status = 'completed', transaction_id = COALESCE($1, transaction_id),
+                 failure_reason = $2, received_amount = amount,
+                 verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3 RETURNING *`,
+            [result.receipt, unavailable ? unavailable.reason : null, paymentId]
+        );
+
+        if (unavailable) {
+            return { outcome: unavailable.outcome, payment: completed.rows[0], order };
+        }
+
+        order = await orders.transitionOrder(client, order.id, 'paid', {
+            note: result.receipt ? `M-Pesa receipt ${result.receipt}` : 'Payment confirmed'
+        });
+
+        return { outcome: 'completed', payment: completed.rows[0], order };
+    });
+}
+
+// Settle a pending payment from the provider's view of it. Returns the
+// settlePayment outcome, 'never_started' for a payment whose STK push never
+// went out, or 'unreachable' when the provider could not be asked.
+async function requeryPayment(payment) {
+    // The request that created it died before the STK push went out
+    if (!payment.checkout_request_id) {
+        await pool.query(
+            `UPDATE payments
+             SET status = 'failed', failure_reason = 'Payment was never started', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'pending'`,
+            [payment.id]
+        );
+        return 'never_started';
+    }
+
+    try {
+        const settled = await settlePayment(payment.id, await lipiana.queryStatus(payment.checkout_request_id));
+        return settled.outcome;
+    } catch (error) {
+        if (!(error instanceof lipiana.PaymentProviderError)) {
+            throw error;
+        }
+        console.error('Payment status query failed:', error.message);
+        return 'unreachable';
+    }
+}
+
+// The order's pending payment while it is still in progress, else null.
+// An order has at most one pending payment. One older than
+// PAYMENT_RETRY_SECONDS is checked with the provider first, so a customer
+// who dismissed the prompt can start a new one.
+async function openPayment(orderId) {
+    const result = await pool.query(
+        `SELECT *, created_at < CURRENT_TIMESTAMP - ($2 || ' seconds')::interval AS stale
+         FROM payments
+         WHERE order_id = $1 AND status = 'pending'`,
+        [orderId, String(PAYMENT_RETRY_SECONDS)]
+    );
+    const payment = result.rows[0];
+    if (!payment || !payment.stale) {
+        return payment || null;
+    }
+
+    const outcome = await requeryPayment(payment);
+    return UNSETTLED.includes(outcome) ? payment : null;
+}
+
+// Ask the provider about payments left pending past PAYMENT_RETRY_SECONDS
+// (e.g. a callback that never arrived). Returns a count per outcome.
+async function requeryStalePayments() {
+    const result = await pool.query(
+        `SELECT * FROM payments
+         WHERE status = 'pending' AND created_at < CURRENT_TIMESTAMP - ($1 || ' seconds')::interval
+         ORDER BY created_at ASC
+         LIMIT $2`,
+        [String(PAYMENT_RETRY_SECONDS), BATCH_SIZE]
+    );
+
+    const outcomes = {};
+    for (const payment of result.rows) {
+        const outcome = await requeryPayment(payment);
+        outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    }
+    return outcomes;
+}
+
+// Cancel orders left unpaid for UNPAID_ORDER_EXPIRY_MINUTES, which puts
+// their stock back. Their pending payments are settled with the provider
+// first; an order whose payment is still in progress (or cannot be checked)
+// is left for the next run, since a payment marked failed here would ignore
+// a late success. An order still pending with a completed payment was paid
+// after its stock or slot went; it is cancelled with a refund for staff to
+// approve, so the customer's money is not kept for an order never filled.
+//
+// Orders left waiting are passed over for the rest of the run, so however
+// many there are (e.g. while the provider is down) the ones behind them
+// still expire. Subscription orders are placed without the customer at
+// hand, so they can be paid until their delivery slot's cutoff instead.
+async function expireUnpaidOrders() {
+    let expired = 0;
+    let waiting = 0;
+    let refunded = 0;
+    const passed = [];
+
+    for (;;) {
+        const result = await pool.query(
+            `SELECT o.id FROM orders o
+             WHERE o.status = 'pending' AND o.created_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::interval
+               AND NOT (o.id = ANY($2::varchar[]))
+               AND (o.subscription_id IS NULL OR COALESCE(
+                   o.delivery_window_start - (
+                       SELECT s.cutoff_minutes FROM delivery_slots s WHERE s.id = o.delivery_slot_id
+                   ) * interval '1 minute',
+                   o.created_at
+               ) <= CURRENT_TIMESTAMP)
+               AND NOT EXISTS (
+                   SELECT 1 FROM payments p
+                   WHERE p.order_id = o.id AND p.status = 'pending'
+                     AND p.created_at >= CURRENT_TIMESTAMP - ($3 || ' seconds')::interval
+               )
+             ORDER BY o.created_at ASC
+             LIMIT $4`,
+            [String(UNPAID_ORDER_EXPIRY_MINUTES), passed, String(PAYMENT_RETRY_SECONDS), BATCH_SIZE]
+        );
+
+        for (const { id } of result.rows) {
+            const outcome = await expireUnpaidOrder(id);
+            if (outcome === 'expired' || outcome === 'refunded') {
+                expired++;
+                refunded += outcome === 'refunded' ? 1 : 0;
+            } else {
+                waiting += outcome === 'waiting' ? 1 : 0;
+                passed.push(id);
+            }
+        }
+
+        if (result.rows.length < BATCH_SIZE) {
+            return { expired, waiting, refunded };
+        }
+    }
+}
+
+// Cancel one unpaid order for expireUnpaidOrders. Returns 'expired',
+// 'refunded' when a refund was recorded with it, 'waiting' while a payment
+// is in progress, or null when it was paid or cancelled meanwhile.
+async function expireUnpaidOrder(id) {
+    const open = await pool.query(
+        `SELECT * FROM payments WHERE order_id = $1 AND status = 'pending'`,
+        [id]
+    );
+    let inProgress = false;
+    for (const payment of open.rows) {
+        if (UNSETTLED.includes(await requeryPayment(payment))) {
+            inProgress = true;
+        }
+    }
+    if (inProgress) {
+        return 'waiting';
+    }
+
+    return withTransaction(async (client) => {
+        // Payments before the order, as in settlePayment
+        const payments = await client.query(
+            `SELECT status FROM payments WHERE order_id = $1 ORDER BY id FOR UPDATE`,
+            [id]
+        );
+        if (payments.rows.some((payment) => payment.status === 'pending')) {
+            return 'waiting';
+        }
+        const paid = payments.rows.some((payment) => payment.status === 'completed');
+        try {
+            const { refund } = await refunds.cancelOrder(client, id, {
+                actor: orders.SYSTEM_ACTOR,
+                note: paid
+                    ? 'Paid after the order could no longer be filled'
+                    : `Not paid within ${UNPAID_ORDER_EXPIRY_MINUTES} minutes`,
+                onlyFrom: ['pending']
+            });
+            return refund ? 'refunded' : 'expired';
+        } catch (error) {
+            // Paid or cancelled meanwhile
+            if (error instanceof orders.OrderTransitionError) {
+                return null;
+            }
+            throw error;
+        }
+    });
+}
+
+// Remind customers once about an order they have not paid for yet, unless a
+// payment prompt is open on their phone right now
+async function sendPaymentReminders() {
+    if (PAYMENT_REMINDER_MINUTES <= 0) {
+        return 0;
+    }
+
+    return withTransaction(async (client) => {
+        const result = await client.query(
+            `UPDATE orders SET payment_reminder_sent_at = CURRENT_TIMESTAMP
+             WHERE id IN (
+                 SELECT o.id FROM orders o
+                 WHERE o.status = 'pending' AND o.payment_reminder_sent_at IS NULL
+                   AND o.created_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::interval
+                   AND o.created_at >= CURRENT_TIMESTAMP - ($2 || ' minutes')::interval
+                   AND NOT EXISTS (
+                       SELECT 1 FROM payments p
+                       WHERE p.order_id = o.id AND p.status = 'pending'
+                         AND p.created_at >= CURRENT_TIMESTAMP - ($3 || ' seconds')::interval
+                   )
+                 ORDER BY o.created_at ASC
+                 LIMIT $4
+                 FOR UPDATE SKIP LOCKED
+             )
+             RETURNING *`,
+            [String(PAYMENT_REMINDER_MINUTES), String(UNPAID_ORDER_EXPIRY_MINUTES),
+             String(PAYMENT_RETRY_SECONDS), BATCH_SIZE]
+        );
+        for (const order of result.rows) {
+            await notifications.notifyOrderEvent(client, 'payment_reminder', order);
+        }
+        return result.rows.length;
+    });
+}
+
+module.exports = {
+    PAYMENT_RETRY_SECONDS,
+    settlePayment,
+    openPayment,
+    requeryStalePayments,
+    expireUnpaidOrders,
+    sendPaymentReminders
+};
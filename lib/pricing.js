@@ -0,0 +1,195 @@
+const { pool } = require('./db');
+const delivery = require('./delivery');
+const promotions = require('./promotions');
+const { toMoney } = require('./money');
+const { ValidationError, fieldError } = require('./validation');
+
+// Thrown when one or more order items fail validation. `details` lists each
+// failing item so the storefront can point at the offending cart line.
+class OrderValidationError extends ValidationError {
+    constructor(message, details = []) {
+        const errors = details.length > 0
+            ? details.map(d => fieldError(`items[${d.index}]`, d.code, d.reason))
+            : [fieldError('items', 'required', message)];
+        super(errors, message, 'ORDER_ITEMS_INVALID');
+        this.name = 'OrderValidationError';
+        this.details = details;
+    }
+}
+
+// Merge cart lines that refer to the same product (and variant) so stock is
+// checked against the total quantity requested.
+function normalizeItems(items) {
+    const errors = [];
+    const merged = new Map();
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new OrderValidationError('Order must contain at least one item');
+    }
+
+    items.forEach((item, index) => {
+        const productId = item && (item.productId || item.id);
+        const variantId = item && item.variantId ? String(item.variantId) : null;
+        const quantity = Number(item && item.quantity);
+
+        if (!productId) {
+            errors.push({ index, productId: null, code: 'required', reason: 'Missing product ID' });
+            return;
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            errors.push({ index, productId, code: 'invalid_quantity', reason: 'Quantity must be a positive whole number' });
+            return;
+        }
+
+        const key = `${productId}:${variantId || ''}`;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            merged.set(key, { index, productId: String(productId), variantId, quantity });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new OrderValidationError('Some items could not be ordered', errors);
+    }
+
+    return Array.from(merged.values());
+}
+
+// Load every product in the cart, validate availability and stock, and
+// compute the priced lines and subtotal. Pass a transaction client and
+// `lock: true` to hold the product rows until the transaction ends.
+// For a pre-order, `preorderDate` is its delivery date: products with stock
+// expected that day are checked against it (and marked `preorder`) rather
+// than the shelf, and may be ordered while sold out.
+// Products with variants must be ordered by variant, at the variant's price
+// and against its stock. Expected stock is kept per product, so variant
+// lines are never pre-order lines.
+async function priceItems(items, db = pool, { lock = false, preorderDate = null } = {}) {
+    const requested = normalizeItems(items);
+    const ids = [...new Set(requested.map(item => item.productId))];
+
+    const result = await db.query(
+        `SELECT id, title, type, price, quantity, available, sold_out
+         FROM products WHERE id = ANY($1::varchar[])
+         ORDER BY id${lock ? ' FOR UPDATE' : ''}`,
+        [ids]
+    );
+    const products = new Map(result.rows.map(row => [row.id, row]));
+
+    // Variant stock only changes with its product's row locked, so the
+    // variants need no locks of their own
+    const variantResult = await db.query(
+        `SELECT id, product_id, sku, name, price, quantity, available
+         FROM product_variants WHERE product_id = ANY($1::varchar[])`,
+        [ids]
+    );
+    const variants = new Map(variantResult.rows.map(row => [row.id, row]));
+    const hasVariants = new Set(variantResult.rows.map(row => row.product_id));
+
+    const expected = new Map();
+    if (preorderDate) {
+        const expectedResult = await db.query(
+            `SELECT product_id, quantity - taken AS remaining
+             FROM preorder_stock
+             WHERE delivery_date = $1 AND product_id = ANY($2::varchar[])
+             ORDER BY product_id${lock ? ' FOR UPDATE' : ''}`,
+            [preorderDate, ids]
+        );
+        expectedResult.rows.forEach(row => expected.set(row.product_id, row.remaining));
+    }
+
+    const errors = [];
+    const lines = [];
+
+    for (const item of requested) {
+        const product = products.get(item.productId);
+
+        if (!product) {
+            errors.push({ index: item.index, productId: item.productId, code: 'not_found', reason: 'Product not found' });
+            continue;
+        }
+        const variant = item.variantId ? variants.get(item.variantId) : null;
+        if (item.variantId && (!variant || variant.product_id !== product.id)) {
+            errors.push({ index: item.index, productId: item.productId, code: 'not_found', reason: 'Product option not found' });
+            continue;
+        }
+        if (!variant && hasVariants.has(product.id)) {
+            errors.push({ index: item.index, productId: item.productId, code: 'variant_required', reason: 'Choose an option for this product' });
+            continue;
+        }
+
+        const preorder = !variant && expected.has(item.productId);
+        if (!product.available && !(preorder && product.sold_out)) {
+            errors.push({ index: item.index, productId: item.productId, code: 'unavailable', reason: 'Product is not available' });
+            continue;
+        }
+        if (variant && !variant.available) {
+            errors.push({ index: item.index, productId: item.productId, code: 'unavailable', reason: `${variant.name} is not available` });
+            continue;
+        }
+        const inStock = variant ? variant.quantity : preorder ? expected.get(item.productId) : product.quantity;
+        if (item.quantity > inStock) {
+            errors.push({
+                index: item.index,
+                productId: item.productId,
+                code: 'insufficient_stock',
+                reason: preorder ? `Only ${inStock} left for delivery on ${preorderDate}` : `Only ${inStock} in stock`,
+                available: inStock
+            });
+            continue;
+        }
+
+        const unitPrice = toMoney(variant ? variant.price : product.price);
+        lines.push({
+            productId: product.id,
+            ...(variant ? { variantId: variant.id, variant: variant.name, sku: variant.sku } : {}),
+            title: product.title,
+            type: product.type,
+            unitPrice,
+            quantity: item.quantity,
+            lineTotal: toMoney(unitPrice * item.quantity),
+            ...(preorder ? { preorder: true } : {})
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new OrderValidationError('Some items could not be ordered', errors);
+    }
+
+    const subtotal = toMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+    return { lines, subtotal };
+}
+
+// Price a whole order: items, delivery fee for the drop-off point, coupon
+// and automatic promotion discounts, and total. With `lock: true` the
+// promotions used are locked too, so usage limits hold under concurrency.
+async function priceOrder(items, db = pool, { point, couponCode = null, phone = null, ...options } = {}) {
+    const { lines, subtotal } = await priceItems(items, db, options);
+    const deliveryQuote = await delivery.quote(point, subtotal, db);
+    const deliveryFee = toMoney(deliveryQuote.deliveryFee);
+    const promotion = await promotions.applyPromotions(
+        { lines, subtotal, deliveryFee, couponCode, phone }, db, options
+    );
+
+    return {
+        items: lines,
+        subtotal,
+        deliveryFee,
+        discount: promotion.discount,
+        discounts: promotion.applied,
+        couponCode: promotion.couponCode,
+        delivery: deliveryQuote,
+        total: toMoney(subtotal + deliveryFee - promotion.discount)
+    };
+}
+
+module.exports = {
+    OrderValidationError,
+    toMoney,
+    normalizeItems,
+    priceItems,
+    priceOrder
+};
@@ -0,0 +1,202 @@
+const { pool } = require('./db');
+const { toMoney } = require('./money');
+const { ValidationError, fieldError } = require('./validation');
+
+// Promotions are either coupons (with a code the customer enters) or
+// automatic (no code, applied to every qualifying order). Kinds:
+//   percentage    - value% off the eligible items, optionally capped by max_discount
+//   fixed         - value off the eligible items
+//   free_delivery - waives the delivery fee
+// Goods discounts do not stack: the largest one applies, whether it comes
+// from the coupon or an automatic promotion. Free delivery combines with it.
+const KINDS = ['percentage', 'fixed', 'free_delivery'];
+
+// Thrown when the coupon entered at checkout cannot be used
+class CouponError extends ValidationError {
+    constructor(code, message) {
+        super([fieldError('couponCode', code, message)], message, 'COUPON_INVALID');
+        this.name = 'CouponError';
+    }
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// Same customer identity as the analytics: the last nine phone digits
+function customerKey(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-9);
+}
+
+// Check an admin promotion definition; returns an error message or null
+function validatePromotion(promotion) {
+    if (!KINDS.includes(promotion.kind)) {
+        return `kind must be one of: ${KINDS.join(', ')}`;
+    }
+    if (promotion.kind === 'percentage' && !(Number(promotion.value) > 0 && Number(promotion.value) <= 100)) {
+        return 'Percentage promotions need a value between 0 and 100';
+    }
+    if (promotion.kind === 'fixed' && !(Number(promotion.value) > 0)) {
+        return 'Fixed promotions need a positive value';
+    }
+    if (promotion.startsAt && promotion.endsAt && new Date(promotion.endsAt) <= new Date(promotion.startsAt)) {
+        return 'endsAt must be after startsAt';
+    }
+    return null;
+}
+
+async function loadCandidates(db, code, lock) {
+    const result = await db.query(
+        `SELECT * FROM promotions
+         WHERE (code IS NULL AND active = true) OR UPPER(code) = $1
+         ORDER BY id${lock ? ' FOR UPDATE' : ''}`,
+        [code]
+    );
+    return result.rows;
+}
+
+// Redemptions per promotion, overall and for one customer. Cancelled orders
+// do not use up a promotion; unpaid ones do until they expire, since they
+// can still be paid after their stock hold lapses.
+async function usageCounts(db, promotionIds, key) {
+    if (promotionIds.length === 0) {
+        return new Map();
+    }
+    const result = await db.query(
+        `SELECT r.promotion_id,
+                COUNT(*) AS total,
+                COUNT(*) FILTER (WHERE r.customer_key = $2) AS customer
+         FROM promotion_redemptions r
+         JOIN orders o ON o.id = r.order_id
+         WHERE r.promotion_id = ANY($1::varchar[])
+           AND o.status <> 'cancelled'
+         GROUP BY r.promotion_id`,
+        [promotionIds, key]
+    );
+    return new Map(result.rows.map(row => [row.promotion_id, {
+        total: parseInt(row.total),
+        customer: parseInt(row.customer)
+    }]));
+}
+
+function eligibleSubtotal(promotion, lines) {
+    const types = promotion.product_types;
+    return toMoney(lines
+        .filter(line => !types || types.length === 0 || types.includes(line.type))
+        .reduce((sum, line) => sum + line.lineTotal, 0));
+}
+
+// Why a promotion cannot be used for this cart, or null when it can
+function ineligibility(promotion, { lines, subtotal, now, usage }) {
+    if (!promotion.active) {
+        return ['inactive', 'This code is no longer active'];
+    }
+    if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+        return ['not_started', 'This code is not valid yet'];
+    }
+    if (promotion.ends_at && new Date(promotion.ends_at) <= now) {
+        return ['expired', 'This code has expired'];
+    }
+    if (subtotal < parseFloat(promotion.min_subtotal)) {
+        return ['min_spend', `Spend at least KES ${parseFloat(promotion.min_subtotal)} to use this code`];
+    }
+    if (eligibleSubtotal(promotion, lines) <= 0) {
+        return ['not_eligible', 'None of the items in your order qualify for this code'];
+    }
+    if (promotion.usage_limit !== null && usage.total >= promotion.usage_limit) {
+        return ['usage_limit', 'This code has been fully redeemed'];
+    }
+    if (promotion.per_customer_limit !== null && usage.customer >= promotion.per_customer_limit) {
+        return ['customer_limit', 'You have already used this code'];
+    }
+    return null;
+}
+
+function discountAmount(promotion, lines, deliveryFee) {
+    if (promotion.kind === 'free_delivery') {
+        return deliveryFee;
+    }
+    const base = eligibleSubtotal(promotion, lines);
+    let amount = promotion.kind === 'percentage'
+        ? base * parseFloat(promotion.value) / 100
+        : parseFloat(promotion.value);
+    if (promotion.max_discount !== null) {
+        amount = Math.min(amount, parseFloat(promotion.max_discount));
+    }
+    return toMoney(Math.min(amount, base));
+}
+
+function appliedEntry(promotion, amount) {
+    return {
+        promotionId: promotion.id,
+        name: promotion.name,
+        code: promotion.code,
+        kind: promotion.kind,
+        target: promotion.kind === 'free_delivery' ? 'delivery' : 'items',
+        amount
+    };
+}
+
+// Work out the discounts for a priced cart. Throws CouponError when a coupon
+// was entered but cannot be used; automatic promotions that do not qualify
+// are skipped. Returns { discount, couponCode, applied: [...] }.
+async function applyPromotions({ lines, subtotal, deliveryFee, couponCode, phone }, db = pool, { lock = false } = {}) {
+    const code = couponCode ? normalizeCode(couponCode) : null;
+    const candidates = await loadCandidates(db, code, lock);
+    const coupon = code ? candidates.find(p => normalizeCode(p.code) === code) : null;
+
+    if (code && !coupon) {
+        throw new CouponError('not_found', 'This code is not valid');
+    }
+
+    const key = customerKey(phone);
+    const usage = await usageCounts(db, candidates.map(p => p.id), key);
+    const context = { lines, subtotal, now: new Date() };
+    const usable = [];
+
+    for (const promotion of candidates) {
+        const problem = ineligibility(promotion, {
+            ...context,
+            usage: usage.get(promotion.id) || { total: 0, customer: 0 }
+        });
+        if (problem && promotion === coupon) {
+            throw new CouponError(...problem);
+        }
+        if (!problem) {
+            usable.push({ promotion, amount: discountAmount(promotion, lines, deliveryFee) });
+        }
+    }
+
+    // The coupon wins ties so the code the customer typed is honoured
+    const byAmount = (a, b) => b.amount - a.amount || (b.promotion === coupon) - (a.promotion === coupon);
+    const goods = usable.filter(u => u.promotion.kind !== 'free_delivery' && u.amount > 0).sort(byAmount)[0];
+    const delivery = usable.filter(u => u.promotion.kind === 'free_delivery' && u.amount > 0).sort(byAmount)[0];
+
+    const applied = [goods, delivery].filter(Boolean).map(u => appliedEntry(u.promotion, u.amount));
+
+    return {
+        discount: toMoney(applied.reduce((sum, entry) => sum + entry.amount, 0)),
+        couponCode: applied.some(entry => coupon && entry.promotionId === coupon.id) ? coupon.code : null,
+        applied
+    };
+}
+
+// Record the promotions used by a new order, inside its transaction
+async function recordRedemptions(client, orderId, phone, applied) {
+    for (const entry of applied) {
+        await client.query(
+            `INSERT INTO promotion_redemptions (promotion_id, order_id, customer_key, amount)
+             VALUES ($1, $2, $3, $4)`,
+            [entry.promotionId, orderId, customerKey(phone), entry.amount]
+        );
+    }
+}
+
+module.exports = {
+    KINDS,
+    CouponError,
+    normalizeCode,
+    validatePromotion,
+    applyPromotions,
+    recordRedemptions
+};
@@ -0,0 +1,410 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('./db');
+const { toMoney, toShillings } = require('./money');
+const { ValidationError, fieldError } = require('./validation');
+const orders = require('./orders');
+const lipiana = require('./lipiana');
+
+// Refunds send money from a completed payment (or whatever was received on
+// one for the wrong amount) back to the customer through the provider's
+// reversal API, in full or in part (e.g. one bird out of stock). Refunds
+// issued by staff are approved by whoever issues them; refunds that come
+// with a customer's cancellation wait for staff approval.
+//
+// A refund is recorded before the provider is called, and the call is made
+// outside any transaction: if the provider cannot be reached the refund
+// stays approved and can be sent again. Once a payment is refunded in full
+// the order moves to refunded. Stock is left alone: cancelling the order
+// already put it back, and a partial refund is usually for items that were
+// never there.
+
+// Statuses in which a refund holds part of its payment
+const HELD_STATUSES = ['requested', 'approved', 'processing', 'completed'];
+
+// Customers may call an order off themselves until preparation starts
+const CUSTOMER_CANCELLABLE = ['pending', 'paid'];
+
+// Choose with REFUND_PROVIDER; 'mock' completes every reversal at once
+// without calling anyone, for development and testing
+const PROVIDERS = {
+    lipiana: () => ({
+        name: 'lipiana',
+        reverse: lipiana.reversePayment,
+        query: lipiana.queryReversal
+    }),
+    mock: () => ({
+        name: 'mock',
+        async reverse({ reference, amount }) {
+            console.log(`💸 [mock refund] ${reference}: ${amount}`);
+            return { reversalId: `mock-${reference}`, status: 'completed', description: null, raw: { mock: true } };
+        },
+        async query(reversalId) {
+            return { reversalId, status: 'completed', description: null, raw: { mock: true } };
+        }
+    })
+};
+
+function createProvider(name) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown REFUND_PROVIDER "${name}"`);
+    }
+    return factory();
+}
+
+const provider = createProvider(process.env.REFUND_PROVIDER || 'lipiana');
+
+class RefundError extends Error {
+    constructor(message, status = 409, code = 'REFUND_NOT_ALLOWED') {
+        super(message);
+        this.name = 'RefundError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function adminApprover(admin) {
+    return admin ? { id: admin.id, name: admin.name } : null;
+}
+
+// Lock an order's payments and then the order, the same order
+// payments.settlePayment takes them in. Returns the order, or null.
+async function lockOrder(client, orderId) {
+    await client.query('SELECT id FROM payments WHERE order_id = $1 ORDER BY id FOR UPDATE', [orderId]);
+    const result = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    return result.rows[0] || null;
+}
+
+// The order's payment that money can go back from, and how much of it is
+// not yet refunded or held by an open refund. A payment for the wrong
+// amount can give back what the provider received for it; a completed one
+// is preferred.
+async function refundablePayment(client, orderId) {
+    const result = await client.query(
+        `SELECT p.*, COALESCE(p.received_amount, p.amount) - COALESCE((
+                    SELECT SUM(r.amount) FROM refunds r
+                    WHERE r.payment_id = p.id AND r.status = ANY($2::varchar[])
+                ), 0) AS refundable
+         FROM payments p
+         WHERE p.order_id = $1 AND p.status IN ('completed', 'partially_refunded', 'amount_mismatch')
+         ORDER BY p.verified_at DESC NULLS LAST, p.created_at DESC
+         LIMIT 1`,
+        [orderId, HELD_STATUSES]
+    );
+    const payment = result.rows[0];
+    return payment ? { ...payment, refundable: toMoney(payment.refundable) } : null;
+}
+
+// Turn requested lines ({ productId, variantId, quantity }) into refund
+// lines priced as they were sold, checking they were ordered and not
+// already refunded
+async function refundLines(client, orderId, items) {
+    const ordered = await client.query(
+        'SELECT * FROM order_items WHERE order_id = $1 ORDER BY id',
+        [orderId]
+    );
+    const previous = await client.query(
+        `SELECT items FROM refunds WHERE order_id = $1 AND status = ANY($2::varchar[])`,
+        [orderId, HELD_STATUSES]
+    );
+    const refunded = new Map();
+    for (const row of previous.rows) {
+        for (const line of row.items) {
+            refunded.set(line.orderItemId, (refunded.get(line.orderItemId) || 0) + line.quantity);
+        }
+    }
+
+    const errors = [];
+    const lines = [];
+    items.forEach((item, index) => {
+        const row = ordered.rows.find(line => line.product_id === String(item.productId) &&
+            (line.variant_id || null) === (item.variantId ? String(item.variantId) : null));
+        if (!row) {
+            errors.push(fieldError(`items[${index}]`, 'not_found', 'This item is not on the order'));
+            return;
+        }
+        const left = row.quantity - (refunded.get(row.id) || 0);
+        if (item.quantity > left) {
+            errors.push(fieldError(`items[${index}]`, 'too_many', `Only ${left} of this item can still be refunded`));
+            return;
+        }
+        refunded.set(row.id, (refunded.get(row.id) || 0) + item.quantity);
+        lines.push({
+            orderItemId: row.id,
+            productId: row.product_id,
+            variantId: row.variant_id,
+            title: row.variant_name ? `${row.title} (${row.variant_name})` : row.title,
+            quantity: item.quantity,
+            amount: toMoney(row.unit_price * item.quantity)
+        });
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors, 'Some items cannot be refunded');
+    }
+    return lines;
+}
+
+// Record a refund for an order inside the caller's transaction, with the
+// order locked by lockOrder. Refunds everything still refundable unless
+// `amount` or `items` is given. With an `approver` the refund is approved
+// at once; send it with sendRefund after the transaction commits.
+async function requestRefund(client, order, { amount = null, items = null, reason, actor, approver = null }) {
+    const payment = await refundablePayment(client, order.id);
+    if (!payment) {
+        throw new RefundError('This order has no completed payment to refund', 409, 'NOT_REFUNDABLE');
+    }
+    if (payment.refundable <= 0) {
+        throw new RefundError('Everything paid for this order has already been refunded', 409, 'ALREADY_REFUNDED');
+    }
+
+    const lines = items && items.length > 0 ? await refundLines(client, order.id, items) : [];
+    const requested = lines.length > 0
+        ? toMoney(lines.reduce((sum, line) => sum + line.amount, 0))
+        : toMoney(amount !== null && amount !== undefined ? amount : payment.refundable);
+
+    if (requested > payment.refundable) {
+        throw new RefundError(`Only ${payment.refundable} of this payment can still be refunded`, 409, 'REFUND_TOO_LARGE');
+    }
+    // Reversals move whole shillings, so the refund records what is sent,
+    // never more than is left of a payment taken in cents
+    const total = Math.min(toShillings(requested), Math.floor(payment.refundable));
+    if (total <= 0) {
+        throw new ValidationError([fieldError('amount', 'too_small', 'amount must be at least one shilling')]);
+    }
+
+    const result = await client.query(
+        `INSERT INTO refunds (id, order_id, payment_id, amount, reason, items, status,
+                              requested_by_type, requested_by_id, requested_by_name,
+                              approved_by_id, approved_by_name, approved_at, provider)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         RETURNING *`,
+        [uuidv4(), order.id, payment.id, total, reason, JSON.stringify(lines),
+         approver ? 'approved' : 'requested',
+         actor.type, actor.id, actor.name,
+         approver ? approver.id : null, approver ? approver.name : null, approver ? new Date() : null,
+         provider.name]
+    );
+    return result.rows[0];
+}
+
+// Issue a refund for an order (staff), approved by `admin`. Returns the
+// refund as recorded; send it with sendRefund.
+async function createRefund(orderId, { amount, items, reason, admin }) {
+    return withTransaction(async (client) => {
+        const order = await lockOrder(client, orderId);
+        if (!order) {
+            throw new RefundError('Order not found', 404, 'ORDER_NOT_FOUND');
+        }
+        return requestRefund(client, order, {
+            amount,
+            items,
+            reason,
+            actor: orders.adminActor(admin),
+            approver: adminApprover(admin)
+        });
+    });
+}
+
+// Cancel an order inside the caller's transaction and, if it was paid,
+// record a refund of what is left of the payment. `onlyFrom` limits the
+// statuses it may be cancelled from. Returns { order, refund }.
+async function cancelOrder(client, orderId, { actor, note = null, approver = null, onlyFrom = null }) {
+    const current = await lockOrder(client, orderId);
+    if (!current) {
+        throw new orders.OrderTransitionError('Order not found', 404);
+    }
+    if (onlyFrom && !onlyFrom.includes(current.status)) {
+        throw new orders.OrderTransitionError(`An order that is ${current.status} can no longer be cancelled`);
+    }
+
+    const order = await orders.transitionOrder(client, orderId, 'cancelled', { actor, note });
+
+    // Reversals move whole shillings, so less than one left is not refunded
+    const payment = await refundablePayment(client, orderId);
+    const refund = payment && Math.floor(payment.refundable) >= 1
+        ? await requestRefund(client, order, { reason: note || 'Order cancelled', actor, approver })
+        : null;
+
+    return { order, refund };
+}
+
+// Apply a provider result to a sent refund. A completed refund is added to
+// the payment and order, and a payment refunded in full refunds the order.
+// Returns { refund, order }; order is null when it did not change.
+async function settleRefund(refundId, result) {
+    return withTransaction(async (client) => {
+        const refundResult = await client.query('SELECT * FROM refunds WHERE id = $1 FOR UPDATE', [refundId]);
+        const refund = refundResult.rows[0];
+        if (!['approved', 'processing'].includes(refund.status)) {
+            return { refund, order: null };
+        }
+
+        const status = { pending: 'processing', failed: 'failed', completed: 'completed' }[result.status];
+        const updated = await client.query(
+            `UPDATE refunds
+             SET status = $2, provider_reference = COALESCE($3, provider_reference), provider_response = $4,
+                 failure_reason = $5, completed_at = CASE WHEN $2::varchar = 'completed' THEN CURRENT_TIMESTAMP END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [refundId, status, result.reversalId, JSON.stringify(result.raw || {}),
+             status === 'failed' ? result.description || 'Reversal failed' : null]
+        );
+        if (status !== 'completed') {
+            return { refund: updated.rows[0], order: null };
+        }
+
+        // A payment for the wrong amount stays marked as one, and never paid
+        // for the order, so the order's refunded total leaves it out
+        const payment = await client.query(
+            `UPDATE payments
+             SET refunded_amount = refunded_amount + $2,
+                 status = CASE
+                     WHEN status = 'amount_mismatch' THEN status
+                     WHEN refunded_amount + $2 >= amount THEN 'refunded'
+                     ELSE 'partially_refunded'
+                 END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [refund.payment_id, refund.amount]
+        );
+        if (payment.rows[0].status === 'amount_mismatch') {
+            return { refund: updated.rows[0], order: null };
+        }
+        let order = (await client.query(
+            `UPDATE orders SET refunded_amount = refunded_amount + $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [refund.order_id, refund.amount]
+        )).rows[0];
+
+        if (payment.rows[0].status === 'refunded' && order.status !== 'refunded') {
+            const actor = refund.approved_by_id
+                ? { type: 'admin', id: refund.approved_by_id, name: refund.approved_by_name }
+                : orders.SYSTEM_ACTOR;
+            const note = `Refund ${refund.id}: ${refund.reason}`;
+            // Paid after the order could take it (e.g. stock ran out meanwhile)
+            if (order.status === 'pending') {
+                await orders.transitionOrder(client, order.id, 'cancelled', { actor, note });
+            }
+            await orders.transitionOrder(client, order.id, 'refunded', { actor, note });
+            order = (await client.query(
+                `UPDATE orders SET payment_verified = false, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 RETURNING *`,
+                [order.id]
+            )).rows[0];
+        }
+
+        return { refund: updated.rows[0], order };
+    });
+}
+
+// Send an approved refund to the provider, or ask after one it is still
+// processing. Provider errors are recorded on the refund, which stays as it
+// was so it can be sent again. Returns { refund, order, error }.
+async function sendRefund(refundId) {
+    const check = await pool.query(
+        `SELECT r.*, p.transaction_id AS receipt, p.phone AS payment_phone, o.phone AS order_phone
+         FROM refunds r
+         JOIN payments p ON p.id = r.payment_id
+         JOIN orders o ON o.id = r.order_id
+         WHERE r.id = $1`,
+        [refundId]
+    );
+    const refund = check.rows[0];
+    if (!refund) {
+        throw new RefundError('Refund not found', 404, 'REFUND_NOT_FOUND');
+    }
+    if (!['approved', 'processing'].includes(refund.status)) {
+        throw new RefundError(`Refund is ${refund.status} and cannot be sent`);
+    }
+
+    let result;
+    try {
+        result = refund.status === 'processing' && refund.provider_reference
+            ? await provider.query(refund.provider_reference)
+            : await provider.reverse({
+                receipt: refund.receipt,
+                phone: refund.payment_phone || refund.order_phone,
+                amount: refund.amount,
+                reference: refund.id,
+                reason: refund.reason
+            });
+    } catch (error) {
+        if (!(error instanceof lipiana.PaymentProviderError)) {
+            throw error;
+        }
+        console.error(`Refund ${refundId} could not be sent:`, error.message);
+        const failed = await pool.query(
+            `UPDATE refunds SET failure_reason = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 RETURNING *`,
+            [refundId, error.message]
+        );
+        return { refund: failed.rows[0], order: null, error: error.message };
+    }
+
+    return { ...(await settleRefund(refundId, result)), error: null };
+}
+
+// Approve a customer's refund request (staff); send it with sendRefund
+async function approveRefund(refundId, admin) {
+    const result = await pool.query(
+        `UPDATE refunds
+         SET status = 'approved', approved_by_id = $2, approved_by_name = $3, approved_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'requested'
+         RETURNING *`,
+        [refundId, admin.id, admin.name]
+    );
+    if (result.rows.length === 0) {
+        await notAwaitingApproval(refundId, 'approved');
+    }
+    return result.rows[0];
+}
+
+// Turn a customer's refund request down (staff), releasing its amount
+async function rejectRefund(refundId, admin, note) {
+    const result = await pool.query(
+        `UPDATE refunds
+         SET status = 'rejected', approved_by_id = $2, approved_by_name = $3, approved_at = CURRENT_TIMESTAMP,
+             failure_reason = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'requested'
+         RETURNING *`,
+        [refundId, admin.id, admin.name, note]
+    );
+    if (result.rows.length === 0) {
+        await notAwaitingApproval(refundId, 'rejected');
+    }
+    return result.rows[0];
+}
+
+// Throw the right error for a refund that is missing or not awaiting approval
+async function notAwaitingApproval(refundId, action) {
+    const result = await pool.query('SELECT status FROM refunds WHERE id = $1', [refundId]);
+    if (result.rows.length === 0) {
+        throw new RefundError('Refund not found', 404, 'REFUND_NOT_FOUND');
+    }
+    throw new RefundError(`Only requested refunds can be ${action}; this one is ${result.rows[0].status}`);
+}
+
+async function listForOrder(orderId, db = pool) {
+    const result = await db.query(
+        'SELECT * FROM refunds WHERE order_id = $1 ORDER BY created_at ASC, id ASC',
+        [orderId]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    CUSTOMER_CANCELLABLE,
+    RefundError,
+    adminApprover,
+    requestRefund,
+    createRefund,
+    cancelOrder,
+    sendRefund,
+    approveRefund,
+    rejectRefund,
+    listForOrder
+};
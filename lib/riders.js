@@ -0,0 +1,79 @@
+const { pool, withTransaction } = require('./db');
+const auth = require('./auth');
+
+const VEHICLES = ['motorbike', 'bicycle', 'car', 'on_foot'];
+
+// Strip the password hash before sending a rider back to a client
+function publicRider(rider) {
+    return {
+        id: rider.id,
+        name: rider.name,
+        phone: rider.phone,
+        vehicle: rider.vehicle,
+        available: rider.available,
+        active: rider.active,
+        location: rider.location_updated_at
+            ? {
+                latitude: parseFloat(rider.latitude),
+                longitude: parseFloat(rider.longitude),
+                updatedAt: rider.location_updated_at
+            }
+            : null,
+        lastLoginAt: rider.last_login_at,
+        createdAt: rider.created_at
+    };
+}
+
+// Phone and password sign-in. Returns the rider, or null for unknown phone,
+// wrong password or a disabled account alike.
+async function login(phone, password) {
+    const result = await pool.query('SELECT * FROM riders WHERE phone = $1', [phone]);
+    const rider = result.rows[0];
+
+    if (!rider || !rider.active || !(await auth.verifyPassword(password, rider.password_hash))) {
+        return null;
+    }
+
+    const updated = await pool.query(
+        'UPDATE riders SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+        [rider.id]
+    );
+    return updated.rows[0];
+}
+
+// Exchange a refresh token for a new pair; null when it cannot be used
+async function refreshSession(refreshToken) {
+    const rider = await auth.rotateRefreshToken(refreshToken, auth.SESSIONS.rider);
+    if (!rider) {
+        return null;
+    }
+    return { rider, tokens: await auth.issueRiderTokens(rider) };
+}
+
+// Save a position from the rider's phone, both as the rider's current
+// location and in the location history. Returns the updated rider.
+async function recordLocation(riderId, { latitude, longitude, accuracy = null }) {
+    return withTransaction(async (client) => {
+        await client.query(
+            `INSERT INTO rider_locations (rider_id, latitude, longitude, accuracy_m)
+             VALUES ($1, $2, $3, $4)`,
+            [riderId, latitude, longitude, accuracy]
+        );
+        const result = await client.query(
+            `UPDATE riders
+             SET latitude = $2, longitude = $3, location_updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [riderId, latitude, longitude]
+        );
+        return result.rows[0];
+    });
+}
+
+module.exports = {
+    VEHICLES,
+    publicRider,
+    login,
+    refreshSession,
+    recordLocation
+};
@@ -0,0 +1,709 @@
+const { ROLES } = require('./auth');
+const { STATUSES } = require('./orders');
+const { LOCALES } = require('./notificationTemplates');
+const { KINDS: PROMOTION_KINDS } = require('./promotions');
+const { VEHICLES } = require('./riders');
+const { FREQUENCIES } = require('./subscriptions');
+
+// Request schemas for every route, used with validation.validate().
+// Cross-field rules (zone shapes, stock, lifecycle) stay with the domain code.
+
+const id = { type: 'id', required: true, maxLength: 255 };
+const idParam = { id };
+
+const latitude = { type: 'number', required: true, min: -90, max: 90 };
+const longitude = { type: 'number', required: true, min: -180, max: 180 };
+const money = { type: 'number', min: 0, max: 99999999.99 };
+const isoDate = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ };
+
+const pagination = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: 100 },
+    cursor: { type: 'string', maxLength: 200 },
+    order: { type: 'string', enum: ['asc', 'desc'] }
+};
+
+const couponCode = { type: 'string', maxLength: 50 };
+
+const cartItems = {
+    type: 'array',
+    minItems: 1,
+    maxItems: 50,
+    items: {
+        type: 'object',
+        fields: {
+            productId: { type: 'id', maxLength: 255 },
+            // Cart lines built from product objects carry `id` instead
+            id: { type: 'id', maxLength: 255 },
+            // Required for products sold by variant
+            variantId: { type: 'id', maxLength: 255 },
+            quantity: { type: 'integer', required: true, min: 1, max: 10000 }
+        }
+    }
+};
+
+const auth = {
+    login: {
+        body: {
+            email: { type: 'email', required: true },
+            password: { type: 'string', required: true, maxLength: 200 }
+        }
+    },
+    refresh: {
+        body: {
+            refreshToken: { type: 'string', required: true, maxLength: 2000 }
+        }
+    },
+    logout: {
+        body: {
+            refreshToken: { type: 'string', maxLength: 2000 }
+        }
+    }
+};
+
+const adminUser = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    password: { type: 'string', required: true, minLength: 8, maxLength: 200 },
+    role: { type: 'string', enum: ROLES }
+};
+
+const adminUsers = {
+    create: {
+        body: {
+            email: { type: 'email', required: true },
+            ...adminUser,
+            role: { ...adminUser.role, default: 'staff' }
+        }
+    },
+    // Partial: only the fields sent are changed
+    update: {
+        params: idParam,
+        body: {
+            ...adminUser,
+            active: { type: 'boolean' }
+        }
+    }
+};
+
+const product = {
+    title: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    description: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+    type: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    price: { ...money, required: true },
+    quantity: { type: 'integer', required: true, min: 0, max: 1000000 },
+    available: { type: 'boolean', default: true },
+    images: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 2000 }, default: [] }
+};
+
+const products = {
+    list: {
+        query: {
+            ...pagination,
+            sort: { type: 'string', enum: ['created_at', 'price', 'title'] },
+            type: { type: 'string', maxLength: 500 },
+            minPrice: money,
+            maxPrice: money,
+            inStock: { type: 'boolean' },
+            q: { type: 'string', maxLength: 200 }
+        }
+    },
+    get: { params: idParam },
+    create: { body: product },
+    // Partial: PUT and PATCH only change the fields sent
+    update: { params: idParam, body: product },
+    remove: { params: idParam }
+};
+
+const variant = {
+    sku: { type: 'string', required: true, minLength: 1, maxLength: 64, pattern: /^[A-Za-z0-9._-]+$/ },
+    name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    options: {
+        type: 'object',
+        fields: {
+            weight: { type: 'string', maxLength: 100 },
+            preparation: { type: 'string', maxLength: 100 },
+            packSize: { type: 'string', maxLength: 100 }
+        },
+        default: {}
+    },
+    price: { ...money, required: true },
+    quantity: { type: 'integer', required: true, min: 0, max: 1000000 },
+    available: { type: 'boolean', default: true },
+    position: { type: 'integer', min: 0, max: 1000, default: 0 }
+};
+
+const variantParams = { id, variantId: id };
+
+const productVariants = {
+    list: { params: idParam },
+    create: { params: idParam, body: variant },
+    // Partial: fields left out keep their current values
+    update: { params: variantParams, body: variant },
+    remove: { params: variantParams }
+};
+
+const productImages = {
+    list: { params: idParam },
+    upload: { params: idParam },
+    reorder: {
+        params: idParam,
+        body: {
+            imageIds: { type: 'array', required: true, minItems: 1, items: id }
+        }
+    },
+    remove: { params: { id, imageId: id } }
+};
+
+const orders = {
+    create: {
+        body: {
+            customerName: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+            email: { type: 'email', required: true },
+            phone: { type: 'phone', required: true },
+            location: { type: 'string', required: true, minLength: 1, maxLength: 1000 },
+            latitude,
+            longitude,
+            deliveryNotes: { type: 'string', maxLength: 1000, default: '' },
+            items: { ...cartItems, required: true },
+            language: { type: 'string', enum: LOCALES, default: 'en' },
+            couponCode,
+            // Both or neither; without a slot the order goes out as soon as possible
+            deliverySlotId: { type: 'id', maxLength: 255 },
+            deliveryDate: isoDate
+        }
+    },
+    track: {
+        params: idParam,
+        query: {
+            token: { type: 'string', maxLength: 200 },
+            phone: { type: 'phone' }
+        }
+    },
+    list: {
+        query: {
+            ...pagination,
+            sort: { type: 'string', enum: ['created_at', 'total', 'status'] },
+            status: { type: 'string', maxLength: 200 },
+            paymentVerified: { type: 'boolean' },
+            from: { type: 'date' },
+            to: { type: 'date' },
+            phone: { type: 'string', maxLength: 20 },
+            email: { type: 'string', maxLength: 255 },
+            deliveryDate: isoDate,
+            preorder: { type: 'boolean' }
+        }
+    },
+    updateStatus: {
+        params: idParam,
+        body: {
+            status: { type: 'string', required: true, enum: STATUSES },
+            note: { type: 'string', maxLength: 1000 },
+            estimatedDelivery: { type: 'date' }
+        }
+    },
+    timeline: { params: idParam },
+    // By the customer, with the tracking token or phone unless signed in
+    cancel: {
+        params: idParam,
+        body: {
+            reason: { type: 'string', maxLength: 1000 },
+            token: { type: 'string', maxLength: 200 },
+            phone: { type: 'phone' }
+        }
+    }
+};
+
+const payments = {
+    create: {
+        body: {
+            orderId: id,
+            // Defaults to the phone number on the order
+            phone: { type: 'phone' }
+        }
+    },
+    verify: { params: { orderId: id } }
+};
+
+const refunds = {
+    // Send amount or items for a partial refund; neither refunds what is left
+    create: {
+        params: idParam,
+        body: {
+            amount: money,
+            items: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 50,
+                items: {
+                    type: 'object',
+                    fields: {
+                        productId: id,
+                        variantId: { type: 'id', maxLength: 255 },
+                        quantity: { type: 'integer', required: true, min: 1, max: 10000 }
+                    }
+                }
+            },
+            reason: { type: 'string', required: true, minLength: 1, maxLength: 1000 }
+        }
+    },
+    forOrder: { params: idParam },
+    list: {
+        query: {
+            ...pagination,
+            status: { type: 'string', maxLength: 200 }
+        }
+    },
+    approve: { params: idParam },
+    reject: {
+        params: idParam,
+        body: {
+            note: { type: 'string', required: true, minLength: 1, maxLength: 1000 }
+        }
+    },
+    send: { params: idParam }
+};
+
+const analytics = {
+    report: {
+        query: {
+            from: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+            to: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+            interval: { type: 'string', enum: ['day', 'week', 'month'] },
+            timezone: { type: 'string', maxLength: 100 }
+        }
+    }
+};
+
+// Exports share the analytics date range plus a comma-separated ?status=
+const exportRange = {
+    query: {
+        from: analytics.report.query.from,
+        to: analytics.report.query.to,
+        timezone: analytics.report.query.timezone,
+        status: { type: 'string', maxLength: 200 }
+    }
+};
+
+const exportFiles = {
+    orders: exportRange,
+    payments: exportRange,
+    sales: exportRange,
+    manifest: {
+        query: {
+            ...exportRange.query,
+            download: { type: 'boolean', default: false }
+        }
+    }
+};
+
+const notifications = {
+    list: {
+        query: {
+            ...pagination,
+            status: { type: 'string', maxLength: 200 },
+            channel: { type: 'string', enum: ['sms', 'email'] },
+            event: { type: 'string', maxLength: 50 },
+            orderId: { type: 'string', maxLength: 255 }
+        }
+    },
+    retry: { params: idParam }
+};
+
+const jobs = {
+    runs: {
+        query: {
+            ...pagination,
+            job: { type: 'string', maxLength: 100 },
+            status: { type: 'string', maxLength: 200 }
+        }
+    },
+    run: { params: { name: { ...id, maxLength: 100 } } }
+};
+
+const zone = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    kind: { type: 'string', required: true, enum: ['radius', 'polygon'] },
+    radiusKm: { type: 'number', min: 0, max: 1000 },
+    polygon: {
+        type: 'array',
+        minItems: 3,
+        items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number' } }
+    },
+    fee: { ...money, required: true },
+    minOrderValue: { ...money, default: 0 },
+    freeDeliveryThreshold: { ...money, nullable: true, default: null },
+    priority: { type: 'integer', min: -1000, max: 1000, default: 0 },
+    active: { type: 'boolean', default: true }
+};
+
+const timeOfDay = { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ };
+const slotCapacity = { type: 'integer', min: 0, max: 100000 };
+
+const slot = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    // 0 = Sunday ... 6 = Saturday
+    weekday: { type: 'integer', required: true, min: 0, max: 6 },
+    startTime: { ...timeOfDay, required: true },
+    endTime: { ...timeOfDay, required: true },
+    capacity: { ...slotCapacity, required: true },
+    cutoffMinutes: { type: 'integer', min: 0, max: 10080, default: 60 },
+    active: { type: 'boolean', default: true },
+    zoneLimits: {
+        type: 'array',
+        maxItems: 100,
+        items: {
+            type: 'object',
+            fields: {
+                zoneId: id,
+                capacity: { ...slotCapacity, required: true }
+            }
+        },
+        default: []
+    }
+};
+
+const dateParam = { date: { ...isoDate, required: true } };
+
+const delivery = {
+    quote: {
+        body: {
+            latitude,
+            longitude,
+            items: cartItems,
+            // Used when no items are sent
+            subtotal: money,
+            // Promotion preview; phone is needed for per-customer limits
+            couponCode,
+            phone: { type: 'phone' }
+        }
+    },
+    createZone: { body: zone },
+    // Partial: fields left out keep their current values
+    updateZone: { params: idParam, body: zone },
+    removeZone: { params: idParam },
+    // Send latitude and longitude to see places left for that zone
+    availableSlots: {
+        query: {
+            from: isoDate,
+            to: isoDate,
+            latitude: { ...latitude, required: false },
+            longitude: { ...longitude, required: false }
+        }
+    },
+    createSlot: { body: slot },
+    // Partial; zoneLimits, when sent, replaces all of the slot's zone limits
+    updateSlot: { params: idParam, body: slot },
+    removeSlot: { params: idParam },
+    blackoutDates: {
+        query: { from: isoDate, to: isoDate }
+    },
+    setBlackoutDate: {
+        params: dateParam,
+        body: {
+            reason: { type: 'string', maxLength: 255 }
+        }
+    },
+    removeBlackoutDate: { params: dateParam }
+};
+
+const preorderStock = {
+    list: {
+        query: { from: isoDate, to: isoDate }
+    },
+    product: { params: idParam },
+    set: {
+        params: { id, ...dateParam },
+        body: {
+            quantity: { type: 'integer', required: true, min: 0, max: 1000000 }
+        }
+    },
+    remove: { params: { id, ...dateParam } }
+};
+
+const batchCode = { type: 'string', required: true, minLength: 1, maxLength: 64, pattern: /^[A-Za-z0-9._\/-]+$/ };
+
+const batchDetails = {
+    supplier: { type: 'string', nullable: true, maxLength: 255 },
+    farm: { type: 'string', nullable: true, maxLength: 255 },
+    // Slaughter date for birds, lay date for eggs
+    producedOn: { ...isoDate, nullable: true },
+    expiresOn: { ...isoDate, nullable: true },
+    unitCost: { ...money, nullable: true },
+    notes: { type: 'string', nullable: true, maxLength: 2000 }
+};
+
+const stockBatches = {
+    list: {
+        query: {
+            ...pagination,
+            sort: { type: 'string', enum: ['received_at', 'expires_on'] },
+            productId: { type: 'id', maxLength: 255 },
+            variantId: { type: 'id', maxLength: 255 },
+            status: { type: 'string', maxLength: 200 },
+            // Matches code, supplier or farm
+            q: { type: 'string', maxLength: 200 }
+        }
+    },
+    expiringSoon: {
+        query: {
+            days: { type: 'integer', min: 0, max: 90 }
+        }
+    },
+    get: { params: idParam },
+    receive: {
+        body: {
+            productId: id,
+            // Required for a product sold by variant
+            variantId: { type: 'id', maxLength: 255 },
+            code: batchCode,
+            quantity: { type: 'integer', required: true, min: 1, max: 1000000 },
+            ...batchDetails
+        }
+    },
+    // Partial; remaining corrects the count of units left (e.g. spoilage)
+    update: {
+        params: idParam,
+        body: {
+            code: batchCode,
+            ...batchDetails,
+            remaining: { type: 'integer', min: 0, max: 1000000 }
+        }
+    },
+    recall: {
+        params: idParam,
+        body: {
+            reason: { type: 'string', required: true, minLength: 1, maxLength: 1000 }
+        }
+    },
+    orders: { params: idParam }
+};
+
+const promotion = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    // Leave out for an automatic promotion
+    code: { type: 'string', nullable: true, minLength: 3, maxLength: 50, pattern: /^[A-Za-z0-9_-]+$/ },
+    kind: { type: 'string', required: true, enum: PROMOTION_KINDS },
+    value: { ...money, default: 0 },
+    maxDiscount: { ...money, nullable: true },
+    productTypes: { type: 'array', nullable: true, maxItems: 50, items: { type: 'string', maxLength: 100 } },
+    minSubtotal: { ...money, default: 0 },
+    startsAt: { type: 'date', nullable: true },
+    endsAt: { type: 'date', nullable: true },
+    usageLimit: { type: 'integer', nullable: true, min: 1 },
+    perCustomerLimit: { type: 'integer', nullable: true, min: 1 },
+    active: { type: 'boolean', default: true }
+};
+
+const promotions = {
+    create: { body: promotion },
+    // Partial: fields left out keep their current values
+    update: { params: idParam, body: promotion },
+    remove: { params: idParam },
+    redemptions: { params: idParam }
+};
+
+const otpCode = { type: 'string', pattern: /^\d{6}$/ };
+const customerPassword = { type: 'string', minLength: 8, maxLength: 200 };
+
+const address = {
+    label: { type: 'string', maxLength: 50 },
+    location: { type: 'string', required: true, minLength: 1, maxLength: 1000 },
+    latitude,
+    longitude,
+    deliveryNotes: { type: 'string', maxLength: 1000 },
+    isDefault: { type: 'boolean', default: false }
+};
+
+const customers = {
+    requestOtp: {
+        body: {
+            phone: { type: 'phone', required: true },
+            language: { type: 'string', enum: LOCALES, default: 'en' }
+        }
+    },
+    register: {
+        body: {
+            phone: { type: 'phone', required: true },
+            code: { ...otpCode, required: true },
+            name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+            email: { type: 'email' },
+            password: customerPassword
+        }
+    },
+    // Either code or password
+    login: {
+        body: {
+            phone: { type: 'phone', required: true },
+            code: otpCode,
+            password: { type: 'string', maxLength: 200 }
+        }
+    },
+    refresh: auth.refresh,
+    logout: auth.logout,
+    // Partial; changing an existing password needs currentPassword
+    updateProfile: {
+        body: {
+            name: { type: 'string', minLength: 1, maxLength: 255 },
+            email: { type: 'email', nullable: true },
+            password: customerPassword,
+            currentPassword: { type: 'string', maxLength: 200 }
+        }
+    },
+    orders: {
+        query: pagination
+    },
+    createAddress: { body: address },
+    // Partial: fields left out keep their current values
+    updateAddress: { params: idParam, body: address },
+    removeAddress: { params: idParam },
+    list: {
+        query: {
+            ...pagination,
+            sort: { type: 'string', enum: ['created_at', 'name', 'lifetime_spend'] },
+            q: { type: 'string', maxLength: 200 }
+        }
+    },
+    get: { params: idParam }
+};
+
+const subscription = {
+    items: cartItems,
+    frequency: { type: 'string', required: true, enum: Object.keys(FREQUENCIES) },
+    // Deliveries go out in this slot every week, fortnight or four weeks
+    deliverySlotId: id,
+    // One of the customer's saved addresses; it is copied onto the subscription
+    addressId: id,
+    // Receipts go to the account's email when left out
+    email: { type: 'email', nullable: true },
+    language: { type: 'string', enum: LOCALES, default: 'en' }
+};
+
+const subscriptions = {
+    create: {
+        body: {
+            ...subscription,
+            items: { ...cartItems, required: true },
+            // First delivery on or after this date; as soon as possible when left out
+            startDate: isoDate
+        }
+    },
+    // Partial: fields left out keep their current values
+    update: { params: idParam, body: subscription },
+    get: { params: idParam },
+    change: { params: idParam },
+    list: {
+        query: {
+            ...pagination,
+            sort: { type: 'string', enum: ['created_at', 'next_delivery_date'] },
+            status: { type: 'string', maxLength: 200 },
+            customerId: { type: 'id', maxLength: 255 }
+        }
+    },
+    upcoming: {
+        query: { from: isoDate, to: isoDate }
+    }
+};
+
+const riderPassword = { type: 'string', minLength: 8, maxLength: 200 };
+
+const riders = {
+    login: {
+        body: {
+            phone: { type: 'phone', required: true },
+            password: { type: 'string', required: true, maxLength: 200 }
+        }
+    },
+    refresh: auth.refresh,
+    logout: auth.logout,
+    availability: {
+        body: {
+            available: { type: 'boolean', required: true }
+        }
+    },
+    location: {
+        body: {
+            latitude,
+            longitude,
+            accuracy: { type: 'number', min: 0, max: 100000 }
+        }
+    },
+    delivery: {
+        params: { orderId: id }
+    },
+    // multipart/form-data with an optional "photo" file, or JSON
+    deliver: {
+        params: { orderId: id },
+        body: {
+            recipientName: { type: 'string', minLength: 1, maxLength: 255 }
+        }
+    },
+    list: {
+        query: {
+            ...pagination,
+            available: { type: 'boolean' },
+            active: { type: 'boolean' },
+            q: { type: 'string', maxLength: 200 }
+        }
+    },
+    get: { params: idParam },
+    create: {
+        body: {
+            name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+            phone: { type: 'phone', required: true },
+            password: { ...riderPassword, required: true },
+            vehicle: { type: 'string', enum: VEHICLES, default: 'motorbike' }
+        }
+    },
+    // Partial
+    update: {
+        params: idParam,
+        body: {
+            name: { type: 'string', minLength: 1, maxLength: 255 },
+            phone: { type: 'phone' },
+            password: riderPassword,
+            vehicle: { type: 'string', enum: VEHICLES },
+            active: { type: 'boolean' }
+        }
+    },
+    // Leave riderId out to pick the nearest available rider
+    assign: {
+        params: idParam,
+        body: {
+            riderId: { type: 'id', maxLength: 255 }
+        }
+    },
+    unassign: { params: idParam }
+};
+
+const events = {
+    // ?types=order.created,payment.verified - all types when left out
+    orders: {
+        query: {
+            types: { type: 'string', maxLength: 200 }
+        }
+    },
+    order: orders.track
+};
+
+module.exports = {
+    auth,
+    adminUsers,
+    products,
+    productVariants,
+    productImages,
+    orders,
+    payments,
+    refunds,
+    analytics,
+    exports: exportFiles,
+    notifications,
+    jobs,
+    delivery,
+    promotions,
+    customers,
+    subscriptions,
+    riders,
+    events,
+    preorderStock,
+    stockBatches
+};
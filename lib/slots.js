@@ -0,0 +1,230 @@
+const { pool } = require('./db');
+const { PAID_STATUSES } = require('./orders');
+const { DEFAULT_TIMEZONE, localDate } = require('./analytics');
+const { ListQueryError } = require('./listing');
+
+// Delivery slots. Staff define weekly windows (e.g. Sundays 11:00-13:00) with
+// a capacity per date, optionally tighter per zone, and blackout dates when
+// nothing is delivered. Customers pick a slot and date at checkout, up to
+// PREORDER_MAX_DAYS ahead; an order for a later day than today is a
+// pre-order (see inventory.js for how its stock is taken).
+//
+// Orders hold their place in a slot while they are paid, or unpaid with
+// their stock still reserved. An unpaid order whose reservation expired
+// gives its place up and has to win it back when it is paid.
+
+const PREORDER_MAX_DAYS = parseInt(process.env.PREORDER_MAX_DAYS || '30', 10);
+
+// Slot times are wall-clock times in the shop's timezone
+const TIMEZONE = DEFAULT_TIMEZONE;
+
+class SlotError extends Error {
+    constructor(message, status = 409, code = 'SLOT_UNAVAILABLE') {
+        super(message);
+        this.name = 'SlotError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// 'YYYY-MM-DD' naming a real calendar day (not 2024-02-30)
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        !isNaN(new Date(value).getTime()) && new Date(value).toISOString().slice(0, 10) === value;
+}
+
+// Optional ?from=&to= dates
+function parseDates(query) {
+    for (const field of ['from', 'to']) {
+        if (query[field] !== undefined && !isDate(query[field])) {
+            throw new ListQueryError(`${field} must be a date in YYYY-MM-DD format`, field);
+        }
+    }
+    return { from: query.from || null, to: query.to || null };
+}
+
+function addDays(date, days) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+}
+
+// First and last date a slot can be booked for
+function bookingWindow() {
+    const today = localDate(TIMEZONE);
+    return { today, last: addDays(today, PREORDER_MAX_DAYS) };
+}
+
+// Every bookable date of the active slots between two dates: blackout dates
+// and slots past their cutoff are left out
+async function occurrences(db, { from, to, slotId = null }) {
+    const result = await db.query(
+        `SELECT s.*, to_char(d, 'YYYY-MM-DD') AS date,
+                ((d::date + s.start_time) AT TIME ZONE $3) AS starts_at,
+                ((d::date + s.end_time) AT TIME ZONE $3) AS ends_at
+         FROM delivery_slots s
+         CROSS JOIN generate_series($1::date, $2::date, interval '1 day') AS d
+         WHERE s.active = true
+           AND EXTRACT(DOW FROM d) = s.weekday
+           AND ($4::varchar IS NULL OR s.id = $4)
+           AND NOT EXISTS (SELECT 1 FROM delivery_blackout_dates b WHERE b.date = d::date)
+           AND ((d::date + s.start_time) AT TIME ZONE $3) - s.cutoff_minutes * interval '1 minute' > CURRENT_TIMESTAMP
+         ORDER BY starts_at ASC, s.name ASC`,
+        [from, to, TIMEZONE, slotId]
+    );
+    return result.rows;
+}
+
+// Orders holding a place, per slot, date and zone
+async function bookings(db, { from, to, slotIds, excludeOrderId = null }) {
+    const result = await db.query(
+        `SELECT o.delivery_slot_id AS slot_id, o.delivery_date AS date, o.delivery_zone_id AS zone_id,
+                COUNT(*) AS orders
+         FROM orders o
+         WHERE o.delivery_slot_id = ANY($3::varchar[])
+           AND o.delivery_date BETWEEN $1::date AND $2::date
+           AND ($4::varchar IS NULL OR o.id <> $4)
+           AND (o.status = ANY($5::varchar[])
+                OR (o.status = 'pending' AND EXISTS (
+                    SELECT 1 FROM stock_reservations r
+                    WHERE r.order_id = o.id AND r.status = 'reserved'
+                )))
+         GROUP BY o.delivery_slot_id, o.delivery_date, o.delivery_zone_id`,
+        [from, to, slotIds, excludeOrderId, PAID_STATUSES]
+    );
+    return result.rows;
+}
+
+async function zoneLimits(db, slotIds) {
+    const result = await db.query(
+        'SELECT * FROM delivery_slot_zone_limits WHERE slot_id = ANY($1::varchar[])',
+        [slotIds]
+    );
+    return result.rows;
+}
+
+// Places left in a slot on a date, for a zone when zoneId is given
+function remainingPlaces(slot, date, zoneId, booked, limits) {
+    const forDate = booked.filter(row => row.slot_id === slot.id && row.date === date);
+    const total = forDate.reduce((sum, row) => sum + parseInt(row.orders), 0);
+    let remaining = slot.capacity - total;
+
+    const limit = zoneId && limits.find(row => row.slot_id === slot.id && row.zone_id === zoneId);
+    if (limit) {
+        const inZone = forDate
+            .filter(row => row.zone_id === zoneId)
+            .reduce((sum, row) => sum + parseInt(row.orders), 0);
+        remaining = Math.min(remaining, limit.capacity - inZone);
+    }
+    return Math.max(remaining, 0);
+}
+
+// Bookable slots between two dates (clamped to the booking window), with
+// places left for the zone when one is given. Full slots are included.
+async function listAvailable({ from = null, to = null, zoneId = null } = {}, db = pool) {
+    const { today, last } = bookingWindow();
+    const start = from && from > today ? from : today;
+    const end = to && to < last ? to : last;
+    if (start > end) {
+        return [];
+    }
+
+    const slots = await occurrences(db, { from: start, to: end });
+    const slotIds = [...new Set(slots.map(slot => slot.id))];
+    const [booked, limits] = await Promise.all([
+        bookings(db, { from: start, to: end, slotIds }),
+        zoneLimits(db, slotIds)
+    ]);
+
+    return slots.map(slot => {
+        const remaining = remainingPlaces(slot, slot.date, zoneId, booked, limits);
+        return {
+            slotId: slot.id,
+            name: slot.name,
+            date: slot.date,
+            startsAt: slot.starts_at,
+            endsAt: slot.ends_at,
+            remaining,
+            full: remaining === 0,
+            preorder: slot.date > today
+        };
+    });
+}
+
+// Lock a slot for a new order on `date` in the caller's transaction and
+// check it has room. Returns the delivery window to store on the order.
+async function bookSlot(client, { slotId, date, zoneId = null }) {
+    const slotResult = await client.query('SELECT * FROM delivery_slots WHERE id = $1 FOR UPDATE', [slotId]);
+    const slot = slotResult.rows[0];
+    if (!slot || !slot.active) {
+        throw new SlotError('Delivery slot not found', 404, 'SLOT_NOT_FOUND');
+    }
+
+    const { today, last } = bookingWindow();
+    if (date < today || date > last) {
+        throw new SlotError(`Choose a delivery date from ${today} to ${last}`);
+    }
+
+    const [occurrence] = await occurrences(client, { from: date, to: date, slotId });
+    if (!occurrence) {
+        throw new SlotError('This delivery slot is not available on that date');
+    }
+
+    const booked = await bookings(client, { from: date, to: date, slotIds: [slotId] });
+    const limits = await zoneLimits(client, [slotId]);
+    if (remainingPlaces(slot, date, zoneId, booked, limits) === 0) {
+        throw new SlotError('This delivery slot is full', 409, 'SLOT_FULL');
+    }
+
+    return {
+        slotId,
+        date,
+        windowStart: occurrence.starts_at,
+        windowEnd: occurrence.ends_at,
+        preorder: date > today
+    };
+}
+
+// Whether an unpaid order with a slot has given its place up (its stock
+// reservation expired). Check before the reservation is committed.
+async function slotLapsed(db, order) {
+    if (!order.delivery_slot_id) {
+        return false;
+    }
+    const result = await db.query(
+        `SELECT 1 FROM stock_reservations WHERE order_id = $1 AND status = 'released' LIMIT 1`,
+        [order.id]
+    );
+    return result.rows.length > 0;
+}
+
+// Take a lapsed order's place back as it is paid; throws SLOT_FULL when the
+// slot filled up meanwhile. Call after the order's stock is committed so
+// locks are taken in the same order as at checkout (products, then slot).
+async function reclaimSlot(client, order) {
+    const slotResult = await client.query(
+        'SELECT * FROM delivery_slots WHERE id = $1 FOR UPDATE',
+        [order.delivery_slot_id]
+    );
+    const slot = slotResult.rows[0];
+    const date = order.delivery_date;
+
+    const booked = await bookings(client, { from: date, to: date, slotIds: [slot.id], excludeOrderId: order.id });
+    const limits = await zoneLimits(client, [slot.id]);
+    if (remainingPlaces(slot, date, order.delivery_zone_id, booked, limits) === 0) {
+        throw new SlotError('The delivery slot filled up before the order was paid', 409, 'SLOT_FULL');
+    }
+}
+
+module.exports = {
+    PREORDER_MAX_DAYS,
+    SlotError,
+    isDate,
+    parseDates,
+    addDays,
+    bookingWindow,
+    listAvailable,
+    bookSlot,
+    slotLapsed,
+    reclaimSlot
+};
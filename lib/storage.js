@@ -0,0 +1,115 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const cloudinary = require('cloudinary').v2;
+
+// Image storage adapters. Both expose:
+//   save(buffer, { folder, extension }) -> { url, key }
+//   remove(key)
+// Pick one with STORAGE_DRIVER=local|cloudinary. Local disk is the default
+// outside production and whenever Cloudinary is not configured.
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const UPLOAD_URL_PATH = '/uploads';
+
+function createLocalStorage() {
+    const publicBaseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+    return {
+        driver: 'local',
+
+        async save(buffer, { folder, extension }) {
+            const key = path.posix.join(folder, `${uuidv4()}.${extension}`);
+            const filePath = path.join(UPLOAD_DIR, key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return { key, url: `${publicBaseUrl}${UPLOAD_URL_PATH}/${key}` };
+        },
+
+        async remove(key) {
+            const filePath = path.join(UPLOAD_DIR, key);
+            // Never follow a key outside the upload directory
+            if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+                return;
+            }
+            await fs.rm(filePath, { force: true });
+        }
+    };
+}
+
+function createCloudinaryStorage() {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+        secure: true
+    });
+
+    return {
+        driver: 'cloudinary',
+
+        save(buffer, { folder }) {
+            return new Promise((resolve, reject) => {
+                const stream = cloudinary.uploader.upload_stream(
+                    { folder: `kuku-yetu/${folder}`, resource_type: 'image' },
+                    (error, result) => {
+                        if (error) {
+                            return reject(error);
+                        }
+                        resolve({ key: result.public_id, url: result.secure_url });
+                    }
+                );
+                stream.end(buffer);
+            });
+        },
+
+        async remove(key) {
+            await cloudinary.uploader.destroy(key, { resource_type: 'image' });
+        }
+    };
+}
+
+function cloudinaryConfigured() {
+    return Boolean(process.env.CLOUDINARY_CLOUD_NAME &&
+        process.env.CLOUDINARY_API_KEY &&
+        process.env.CLOUDINARY_API_SECRET);
+}
+
+function createStorage() {
+    const driver = process.env.STORAGE_DRIVER ||
+        (process.env.NODE_ENV === 'production' && cloudinaryConfigured() ? 'cloudinary' : 'local');
+
+    if (driver === 'cloudinary') {
+        if (!cloudinaryConfigured()) {
+            throw new Error('STORAGE_DRIVER=cloudinary needs CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+        }
+        return createCloudinaryStorage();
+    }
+    if (driver !== 'local') {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    return createLocalStorage();
+}
+
+const storage = createStorage();
+
+// Adapter for an existing image row, which may predate a driver switch
+function adapterFor(driver) {
+    if (driver === storage.driver) {
+        return storage;
+    }
+    if (driver === 'local') {
+        return createLocalStorage();
+    }
+    if (driver === 'cloudinary' && cloudinaryConfigured()) {
+        return createCloudinaryStorage();
+    }
+    return null;
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    UPLOAD_URL_PATH,
+    storage,
+    adapterFor
+};
@@ -0,0 +1,619 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool, withTransaction } = require('./db');
+const { toMoney } = require('./money');
+const { ValidationError, fieldError } = require('./validation');
+const pricing = require('./pricing');
+const inventory = require('./inventory');
+const delivery = require('./delivery');
+const slots = require('./slots');
+const checkout = require('./checkout');
+const { DEFAULT_TIMEZONE, localDate } = require('./analytics');
+
+// Recurring orders, e.g. a tray of eggs every week or two chickens every
+// fortnight. A customer picks the items, how often, a weekly delivery slot
+// and one of their saved addresses. LEAD_DAYS before each delivery date, from
+// ORDER_HOUR that morning, the scheduler places an ordinary order for it: it
+// is priced, reserved and booked into the slot like a checkout, and is paid
+// through the usual payment flow (reminders and expiry of unpaid orders
+// included). An order that cannot be placed (sold out, slot full) is
+// recorded as failed and the subscription moves on to the next date.
+//
+// Customers can pause, resume, skip the next delivery, change what they get
+// or cancel. Orders already generated are not touched by any of these; they
+// are cancelled like any other order.
+
+// Weeks between deliveries
+const FREQUENCIES = {
+    weekly: 1,
+    fortnightly: 2,
+    every_four_weeks: 4
+};
+
+// Days before the delivery date its order is placed, and the hour of that
+// day (shop time) from which it is
+const LEAD_DAYS = parseInt(process.env.SUBSCRIPTION_LEAD_DAYS || '1', 10);
+const ORDER_HOUR = parseInt(process.env.SUBSCRIPTION_ORDER_HOUR || '8', 10);
+
+// Default window of the upcoming deliveries report
+const UPCOMING_DAYS = parseInt(process.env.SUBSCRIPTION_UPCOMING_DAYS || '14', 10);
+
+const TIMEZONE = DEFAULT_TIMEZONE;
+
+const ORDER_ACTOR = { type: 'system', id: null, name: 'subscription' };
+
+class SubscriptionError extends Error {
+    constructor(message, status = 409, code = 'SUBSCRIPTION_NOT_ALLOWED') {
+        super(message);
+        this.name = 'SubscriptionError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function localHour(date = new Date()) {
+    return parseInt(new Intl.DateTimeFormat('en-GB', {
+        timeZone: TIMEZONE,
+        hour: '2-digit',
+        hourCycle: 'h23'
+    }).format(date), 10);
+}
+
+function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// First date on or after `date` that falls on `weekday`
+function nextOn(weekday, date) {
+    return slots.addDays(date, (weekday - weekdayOf(date) + 7) % 7);
+}
+
+// The date on `weekday` nearest to `date`, so a delivery follows its slot
+// when staff move the slot to another day
+function nearestOn(weekday, date) {
+    return nextOn(weekday, slots.addDays(date, -3));
+}
+
+// Earliest delivery date a change can still reach
+function earliestDate() {
+    return slots.addDays(localDate(TIMEZONE), LEAD_DAYS);
+}
+
+// Delivery date after `date` for a subscription
+function followingDate(subscription, weekday, date = subscription.next_delivery_date) {
+    return nearestOn(weekday, slots.addDays(date, 7 * FREQUENCIES[subscription.frequency]));
+}
+
+// Check the products exist and that products sold by variant name one.
+// Stock is not checked: it is checked when each order is placed.
+async function checkItems(db, items) {
+    const requested = pricing.normalizeItems(items);
+    const ids = [...new Set(requested.map(item => item.productId))];
+
+    const [products, variants] = await Promise.all([
+        db.query('SELECT id FROM products WHERE id = ANY($1::varchar[])', [ids]),
+        db.query('SELECT id, product_id FROM product_variants WHERE product_id = ANY($1::varchar[])', [ids])
+    ]);
+    const found = new Set(products.rows.map(row => row.id));
+    const hasVariants = new Set(variants.rows.map(row => row.product_id));
+
+    const errors = [];
+    for (const item of requested) {
+        if (!found.has(item.productId)) {
+            errors.push({ index: item.index, productId: item.productId, code: 'not_found', reason: 'Product not found' });
+        } else if (item.variantId && !variants.rows.some(row => row.id === item.variantId && row.product_id === item.productId)) {
+            errors.push({ index: item.index, productId: item.productId, code: 'not_found', reason: 'Product option not found' });
+        } else if (!item.variantId && hasVariants.has(item.productId)) {
+            errors.push({ index: item.index, productId: item.productId, code: 'variant_required', reason: 'Choose an option for this product' });
+        }
+    }
+    if (errors.length > 0) {
+        throw new pricing.OrderValidationError('Some items could not be subscribed to', errors);
+    }
+    return requested;
+}
+
+async function saveItems(client, subscriptionId, items) {
+    await client.query('DELETE FROM subscription_items WHERE subscription_id = $1', [subscriptionId]);
+    for (const item of items) {
+        await client.query(
+            `INSERT INTO subscription_items (subscription_id, product_id, variant_id, quantity)
+             VALUES ($1, $2, $3, $4)`,
+            [subscriptionId, item.productId, item.variantId, item.quantity]
+        );
+    }
+}
+
+async function findSlot(db, slotId) {
+    const result = await db.query('SELECT * FROM delivery_slots WHERE id = $1 AND active = true', [slotId]);
+    if (result.rows.length === 0) {
+        throw new SubscriptionError('Delivery slot not found', 404, 'SLOT_NOT_FOUND');
+    }
+    return result.rows[0];
+}
+
+async function findAddress(db, customerId, addressId) {
+    const result = await db.query(
+        'SELECT * FROM customer_addresses WHERE id = $1 AND customer_id = $2',
+        [addressId, customerId]
+    );
+    if (result.rows.length === 0) {
+        throw new SubscriptionError('Address not found', 404, 'ADDRESS_NOT_FOUND');
+    }
+    return result.rows[0];
+}
+
+// Orders are sent a receipt, so the subscription or the account needs an email
+function requireEmail(email) {
+    if (!email) {
+        throw new ValidationError([
+            fieldError('email', 'required', 'An email address is needed for order receipts')
+        ]);
+    }
+}
+
+// Items with what they cost today, for each of the given subscriptions
+async function itemsFor(ids, db = pool) {
+    const result = await db.query(
+        `SELECT i.subscription_id, i.product_id, i.variant_id, i.quantity, p.title,
+                v.name AS variant_name, v.sku, COALESCE(v.price, p.price) AS unit_price
+         FROM subscription_items i
+         JOIN products p ON p.id = i.product_id
+         LEFT JOIN product_variants v ON v.id = i.variant_id
+         WHERE i.subscription_id = ANY($1::varchar[])
+         ORDER BY i.id ASC`,
+        [ids]
+    );
+    const items = new Map(ids.map(id => [id, []]));
+    result.rows.forEach(({ subscription_id: subscriptionId, ...item }) => {
+        items.get(subscriptionId).push({ ...item, unit_price: parseFloat(item.unit_price) });
+    });
+    return items;
+}
+
+// Subscription rows with their items and the estimated cost of a delivery
+async function withItems(rows, db = pool) {
+    const items = await itemsFor(rows.map(row => row.id), db);
+    return rows.map(row => {
+        const lines = items.get(row.id);
+        return {
+            ...row,
+            items: lines,
+            estimated_subtotal: toMoney(lines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0))
+        };
+    });
+}
+
+async function lockSubscription(client, subscriptionId, customerId) {
+    const result = await client.query(
+        `SELECT s.*, ds.weekday
+         FROM subscriptions s
+         JOIN delivery_slots ds ON ds.id = s.delivery_slot_id
+         WHERE s.id = $1 AND s.customer_id = $2
+         FOR UPDATE OF s`,
+        [subscriptionId, customerId]
+    );
+    if (result.rows.length === 0) {
+        throw new SubscriptionError('Subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND');
+    }
+    return result.rows[0];
+}
+
+// Start a subscription for a customer. The first delivery is on the slot's
+// weekday from startDate, or as soon as an order can be placed for it.
+async function createSubscription(customer, fields) {
+    return withTransaction(async (client) => {
+        const items = await checkItems(client, fields.items);
+        const slot = await findSlot(client, fields.deliverySlotId);
+        const address = await findAddress(client, customer.id, fields.addressId);
+        requireEmail(fields.email || customer.email);
+        if (fields.startDate !== undefined && !slots.isDate(fields.startDate)) {
+            throw new ValidationError([fieldError('startDate', 'invalid_date', 'startDate must be a date in YYYY-MM-DD format')]);
+        }
+
+        const earliest = earliestDate();
+        const firstDate = nextOn(slot.weekday, fields.startDate > earliest ? fields.startDate : earliest);
+
+        const id = uuidv4();
+        await client.query(
+            `INSERT INTO subscriptions (id, customer_id, frequency, delivery_slot_id, next_delivery_date,
+                                        address_id, location, latitude, longitude, delivery_notes, email, locale)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+            [id, customer.id, fields.frequency, slot.id, firstDate,
+             address.id, address.location, address.latitude, address.longitude, address.delivery_notes,
+             fields.email || null, fields.language]
+        );
+        await saveItems(client, id, items);
+
+        return getSubscription(id, customer.id, client);
+    });
+}
+
+// Change what a subscription delivers, how often, when or where. Moving to
+// another slot keeps the next delivery in the same week where it can.
+async function updateSubscription(customer, subscriptionId, fields) {
+    return withTransaction(async (client) => {
+        const subscription = await lockSubscription(client, subscriptionId, customer.id);
+        if (subscription.status === 'cancelled') {
+            throw new SubscriptionError('This subscription has been cancelled', 409, 'SUBSCRIPTION_CANCELLED');
+        }
+
+        if (fields.items !== undefined) {
+            await saveItems(client, subscription.id, await checkItems(client, fields.items));
+        }
+
+        const changes = {
+            frequency: subscription.frequency,
+            delivery_slot_id: subscription.delivery_slot_id,
+            next_delivery_date: subscription.next_delivery_date,
+            address_id: subscription.address_id,
+            location: subscription.location,
+            latitude: subscription.latitude,
+            longitude: subscription.longitude,
+            delivery_notes: subscription.delivery_notes,
+            email: subscription.email,
+            locale: subscription.locale
+        };
+
+        if (fields.frequency !== undefined) {
+            changes.frequency = fields.frequency;
+        }
+        if (fields.deliverySlotId !== undefined && fields.deliverySlotId !== subscription.delivery_slot_id) {
+            const slot = await findSlot(client, fields.deliverySlotId);
+            const nearest = nearestOn(slot.weekday, subscription.next_delivery_date);
+            changes.delivery_slot_id = slot.id;
+            changes.next_delivery_date = nearest >= earliestDate() ? nearest : nextOn(slot.weekday, earliestDate());
+        }
+        if (fields.addressId !== undefined) {
+            const address = await findAddress(client, customer.id, fields.addressId);
+            Object.assign(changes, {
+                address_id: address.id,
+                location: address.location,
+                latitude: address.latitude,
+                longitude: address.longitude,
+                delivery_notes: address.delivery_notes
+            });
+        }
+        if (fields.email !== undefined) {
+            changes.email = fields.email;
+        }
+        if (fields.language !== undefined) {
+            changes.locale = fields.language;
+        }
+        requireEmail(changes.email || customer.email);
+
+        const columns = Object.keys(changes);
+        await client.query(
+            `UPDATE subscriptions
+             SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')},
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [subscription.id, ...columns.map(column => changes[column])]
+        );
+
+        return getSubscription(subscription.id, customer.id, client);
+    });
+}
+
+// Lock a customer's subscription, check its status and apply `change`
+function changeStatus(subscriptionId, customerId, allowed, change) {
+    return withTransaction(async (client) => {
+        const subscription = await lockSubscription(client, subscriptionId, customerId);
+        if (!allowed.includes(subscription.status)) {
+            throw new SubscriptionError(`This subscription is ${subscription.status}`, 409, 'INVALID_SUBSCRIPTION_STATUS');
+        }
+        await change(client, subscription);
+        return getSubscription(subscription.id, customerId, client);
+    });
+}
+
+function pauseSubscription(subscriptionId, customerId) {
+    return changeStatus(subscriptionId, customerId, ['active'], client => client.query(
+        `UPDATE subscriptions SET status = 'paused', paused_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [subscriptionId]
+    ));
+}
+
+// Deliveries missed while paused are not made up; the next one is the first
+// the schedule can still reach
+function resumeSubscription(subscriptionId, customerId) {
+    return changeStatus(subscriptionId, customerId, ['paused'], (client, subscription) => {
+        let next = subscription.next_delivery_date;
+        while (next < earliestDate()) {
+            next = followingDate(subscription, subscription.weekday, next);
+        }
+        return client.query(
+            `UPDATE subscriptions
+             SET status = 'active', paused_at = NULL, next_delivery_date = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [subscriptionId, next]
+        );
+    });
+}
+
+// Skip the next delivery that has no order yet
+function skipNextDelivery(subscriptionId, customerId) {
+    return changeStatus(subscriptionId, customerId, ['active'], (client, subscription) =>
+        recordDelivery(client, subscription, 'skipped')
+    );
+}
+
+function cancelSubscription(subscriptionId, customerId) {
+    return changeStatus(subscriptionId, customerId, ['active', 'paused'], client => client.query(
+        `UPDATE subscriptions
+         SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [subscriptionId]
+    ));
+}
+
+// Record what happened to the next delivery and move on to the one after
+async function recordDelivery(client, subscription, status, { orderId = null, error = null } = {}) {
+    await client.query(
+        `INSERT INTO subscription_deliveries (subscription_id, delivery_date, status, order_id, error)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [subscription.id, subscription.next_delivery_date, status, orderId, error]
+    );
+    await client.query(
+        'UPDATE subscriptions SET next_delivery_date = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [subscription.id, followingDate(subscription, subscription.weekday)]
+    );
+}
+
+// Next few delivery dates of an active subscription
+function scheduledDates(subscription, weekday, until) {
+    const dates = [];
+    if (subscription.status !== 'active') {
+        return dates;
+    }
+    for (let date = subscription.next_delivery_date; date <= until; date = followingDate(subscription, weekday, date)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+// A customer's subscription (or any, for staff when customerId is null)
+// with its items, recent deliveries and the next dates it will deliver on
+async function getSubscription(subscriptionId, customerId = null, db = pool) {
+    const result = await db.query(
+        `SELECT s.*, ds.name AS slot_name, ds.weekday, ds.start_time, ds.end_time
+         FROM subscriptions s
+         JOIN delivery_slots ds ON ds.id = s.delivery_slot_id
+         WHERE s.id = $1 AND ($2::varchar IS NULL OR s.customer_id = $2)`,
+        [subscriptionId, customerId]
+    );
+    if (result.rows.length === 0) {
+        throw new SubscriptionError('Subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND');
+    }
+    const [subscription] = await withItems(result.rows, db);
+
+    const deliveries = await db.query(
+        `SELECT d.delivery_date, d.status, d.order_id, d.error, d.created_at,
+                o.status AS order_status, o.total AS order_total
+         FROM subscription_deliveries d
+         LEFT JOIN orders o ON o.id = d.order_id
+         WHERE d.subscription_id = $1
+         ORDER BY d.delivery_date DESC
+         LIMIT 10`,
+        [subscription.id]
+    );
+
+    return {
+        ...subscription,
+        upcoming_dates: scheduledDates(subscription, subscription.weekday, slots.addDays(localDate(TIMEZONE), 8 * 7)).slice(0, 4),
+        deliveries: deliveries.rows
+    };
+}
+
+async function listForCustomer(customerId) {
+    const result = await pool.query(
+        `SELECT s.*, ds.name AS slot_name, ds.weekday, ds.start_time, ds.end_time
+         FROM subscriptions s
+         JOIN delivery_slots ds ON ds.id = s.delivery_slot_id
+         WHERE s.customer_id = $1
+         ORDER BY (s.status = 'cancelled') ASC, s.created_at DESC`,
+        [customerId]
+    );
+    return withItems(result.rows);
+}
+
+// Deliveries between two dates (default the next UPCOMING_DAYS): orders
+// already generated, skipped or failed, and the ones active subscriptions
+// will generate, with the date each will be placed on
+async function upcomingDeliveries({ from = null, to = null } = {}) {
+    const today = localDate(TIMEZONE);
+    const start = from || today;
+    const end = to || slots.addDays(start, UPCOMING_DAYS);
+
+    const [recorded, active] = await Promise.all([
+        pool.query(
+            `SELECT d.*, s.customer_id, c.name AS customer_name, c.phone, s.delivery_slot_id, ds.name AS slot_name,
+                    o.status AS order_status, o.total AS order_total, o.payment_verified
+             FROM subscription_deliveries d
+             JOIN subscriptions s ON s.id = d.subscription_id
+             JOIN customers c ON c.id = s.customer_id
+             JOIN delivery_slots ds ON ds.id = s.delivery_slot_id
+             LEFT JOIN orders o ON o.id = d.order_id
+             WHERE d.delivery_date BETWEEN $1::date AND $2::date`,
+            [start, end]
+        ),
+        pool.query(
+            `SELECT s.*, c.name AS customer_name, c.phone, ds.name AS slot_name, ds.weekday
+             FROM subscriptions s
+             JOIN customers c ON c.id = s.customer_id
+             JOIN delivery_slots ds ON ds.id = s.delivery_slot_id
+             WHERE s.status = 'active' AND s.next_delivery_date <= $1::date`,
+            [end]
+        )
+    ]);
+
+    const subscriptionRows = await withItems(active.rows);
+    const scheduled = [];
+    for (const subscription of subscriptionRows) {
+        for (const date of scheduledDates(subscription, subscription.weekday, end)) {
+            if (date < start) {
+                continue;
+            }
+            scheduled.push({
+                subscription_id: subscription.id,
+                delivery_date: date,
+                status: 'scheduled',
+                order_id: null,
+                error: null,
+                customer_id: subscription.customer_id,
+                customer_name: subscription.customer_name,
+                phone: subscription.phone,
+                delivery_slot_id: subscription.delivery_slot_id,
+                slot_name: subscription.slot_name,
+                location: subscription.location,
+                order_on: slots.addDays(date, -LEAD_DAYS),
+                items: subscription.items,
+                estimated_subtotal: subscription.estimated_subtotal
+            });
+        }
+    }
+
+    const deliveries = [
+        ...recorded.rows.map(row => ({
+            ...row,
+            order_total: row.order_total === null ? null : parseFloat(row.order_total)
+        })),
+        ...scheduled
+    ].sort((a, b) => a.delivery_date.localeCompare(b.delivery_date) || a.customer_name.localeCompare(b.customer_name));
+
+    const summary = { scheduled: 0, generated: 0, skipped: 0, failed: 0 };
+    deliveries.forEach(row => summary[row.status]++);
+
+    return { from: start, to: end, summary, deliveries };
+}
+
+// Checkout fields for a subscription's next order
+async function orderFields(client, subscription) {
+    const customerResult = await client.query('SELECT * FROM customers WHERE id = $1', [subscription.customer_id]);
+    const customer = customerResult.rows[0];
+    if (!customer.active) {
+        throw new SubscriptionError('The customer account is disabled', 409, 'CUSTOMER_DISABLED');
+    }
+    if (!subscription.email && !customer.email) {
+        throw new SubscriptionError('No email address for the order receipt', 400, 'EMAIL_REQUIRED');
+    }
+
+    const items = await client.query(
+        'SELECT product_id, variant_id, quantity FROM subscription_items WHERE subscription_id = $1 ORDER BY id ASC',
+        [subscription.id]
+    );
+
+    return {
+        customerName: customer.name,
+        email: subscription.email || customer.email,
+        phone: customer.phone,
+        location: subscription.location,
+        latitude: parseFloat(subscription.latitude),
+        longitude: parseFloat(subscription.longitude),
+        deliveryNotes: subscription.delivery_notes || '',
+        items: items.rows.map(row => ({ productId: row.product_id, variantId: row.variant_id, quantity: row.quantity })),
+        language: subscription.locale,
+        deliverySlotId: subscription.delivery_slot_id,
+        deliveryDate: subscription.next_delivery_date
+    };
+}
+
+// Reasons an order cannot be placed that are the customer's or the shop's
+// to sort out, not a fault: the delivery is recorded as failed
+function isOrderRejection(error) {
+    return error instanceof inventory.InventoryError ||
+        error instanceof ValidationError ||
+        error instanceof delivery.DeliveryError ||
+        error instanceof slots.SlotError ||
+        error instanceof SubscriptionError;
+}
+
+// Why an order was rejected, with the item-by-item reasons when there are any
+function rejectionReason(error) {
+    const reasons = Array.isArray(error.details) ? error.details.map(detail => detail.reason).filter(Boolean) : [];
+    return reasons.length > 0 ? `${error.message}: ${reasons.join('; ')}` : error.message;
+}
+
+// The subscription locked, if it is still active and its next delivery is due
+async function lockDue(client, subscriptionId, through) {
+    const result = await client.query(
+        `SELECT s.*, ds.weekday
+         FROM subscriptions s
+         JOIN delivery_slots ds ON ds.id = s.delivery_slot_id
+         WHERE s.id = $1 AND s.status = 'active' AND s.next_delivery_date <= $2::date
+         FOR UPDATE OF s`,
+        [subscriptionId, through]
+    );
+    return result.rows[0] || null;
+}
+
+// Place the order for a subscription's next delivery. Returns 'generated',
+// 'failed', or null when someone else got to it first.
+async function generateOrder(subscriptionId, through) {
+    try {
+        return await withTransaction(async (client) => {
+            const subscription = await lockDue(client, subscriptionId, through);
+            if (!subscription) {
+                return null;
+            }
+            const { order } = await checkout.placeOrder(client, await orderFields(client, subscription), {
+                actor: ORDER_ACTOR,
+                note: `Subscription delivery for ${subscription.next_delivery_date}`,
+                subscriptionId: subscription.id
+            });
+            await recordDelivery(client, subscription, 'generated', { orderId: order.id });
+            return 'generated';
+        });
+    } catch (error) {
+        if (!isOrderRejection(error)) {
+            throw error;
+        }
+        return withTransaction(async (client) => {
+            const subscription = await lockDue(client, subscriptionId, through);
+            if (!subscription) {
+                return null;
+            }
+            await recordDelivery(client, subscription, 'failed', { error: rejectionReason(error) });
+            return 'failed';
+        });
+    }
+}
+
+// Place the orders that are due. Returns how many were placed and failed.
+async function generateDueOrders() {
+    const today = localDate(TIMEZONE);
+    const through = slots.addDays(today, localHour() >= ORDER_HOUR ? LEAD_DAYS : LEAD_DAYS - 1);
+
+    const due = await pool.query(
+        `SELECT id FROM subscriptions
+         WHERE status = 'active' AND next_delivery_date <= $1::date
+         ORDER BY next_delivery_date ASC, created_at ASC`,
+        [through]
+    );
+
+    const counts = { generated: 0, failed: 0 };
+    for (const { id } of due.rows) {
+        const outcome = await generateOrder(id, through);
+        if (outcome) {
+            counts[outcome]++;
+        }
+    }
+    return counts;
+}
+
+module.exports = {
+    FREQUENCIES,
+    LEAD_DAYS,
+    SubscriptionError,
+    createSubscription,
+    updateSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    skipNextDelivery,
+    cancelSubscription,
+    getSubscription,
+    listForCustomer,
+    withItems,
+    upcomingDeliveries,
+    generateDueOrders
+};
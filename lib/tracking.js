@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// Customers get a random tracking token when they place an order. Only its
+// SHA-256 hash is stored, so a database leak does not expose tracking links.
+function generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokenMatches(token, hash) {
+    if (!token || !hash) {
+        return false;
+    }
+    const given = Buffer.from(hashToken(token));
+    const stored = Buffer.from(hash);
+    return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+}
+
+// Compare phone numbers on their last nine digits so 07.., 7.. and +2547..
+// forms of the same Kenyan number match
+function phoneMatches(given, stored) {
+    const a = String(given || '').replace(/\D/g, '').slice(-9);
+    const b = String(stored || '').replace(/\D/g, '').slice(-9);
+    return a.length === 9 && a === b;
+}
+
+// Whether a tracking token, or else a phone number, gives access to an order.
+// Unknown orders and wrong credentials look the same.
+function canTrack(order, { token, phone }) {
+    if (!order) {
+        return false;
+    }
+    return token
+        ? tokenMatches(token, order.tracking_token_hash)
+        : phoneMatches(phone, order.phone);
+}
+
+function maskPhone(phone) {
+    const digits = String(phone || '');
+    if (digits.length <= 4) {
+        return '****';
+    }
+    return digits.slice(0, 3) + '*'.repeat(digits.length - 5) + digits.slice(-2);
+}
+
+function maskEmail(email) {
+    const [user, domain] = String(email || '').split('@');
+    if (!domain) {
+        return '***';
+    }
+    return `${user.slice(0, 1)}***@${domain}`;
+}
+
+// "Wanjiku Kamau" -> "Wanjiku K."
+function maskName(name) {
+    const parts = String(name || '').trim().split(/\s+/);
+    if (parts.length < 2) {
+        return parts[0] || '';
+    }
+    return `${parts[0]} ${parts[parts.length - 1].slice(0, 1)}.`;
+}
+
+// The customer-facing view of an order: status, items, ETA and timeline,
+// with personal data masked and staff names and notes hidden
+function trackingView(order, timeline) {
+    return {
+        orderId: order.id,
+        status: order.status,
+        paymentVerified: order.payment_verified,
+        estimatedDelivery: order.estimated_delivery,
+        deliveryWindow: order.delivery_date
+            ? { date: order.delivery_date, start: order.delivery_window_start, end: order.delivery_window_end }
+            : null,
+        preorder: order.is_preorder,
+        customer: {
+            name: maskName(order.customer_name),
+            phone: maskPhone(order.phone),
+            email: maskEmail(order.email)
+        },
+        items: (order.items || []).map(item => ({
+            title: item.title,
+            variant: item.variant || null,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            lineTotal: item.lineTotal
+        })),
+        subtotal: parseFloat(order.subtotal),
+        deliveryFee: parseFloat(order.delivery_fee),
+        discount: parseFloat(order.discount || 0),
+        total: parseFloat(order.total),
+        refunded: parseFloat(order.refunded_amount || 0),
+        // Notes are written for staff (cancellation reasons, system
+        // messages), so only when each status was reached is shown
+        timeline: timeline.map(entry => ({
+            status: entry.status,
+            at: entry.at
+        })),
+        createdAt: order.created_at
+    };
+}
+
+module.exports = {
+    generateToken,
+    hashToken,
+    tokenMatches,
+    phoneMatches,
+    canTrack,
+    maskPhone,
+    maskEmail,
+    maskName,
+    trackingView
+};
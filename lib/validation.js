@@ -0,0 +1,246 @@
+// Declarative request validation.
+//
+// A schema maps field names to rules:
+//   { phone: { type: 'phone', required: true }, quantity: { type: 'integer', min: 1 } }
+// validate({ body, query, params }) returns middleware that checks the
+// request, replaces req.body/query/params with the normalised values (unknown
+// fields dropped, defaults applied) and answers 400 with every failing field.
+//
+// Types: string, id (string or number), email, phone (Kenyan, normalised to
+// E.164), number, integer, boolean, date, array, object, any.
+// Rule keys: type, required, nullable, default, min, max, minLength, maxLength,
+// enum, pattern, items (array element rule), fields (object schema),
+// minItems, maxItems.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// `errors` is a list of { field, code, message }; `code` is the top-level
+// machine-readable code sent to clients
+class ValidationError extends Error {
+    constructor(errors, message = 'Validation failed', code = 'VALIDATION_ERROR') {
+        super(message);
+        this.name = 'ValidationError';
+        this.errors = errors;
+        this.code = code;
+    }
+}
+
+// Kenyan mobile and landline-style numbers to E.164 (+254XXXXXXXXX).
+// Accepts 07.., 01.., 7.., 1.., 254.. and +254.. with spaces or dashes.
+function normalizeKenyanPhone(value) {
+    const digits = String(value).replace(/[\s\-()]/g, '');
+    const match = digits.match(/^(?:\+?254|0)?([17]\d{8})$/);
+    return match ? `+254${match[1]}` : null;
+}
+
+function fieldError(field, code, message) {
+    return { field, code, message };
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Check one value against a rule; returns the normalised value
+function checkValue(rule, value, field, errors) {
+    switch (rule.type) {
+        case 'string':
+        case 'id': {
+            if (typeof value !== 'string' && !(rule.type === 'id' && typeof value === 'number')) {
+                errors.push(fieldError(field, 'invalid_type', `${field} must be a string`));
+                return value;
+            }
+            const text = String(value).trim();
+            if (rule.minLength !== undefined && text.length < rule.minLength) {
+                errors.push(fieldError(field, 'too_short', `${field} must be at least ${rule.minLength} characters`));
+            }
+            if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+                errors.push(fieldError(field, 'too_long', `${field} must be at most ${rule.maxLength} characters`));
+            }
+            if (rule.pattern && !rule.pattern.test(text)) {
+                errors.push(fieldError(field, 'invalid_format', `${field} has an invalid format`));
+            }
+            if (rule.enum && !rule.enum.includes(text)) {
+                errors.push(fieldError(field, 'invalid_enum', `${field} must be one of: ${rule.enum.join(', ')}`));
+            }
+            return text;
+        }
+        case 'email': {
+            const email = String(value).trim().toLowerCase();
+            if (typeof value !== 'string' || !EMAIL_PATTERN.test(email) || email.length > 255) {
+                errors.push(fieldError(field, 'invalid_email', `${field} must be a valid email address`));
+            }
+            return email;
+        }
+        case 'phone': {
+            const phone = typeof value === 'string' || typeof value === 'number' ? normalizeKenyanPhone(value) : null;
+            if (!phone) {
+                errors.push(fieldError(field, 'invalid_phone', `${field} must be a valid Kenyan phone number`));
+                return value;
+            }
+            return phone;
+        }
+        case 'number':
+        case 'integer': {
+            // Query strings and form fields arrive as text
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                errors.push(fieldError(field, 'invalid_type', `${field} must be a number`));
+                return value;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(number)) {
+                errors.push(fieldError(field, 'invalid_type', `${field} must be a whole number`));
+            }
+            if (rule.min !== undefined && number < rule.min) {
+                errors.push(fieldError(field, 'too_small', `${field} must be at least ${rule.min}`));
+            }
+            if (rule.max !== undefined && number > rule.max) {
+                errors.push(fieldError(field, 'too_large', `${field} must be at most ${rule.max}`));
+            }
+            return number;
+        }
+        case 'boolean': {
+            if (value === true || value === 'true') {
+                return true;
+            }
+            if (value === false || value === 'false') {
+                return false;
+            }
+            errors.push(fieldError(field, 'invalid_type', `${field} must be true or false`));
+            return value;
+        }
+        case 'date': {
+            const date = new Date(value);
+            if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(date.getTime())) {
+                errors.push(fieldError(field, 'invalid_date', `${field} must be a valid date`));
+                return value;
+            }
+            return date;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors.push(fieldError(field, 'invalid_type', `${field} must be a list`));
+                return value;
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                errors.push(fieldError(field, 'too_few', `${field} must have at least ${rule.minItems} item(s)`));
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                errors.push(fieldError(field, 'too_many', `${field} must have at most ${rule.maxItems} item(s)`));
+            }
+            return rule.items
+                ? value.map((item, i) => checkField(rule.items, item, `${field}[${i}]`, errors))
+                : value;
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(fieldError(field, 'invalid_type', `${field} must be an object`));
+                return value;
+            }
+            return rule.fields ? checkObject(rule.fields, value, errors, { prefix: `${field}.` }) : value;
+        }
+        case 'any':
+            return value;
+        default:
+            throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+    }
+}
+
+function checkField(rule, value, field, errors, { partial = false } = {}) {
+    if (isEmpty(value)) {
+        if (value === null && rule.nullable) {
+            return null;
+        }
+        // A partial update may leave a field out, but not blank it
+        if (partial && value === undefined) {
+            return undefined;
+        }
+        if (rule.required) {
+            errors.push(fieldError(field, 'required', `${field} is required`));
+            return value;
+        }
+        return partial || rule.default === undefined ? undefined : rule.default;
+    }
+    return checkValue(rule, value, field, errors);
+}
+
+// Validate an object against a schema. With `partial`, required fields may be
+// left out and defaults are not applied (PATCH semantics).
+function checkObject(schema, input, errors, { partial = false, prefix = '' } = {}) {
+    const source = input && typeof input === 'object' ? input : {};
+    const output = {};
+    for (const [name, rule] of Object.entries(schema)) {
+        const value = checkField(rule, source[name], `${prefix}${name}`, errors, { partial });
+        if (value !== undefined) {
+            output[name] = value;
+        }
+    }
+    return output;
+}
+
+// Validate plain data outside a request (throws ValidationError)
+function validateData(schema, input, options) {
+    const errors = [];
+    const output = checkObject(schema, input, errors, options);
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    return output;
+}
+
+// The one error shape for bad input:
+//   { success: false, error, code, errors: [{ field, code, message }] }
+function sendValidationError(res, error, status = 400) {
+    res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        errors: error.errors,
+        ...(error.details !== undefined && { details: error.details })
+    });
+}
+
+// Middleware factory. `partial: true` applies to the body only.
+function validate({ body, query, params }, { partial = false } = {}) {
+    return (req, res, next) => {
+        const errors = [];
+        const checked = {};
+
+        if (params) {
+            checked.params = checkObject(params, req.params, errors);
+        }
+        if (query) {
+            checked.query = checkObject(query, req.query, errors);
+        }
+        if (body) {
+            checked.body = checkObject(body, req.body, errors, { partial });
+            if (partial && errors.length === 0 && Object.keys(checked.body).length === 0) {
+                errors.push(fieldError('body', 'empty_update', 'Provide at least one field to update'));
+            }
+        }
+
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+
+        if (checked.params) {
+            req.params = { ...req.params, ...checked.params };
+        }
+        if (checked.query) {
+            req.query = checked.query;
+        }
+        if (checked.body) {
+            req.body = checked.body;
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ValidationError,
+    normalizeKenyanPhone,
+    fieldError,
+    validateData,
+    validate,
+    sendValidationError
+};
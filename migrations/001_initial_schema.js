@@ -0,0 +1,60 @@
+// Base tables. IF NOT EXISTS lets databases created before migrations adopt this one.
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS products (
+                id VARCHAR(255) PRIMARY KEY,
+                title VARCHAR(255) NOT NULL,
+                description TEXT NOT NULL,
+                type VARCHAR(100) NOT NULL,
+                price DECIMAL(10, 2) NOT NULL,
+                quantity INTEGER NOT NULL,
+                available BOOLEAN DEFAULT true,
+                images TEXT[],
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS orders (
+                id VARCHAR(255) PRIMARY KEY,
+                customer_name VARCHAR(255) NOT NULL,
+                email VARCHAR(255) NOT NULL,
+                phone VARCHAR(20) NOT NULL,
+                location TEXT NOT NULL,
+                latitude DECIMAL(10, 8),
+                longitude DECIMAL(11, 8),
+                delivery_notes TEXT,
+                items JSONB NOT NULL,
+                subtotal DECIMAL(10, 2) NOT NULL,
+                delivery_fee DECIMAL(10, 2) NOT NULL,
+                total DECIMAL(10, 2) NOT NULL,
+                status VARCHAR(50) DEFAULT 'pending',
+                payment_verified BOOLEAN DEFAULT false,
+                transaction_id VARCHAR(255),
+                estimated_delivery TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS payments (
+                id VARCHAR(255) PRIMARY KEY,
+                order_id VARCHAR(255) REFERENCES orders(id),
+                amount DECIMAL(10, 2) NOT NULL,
+                currency VARCHAR(10) DEFAULT 'KES',
+                transaction_id VARCHAR(255),
+                status VARCHAR(50) DEFAULT 'pending',
+                lipiana_response JSONB,
+                verified_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS payments;
+            DROP TABLE IF EXISTS orders;
+            DROP TABLE IF EXISTS products;
+        `);
+    }
+};
@@ -0,0 +1,31 @@
+// Stock held for unpaid orders
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE products ADD COLUMN IF NOT EXISTS sold_out BOOLEAN DEFAULT false;
+
+            CREATE TABLE IF NOT EXISTS stock_reservations (
+                id SERIAL PRIMARY KEY,
+                order_id VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                product_id VARCHAR(255) NOT NULL REFERENCES products(id),
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                status VARCHAR(20) NOT NULL DEFAULT 'reserved'
+                    CHECK (status IN ('reserved', 'committed', 'released')),
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_stock_reservations_order ON stock_reservations(order_id);
+            CREATE INDEX IF NOT EXISTS idx_stock_reservations_expiry
+                ON stock_reservations(expires_at) WHERE status = 'reserved';
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS stock_reservations;
+            ALTER TABLE products DROP COLUMN IF EXISTS sold_out;
+        `);
+    }
+};
@@ -0,0 +1,26 @@
+// Columns for Lipiana STK push payments
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE payments ADD COLUMN IF NOT EXISTS phone VARCHAR(20);
+            ALTER TABLE payments ADD COLUMN IF NOT EXISTS checkout_request_id VARCHAR(255);
+            ALTER TABLE payments ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+            ALTER TABLE payments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_checkout_request
+                ON payments(checkout_request_id);
+            CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP INDEX IF EXISTS idx_payments_order;
+            DROP INDEX IF EXISTS idx_payments_checkout_request;
+            ALTER TABLE payments DROP COLUMN IF EXISTS updated_at;
+            ALTER TABLE payments DROP COLUMN IF EXISTS failure_reason;
+            ALTER TABLE payments DROP COLUMN IF EXISTS checkout_request_id;
+            ALTER TABLE payments DROP COLUMN IF EXISTS phone;
+        `);
+    }
+};
@@ -0,0 +1,30 @@
+// Order lifecycle: 'confirmed' becomes 'paid', and every change is recorded
+module.exports = {
+    async up(client) {
+        await client.query(`
+            UPDATE orders SET status = 'paid' WHERE status = 'confirmed';
+
+            CREATE TABLE IF NOT EXISTS order_status_history (
+                id SERIAL PRIMARY KEY,
+                order_id VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                from_status VARCHAR(50),
+                to_status VARCHAR(50) NOT NULL,
+                actor_type VARCHAR(20) NOT NULL DEFAULT 'system',
+                actor_id VARCHAR(255),
+                actor_name VARCHAR(255),
+                note TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_order_status_history_order
+                ON order_status_history(order_id, created_at);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS order_status_history;
+            UPDATE orders SET status = 'confirmed' WHERE status = 'paid';
+        `);
+    }
+};
@@ -0,0 +1,30 @@
+// Delivery zones with per-zone fees
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS delivery_zones (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                kind VARCHAR(20) NOT NULL CHECK (kind IN ('radius', 'polygon')),
+                radius_km DECIMAL(8, 2),
+                polygon JSONB,
+                fee DECIMAL(10, 2) NOT NULL,
+                min_order_value DECIMAL(10, 2) DEFAULT 0,
+                free_delivery_threshold DECIMAL(10, 2),
+                priority INTEGER DEFAULT 0,
+                active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_zone_id VARCHAR(255) REFERENCES delivery_zones(id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE orders DROP COLUMN IF EXISTS delivery_zone_id;
+            DROP TABLE IF EXISTS delivery_zones;
+        `);
+    }
+};
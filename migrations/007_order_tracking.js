@@ -0,0 +1,14 @@
+// Hashed customer tracking tokens
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_token_hash VARCHAR(64);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE orders DROP COLUMN IF EXISTS tracking_token_hash;
+        `);
+    }
+};
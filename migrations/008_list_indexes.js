@@ -0,0 +1,19 @@
+// Indexes for product search and order list filters
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_products_search ON products
+                USING GIN (to_tsvector('english', title || ' ' || description));
+            CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at);
+            CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP INDEX IF EXISTS idx_orders_status;
+            DROP INDEX IF EXISTS idx_orders_created_at;
+            DROP INDEX IF EXISTS idx_products_search;
+        `);
+    }
+};
@@ -0,0 +1,24 @@
+// Uploaded product images and where they are stored
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS product_images (
+                id VARCHAR(255) PRIMARY KEY,
+                product_id VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+                url TEXT NOT NULL,
+                storage_driver VARCHAR(20) NOT NULL,
+                storage_key TEXT,
+                position INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id, position);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS product_images;
+        `);
+    }
+};
@@ -0,0 +1,42 @@
+// Notification queue and customer language
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE orders ADD COLUMN IF NOT EXISTS locale VARCHAR(5) DEFAULT 'en';
+
+            CREATE TABLE IF NOT EXISTS notifications (
+                id VARCHAR(255) PRIMARY KEY,
+                event VARCHAR(50) NOT NULL,
+                channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email')),
+                audience VARCHAR(20) NOT NULL DEFAULT 'customer',
+                recipient VARCHAR(255) NOT NULL,
+                locale VARCHAR(5) DEFAULT 'en',
+                subject TEXT,
+                body TEXT NOT NULL,
+                order_id VARCHAR(255) REFERENCES orders(id) ON DELETE SET NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'queued'
+                    CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL DEFAULT 5,
+                next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                provider VARCHAR(50),
+                provider_message_id VARCHAR(255),
+                last_error TEXT,
+                sent_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_notifications_due
+                ON notifications(next_attempt_at) WHERE status = 'queued';
+            CREATE INDEX IF NOT EXISTS idx_notifications_order ON notifications(order_id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS notifications;
+            ALTER TABLE orders DROP COLUMN IF EXISTS locale;
+        `);
+    }
+};
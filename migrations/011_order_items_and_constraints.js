@@ -0,0 +1,69 @@
+// Order lines as rows with foreign keys to products, plus CHECKs on status, price and quantity
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE order_items (
+                id SERIAL PRIMARY KEY,
+                order_id VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                product_id VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+                title VARCHAR(255) NOT NULL,
+                unit_price DECIMAL(10, 2) NOT NULL CHECK (unit_price >= 0),
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                line_total DECIMAL(10, 2) NOT NULL CHECK (line_total >= 0)
+            );
+
+            CREATE INDEX idx_order_items_order ON order_items(order_id);
+            CREATE INDEX idx_order_items_product ON order_items(product_id);
+
+            -- Backfill from the items snapshots of server-priced orders whose
+            -- products still exist
+            INSERT INTO order_items (order_id, product_id, title, unit_price, quantity, line_total)
+            SELECT o.id, p.id, COALESCE(item->>'title', p.title),
+                   (item->>'unitPrice')::numeric, (item->>'quantity')::int, (item->>'lineTotal')::numeric
+            FROM orders o
+            CROSS JOIN LATERAL jsonb_array_elements(
+                CASE WHEN jsonb_typeof(o.items) = 'array' THEN o.items ELSE '[]'::jsonb END
+            ) AS item
+            JOIN products p ON p.id = item->>'productId'
+            WHERE item->>'quantity' ~ '^[1-9][0-9]*$'
+              AND item->>'unitPrice' ~ '^[0-9]+(\\.[0-9]+)?$'
+              AND item->>'lineTotal' ~ '^[0-9]+(\\.[0-9]+)?$';
+
+            ALTER TABLE products
+                ADD CONSTRAINT products_price_check CHECK (price >= 0),
+                ADD CONSTRAINT products_quantity_check CHECK (quantity >= 0);
+
+            ALTER TABLE orders
+                ALTER COLUMN status SET NOT NULL,
+                ADD CONSTRAINT orders_status_check CHECK (status IN (
+                    'pending', 'paid', 'preparing', 'out_for_delivery', 'delivered', 'cancelled', 'refunded'
+                )),
+                ADD CONSTRAINT orders_amounts_check CHECK (subtotal >= 0 AND delivery_fee >= 0 AND total >= 0);
+
+            ALTER TABLE payments
+                ADD CONSTRAINT payments_amount_check CHECK (amount >= 0),
+                ADD CONSTRAINT payments_status_check CHECK (status IN (
+                    'pending', 'completed', 'failed', 'amount_mismatch'
+                ));
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE payments
+                DROP CONSTRAINT IF EXISTS payments_status_check,
+                DROP CONSTRAINT IF EXISTS payments_amount_check;
+
+            ALTER TABLE orders
+                DROP CONSTRAINT IF EXISTS orders_amounts_check,
+                DROP CONSTRAINT IF EXISTS orders_status_check,
+                ALTER COLUMN status DROP NOT NULL;
+
+            ALTER TABLE products
+                DROP CONSTRAINT IF EXISTS products_quantity_check,
+                DROP CONSTRAINT IF EXISTS products_price_check;
+
+            DROP TABLE IF EXISTS order_items;
+        `);
+    }
+};
@@ -0,0 +1,61 @@
+// Coupon codes and automatic promotions, their redemptions, and the discount on orders
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE promotions (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                -- NULL code: applied automatically to every qualifying order
+                code VARCHAR(50),
+                kind VARCHAR(20) NOT NULL CHECK (kind IN ('percentage', 'fixed', 'free_delivery')),
+                value DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+                max_discount DECIMAL(10, 2) CHECK (max_discount >= 0),
+                -- NULL: every product type is eligible
+                product_types TEXT[],
+                min_subtotal DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (min_subtotal >= 0),
+                starts_at TIMESTAMP,
+                ends_at TIMESTAMP,
+                usage_limit INTEGER CHECK (usage_limit > 0),
+                per_customer_limit INTEGER CHECK (per_customer_limit > 0),
+                active BOOLEAN NOT NULL DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                CHECK (kind <> 'percentage' OR value <= 100),
+                CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+            );
+
+            CREATE UNIQUE INDEX idx_promotions_code ON promotions(UPPER(code)) WHERE code IS NOT NULL;
+
+            CREATE TABLE promotion_redemptions (
+                id SERIAL PRIMARY KEY,
+                promotion_id VARCHAR(255) NOT NULL REFERENCES promotions(id) ON DELETE RESTRICT,
+                order_id VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                customer_key VARCHAR(255) NOT NULL,
+                amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (promotion_id, order_id)
+            );
+
+            CREATE INDEX idx_promotion_redemptions_customer ON promotion_redemptions(promotion_id, customer_key);
+
+            ALTER TABLE orders
+                ADD COLUMN discount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+                ADD COLUMN coupon_code VARCHAR(50),
+                ADD COLUMN discounts JSONB NOT NULL DEFAULT '[]',
+                ADD CONSTRAINT orders_discount_check CHECK (discount >= 0);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE orders
+                DROP CONSTRAINT IF EXISTS orders_discount_check,
+                DROP COLUMN IF EXISTS discounts,
+                DROP COLUMN IF EXISTS coupon_code,
+                DROP COLUMN IF EXISTS discount;
+
+            DROP TABLE IF EXISTS promotion_redemptions;
+            DROP TABLE IF EXISTS promotions;
+        `);
+    }
+};
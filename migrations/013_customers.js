@@ -0,0 +1,71 @@
+// Customer accounts (phone OTP or password login), saved addresses, and orders linked to accounts
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE customers (
+                id VARCHAR(255) PRIMARY KEY,
+                -- E.164, e.g. +254712345678
+                phone VARCHAR(20) UNIQUE NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                email VARCHAR(255),
+                password_hash VARCHAR(255),
+                phone_verified_at TIMESTAMP,
+                active BOOLEAN NOT NULL DEFAULT true,
+                last_login_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE customer_refresh_tokens (
+                id VARCHAR(255) PRIMARY KEY,
+                customer_id VARCHAR(255) NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE customer_otps (
+                id SERIAL PRIMARY KEY,
+                phone VARCHAR(20) NOT NULL,
+                code_hash VARCHAR(64) NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                expires_at TIMESTAMP NOT NULL,
+                consumed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_customer_otps_phone ON customer_otps(phone, created_at);
+
+            CREATE TABLE customer_addresses (
+                id VARCHAR(255) PRIMARY KEY,
+                customer_id VARCHAR(255) NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+                label VARCHAR(50),
+                location TEXT NOT NULL,
+                latitude DECIMAL(10, 8) NOT NULL,
+                longitude DECIMAL(11, 8) NOT NULL,
+                delivery_notes TEXT,
+                is_default BOOLEAN NOT NULL DEFAULT false,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_customer_addresses_customer ON customer_addresses(customer_id);
+            CREATE UNIQUE INDEX idx_customer_addresses_default
+                ON customer_addresses(customer_id) WHERE is_default;
+
+            ALTER TABLE orders ADD COLUMN customer_id VARCHAR(255) REFERENCES customers(id) ON DELETE SET NULL;
+            CREATE INDEX idx_orders_customer ON orders(customer_id, created_at DESC);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP INDEX IF EXISTS idx_orders_customer;
+            ALTER TABLE orders DROP COLUMN IF EXISTS customer_id;
+            DROP TABLE IF EXISTS customer_addresses;
+            DROP TABLE IF EXISTS customer_otps;
+            DROP TABLE IF EXISTS customer_refresh_tokens;
+            DROP TABLE IF EXISTS customers;
+        `);
+    }
+};
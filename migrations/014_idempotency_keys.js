@@ -0,0 +1,43 @@
+// Stored responses for Idempotency-Key retries, and at most one pending payment per order
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE idempotency_keys (
+                scope VARCHAR(100) NOT NULL,
+                key VARCHAR(255) NOT NULL,
+                request_hash VARCHAR(64) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+                    CHECK (status IN ('in_progress', 'completed')),
+                response_status INTEGER,
+                response_body JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP,
+                expires_at TIMESTAMP NOT NULL,
+                PRIMARY KEY (scope, key)
+            );
+
+            CREATE INDEX idx_idempotency_keys_expiry ON idempotency_keys(expires_at);
+
+            -- Older duplicate pending payments can never be told apart from
+            -- the newest one, so close them before adding the constraint
+            UPDATE payments p
+            SET status = 'failed', failure_reason = 'Superseded by a newer payment attempt',
+                updated_at = CURRENT_TIMESTAMP
+            WHERE p.status = 'pending'
+              AND EXISTS (
+                  SELECT 1 FROM payments newer
+                  WHERE newer.order_id = p.order_id AND newer.status = 'pending'
+                    AND (newer.created_at, newer.id) > (p.created_at, p.id)
+              );
+
+            CREATE UNIQUE INDEX idx_payments_one_pending ON payments(order_id) WHERE status = 'pending';
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP INDEX IF EXISTS idx_payments_one_pending;
+            DROP TABLE IF EXISTS idempotency_keys;
+        `);
+    }
+};
@@ -0,0 +1,78 @@
+// Delivery riders, their sessions and location history, and order deliveries
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE riders (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                -- E.164, as normalised by request validation
+                phone VARCHAR(20) NOT NULL UNIQUE,
+                password_hash VARCHAR(255) NOT NULL,
+                vehicle VARCHAR(20) NOT NULL DEFAULT 'motorbike'
+                    CHECK (vehicle IN ('motorbike', 'bicycle', 'car', 'on_foot')),
+                -- On shift and taking new deliveries
+                available BOOLEAN NOT NULL DEFAULT false,
+                active BOOLEAN NOT NULL DEFAULT true,
+                latitude DECIMAL(10, 8),
+                longitude DECIMAL(11, 8),
+                location_updated_at TIMESTAMP,
+                last_login_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE rider_refresh_tokens (
+                id VARCHAR(255) PRIMARY KEY,
+                rider_id VARCHAR(255) NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE rider_locations (
+                id BIGSERIAL PRIMARY KEY,
+                rider_id VARCHAR(255) NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+                latitude DECIMAL(10, 8) NOT NULL,
+                longitude DECIMAL(11, 8) NOT NULL,
+                accuracy_m DECIMAL(8, 1),
+                recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_rider_locations_rider ON rider_locations(rider_id, recorded_at);
+
+            -- One row per assignment. Reassigning closes the old row as
+            -- 'unassigned', so an order keeps its dispatch history.
+            CREATE TABLE deliveries (
+                id SERIAL PRIMARY KEY,
+                order_id VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+                rider_id VARCHAR(255) NOT NULL REFERENCES riders(id) ON DELETE RESTRICT,
+                status VARCHAR(20) NOT NULL DEFAULT 'assigned'
+                    CHECK (status IN ('assigned', 'picked_up', 'delivered', 'unassigned')),
+                assignment VARCHAR(20) NOT NULL CHECK (assignment IN ('manual', 'nearest')),
+                assigned_by VARCHAR(255),
+                assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                picked_up_at TIMESTAMP,
+                delivered_at TIMESTAMP,
+                unassigned_at TIMESTAMP,
+                recipient_name VARCHAR(255),
+                proof_photo_url TEXT,
+                proof_storage_driver VARCHAR(20),
+                proof_storage_key TEXT,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE UNIQUE INDEX idx_deliveries_active_order ON deliveries(order_id)
+                WHERE status IN ('assigned', 'picked_up');
+            CREATE INDEX idx_deliveries_rider ON deliveries(rider_id, status);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS deliveries;
+            DROP TABLE IF EXISTS rider_locations;
+            DROP TABLE IF EXISTS rider_refresh_tokens;
+            DROP TABLE IF EXISTS riders;
+        `);
+    }
+};
@@ -0,0 +1,92 @@
+// Delivery slots with capacity limits, blackout dates, expected stock for
+// pre-orders, and the chosen slot on orders
+module.exports = {
+    async up(client) {
+        await client.query(`
+            -- A weekly window, e.g. Sundays 11:00-13:00, in the shop's timezone
+            CREATE TABLE delivery_slots (
+                id VARCHAR(255) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                -- 0 = Sunday ... 6 = Saturday
+                weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+                start_time TIME NOT NULL,
+                end_time TIME NOT NULL,
+                -- Orders per slot per date
+                capacity INTEGER NOT NULL CHECK (capacity >= 0),
+                -- Booking closes this long before the window starts
+                cutoff_minutes INTEGER NOT NULL DEFAULT 60 CHECK (cutoff_minutes >= 0),
+                active BOOLEAN NOT NULL DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                CHECK (end_time > start_time)
+            );
+
+            -- Tighter limits for some zones; zones not listed share the slot's capacity
+            CREATE TABLE delivery_slot_zone_limits (
+                slot_id VARCHAR(255) NOT NULL REFERENCES delivery_slots(id) ON DELETE CASCADE,
+                zone_id VARCHAR(255) NOT NULL REFERENCES delivery_zones(id) ON DELETE CASCADE,
+                capacity INTEGER NOT NULL CHECK (capacity >= 0),
+                PRIMARY KEY (slot_id, zone_id)
+            );
+
+            CREATE TABLE delivery_blackout_dates (
+                date DATE PRIMARY KEY,
+                reason VARCHAR(255),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Stock expected for a delivery date (e.g. a batch ready for a
+            -- holiday). Pre-orders for that date take from here instead of
+            -- the shelf; taken counts reserved and sold units.
+            CREATE TABLE preorder_stock (
+                product_id VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+                delivery_date DATE NOT NULL,
+                quantity INTEGER NOT NULL CHECK (quantity >= 0),
+                taken INTEGER NOT NULL DEFAULT 0 CHECK (taken >= 0),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (product_id, delivery_date),
+                CHECK (taken <= quantity)
+            );
+
+            CREATE INDEX idx_preorder_stock_date ON preorder_stock(delivery_date);
+
+            -- Set on reservations taken from preorder_stock rather than products
+            ALTER TABLE stock_reservations ADD COLUMN delivery_date DATE;
+
+            ALTER TABLE orders
+                ADD COLUMN delivery_slot_id VARCHAR(255) REFERENCES delivery_slots(id) ON DELETE RESTRICT,
+                ADD COLUMN delivery_date DATE,
+                -- The slot's window when the order was placed, in UTC
+                ADD COLUMN delivery_window_start TIMESTAMP,
+                ADD COLUMN delivery_window_end TIMESTAMP,
+                ADD COLUMN is_preorder BOOLEAN NOT NULL DEFAULT false,
+                ADD CONSTRAINT orders_delivery_slot_check
+                    CHECK ((delivery_slot_id IS NULL) = (delivery_date IS NULL));
+
+            CREATE INDEX idx_orders_delivery_slot ON orders(delivery_slot_id, delivery_date)
+                WHERE delivery_slot_id IS NOT NULL;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP INDEX IF EXISTS idx_orders_delivery_slot;
+
+            ALTER TABLE orders
+                DROP CONSTRAINT IF EXISTS orders_delivery_slot_check,
+                DROP COLUMN IF EXISTS is_preorder,
+                DROP COLUMN IF EXISTS delivery_window_end,
+                DROP COLUMN IF EXISTS delivery_window_start,
+                DROP COLUMN IF EXISTS delivery_date,
+                DROP COLUMN IF EXISTS delivery_slot_id;
+
+            ALTER TABLE stock_reservations DROP COLUMN IF EXISTS delivery_date;
+
+            DROP TABLE IF EXISTS preorder_stock;
+            DROP TABLE IF EXISTS delivery_blackout_dates;
+            DROP TABLE IF EXISTS delivery_slot_zone_limits;
+            DROP TABLE IF EXISTS delivery_slots;
+        `);
+    }
+};
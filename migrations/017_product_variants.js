@@ -0,0 +1,54 @@
+// Product variants (e.g. live vs. dressed, weight bands, half trays) with
+// their own SKU, price and stock, and the variant on order lines
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE product_variants (
+                id VARCHAR(255) PRIMARY KEY,
+                product_id VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+                sku VARCHAR(64) NOT NULL UNIQUE,
+                -- Shown next to the product title, e.g. "Dressed, 1.5-2 kg"
+                name VARCHAR(255) NOT NULL,
+                -- { weight, preparation, packSize } as set by staff
+                options JSONB NOT NULL DEFAULT '{}',
+                price DECIMAL(10, 2) NOT NULL CHECK (price >= 0),
+                quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+                available BOOLEAN NOT NULL DEFAULT true,
+                -- Switched off by running out rather than by staff (as on products)
+                sold_out BOOLEAN NOT NULL DEFAULT false,
+                position INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_product_variants_product ON product_variants(product_id, position);
+
+            ALTER TABLE order_items
+                ADD COLUMN variant_id VARCHAR(255) REFERENCES product_variants(id) ON DELETE RESTRICT,
+                -- Snapshots, like title
+                ADD COLUMN variant_name VARCHAR(255),
+                ADD COLUMN sku VARCHAR(64);
+
+            CREATE INDEX idx_order_items_variant ON order_items(variant_id) WHERE variant_id IS NOT NULL;
+
+            -- Set on reservations taken from a variant's stock rather than the product's
+            ALTER TABLE stock_reservations
+                ADD COLUMN variant_id VARCHAR(255) REFERENCES product_variants(id);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE stock_reservations DROP COLUMN IF EXISTS variant_id;
+
+            DROP INDEX IF EXISTS idx_order_items_variant;
+
+            ALTER TABLE order_items
+                DROP COLUMN IF EXISTS sku,
+                DROP COLUMN IF EXISTS variant_name,
+                DROP COLUMN IF EXISTS variant_id;
+
+            DROP TABLE IF EXISTS product_variants;
+        `);
+    }
+};
@@ -0,0 +1,72 @@
+// Refunds: full or partial reversals of completed payments, with who asked,
+// who approved and where the provider has got to
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE refunds (
+                id VARCHAR(255) PRIMARY KEY,
+                order_id VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE RESTRICT,
+                payment_id VARCHAR(255) NOT NULL REFERENCES payments(id) ON DELETE RESTRICT,
+                amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+                reason TEXT NOT NULL,
+                -- Order lines refunded, for partial refunds by item
+                items JSONB NOT NULL DEFAULT '[]',
+                -- requested: waiting for staff approval
+                -- approved: to be sent to the provider (again, after an error)
+                -- processing: accepted by the provider, outcome not known yet
+                status VARCHAR(20) NOT NULL DEFAULT 'requested'
+                    CHECK (status IN ('requested', 'approved', 'processing', 'completed', 'failed', 'rejected')),
+                requested_by_type VARCHAR(20) NOT NULL,
+                requested_by_id VARCHAR(255),
+                requested_by_name VARCHAR(255),
+                approved_by_id VARCHAR(255) REFERENCES admin_users(id) ON DELETE SET NULL,
+                approved_by_name VARCHAR(255),
+                approved_at TIMESTAMP,
+                provider VARCHAR(50),
+                provider_reference VARCHAR(255),
+                provider_response JSONB,
+                failure_reason TEXT,
+                completed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_refunds_order ON refunds(order_id);
+            CREATE INDEX idx_refunds_payment ON refunds(payment_id);
+            CREATE INDEX idx_refunds_open ON refunds(status, created_at)
+                WHERE status IN ('requested', 'approved', 'processing');
+
+            -- Completed refunds only
+            ALTER TABLE payments
+                ADD COLUMN refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+                DROP CONSTRAINT payments_status_check,
+                ADD CONSTRAINT payments_status_check CHECK (status IN (
+                    'pending', 'completed', 'failed', 'amount_mismatch', 'partially_refunded', 'refunded'
+                )),
+                ADD CONSTRAINT payments_refunded_amount_check CHECK (refunded_amount BETWEEN 0 AND amount);
+
+            ALTER TABLE orders
+                ADD COLUMN refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0
+                    CHECK (refunded_amount >= 0);
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE orders DROP COLUMN IF EXISTS refunded_amount;
+
+            UPDATE payments SET status = 'completed'
+            WHERE status IN ('partially_refunded', 'refunded');
+
+            ALTER TABLE payments
+                DROP CONSTRAINT IF EXISTS payments_refunded_amount_check,
+                DROP CONSTRAINT IF EXISTS payments_status_check,
+                ADD CONSTRAINT payments_status_check CHECK (status IN (
+                    'pending', 'completed', 'failed', 'amount_mismatch'
+                )),
+                DROP COLUMN IF EXISTS refunded_amount;
+
+            DROP TABLE IF EXISTS refunds;
+        `);
+    }
+};
@@ -0,0 +1,52 @@
+// Scheduled background jobs: when each is next due, which instance holds
+// it, a log of runs, and payment reminders on unpaid orders
+module.exports = {
+    async up(client) {
+        await client.query(`
+            -- One row per job. An instance runs a job by claiming its row
+            -- until locked_until; a lock left by a crashed instance lapses.
+            CREATE TABLE scheduled_jobs (
+                name VARCHAR(100) PRIMARY KEY,
+                interval_seconds INTEGER NOT NULL CHECK (interval_seconds > 0),
+                next_run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                locked_by VARCHAR(255),
+                locked_until TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE job_runs (
+                id VARCHAR(255) PRIMARY KEY,
+                job VARCHAR(100) NOT NULL REFERENCES scheduled_jobs(name) ON DELETE CASCADE,
+                instance VARCHAR(255) NOT NULL,
+                -- schedule, or the admin who ran it by hand
+                triggered_by VARCHAR(255) NOT NULL DEFAULT 'schedule',
+                status VARCHAR(20) NOT NULL DEFAULT 'running'
+                    CHECK (status IN ('running', 'succeeded', 'failed')),
+                -- What the job did, e.g. { "expired": 3 }
+                result JSONB,
+                error TEXT,
+                started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                finished_at TIMESTAMP,
+                duration_ms INTEGER
+            );
+
+            CREATE INDEX idx_job_runs_job ON job_runs(job, started_at DESC);
+            CREATE INDEX idx_job_runs_started ON job_runs(started_at);
+
+            ALTER TABLE orders ADD COLUMN payment_reminder_sent_at TIMESTAMP;
+
+            CREATE INDEX idx_orders_unpaid ON orders(created_at) WHERE status = 'pending';
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP INDEX IF EXISTS idx_orders_unpaid;
+            ALTER TABLE orders DROP COLUMN IF EXISTS payment_reminder_sent_at;
+
+            DROP TABLE IF EXISTS job_runs;
+            DROP TABLE IF EXISTS scheduled_jobs;
+        `);
+    }
+};
@@ -0,0 +1,90 @@
+// Stock batches: every intake of birds or egg trays with where it came
+// from, when it was produced and when it expires, and which batches each
+// reservation took its units from
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE stock_batches (
+                id VARCHAR(255) PRIMARY KEY,
+                product_id VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+                -- Set for stock of one variant, as on stock_reservations
+                variant_id VARCHAR(255) REFERENCES product_variants(id) ON DELETE CASCADE,
+                -- Lot number on the crates or the supplier's delivery note
+                code VARCHAR(64) NOT NULL UNIQUE,
+                supplier VARCHAR(255),
+                farm VARCHAR(255),
+                -- Slaughter date for birds, lay date for eggs
+                produced_on DATE,
+                expires_on DATE,
+                quantity INTEGER NOT NULL CHECK (quantity >= 0),
+                -- Units not reserved or sold yet; counted in the shelf stock
+                -- (products.quantity or product_variants.quantity) while active
+                remaining INTEGER NOT NULL CHECK (remaining >= 0),
+                unit_cost DECIMAL(10, 2) CHECK (unit_cost >= 0),
+                status VARCHAR(20) NOT NULL DEFAULT 'active'
+                    CHECK (status IN ('active', 'expired', 'recalled')),
+                notes TEXT,
+                received_by_id VARCHAR(255) REFERENCES admin_users(id) ON DELETE SET NULL,
+                received_by_name VARCHAR(255),
+                received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                recalled_at TIMESTAMP,
+                recall_reason TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                CHECK (remaining <= quantity),
+                CHECK (expires_on >= produced_on)
+            );
+
+            CREATE INDEX idx_stock_batches_product ON stock_batches(product_id, variant_id, expires_on)
+                WHERE status = 'active';
+            CREATE INDEX idx_stock_batches_expiry ON stock_batches(expires_on) WHERE status = 'active';
+
+            CREATE TABLE stock_allocations (
+                id SERIAL PRIMARY KEY,
+                reservation_id INTEGER NOT NULL REFERENCES stock_reservations(id) ON DELETE CASCADE,
+                batch_id VARCHAR(255) NOT NULL REFERENCES stock_batches(id) ON DELETE RESTRICT,
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_stock_allocations_reservation ON stock_allocations(reservation_id);
+            CREATE INDEX idx_stock_allocations_batch ON stock_allocations(batch_id);
+
+            -- Stock from before batches becomes one opening batch per product
+            -- and variant, holding the shelf stock plus what open and sold
+            -- reservations already took from it. A product sold by variant
+            -- keeps its stock on the variants, so it gets none of its own.
+            INSERT INTO stock_batches (id, product_id, variant_id, code, quantity, remaining, notes)
+            SELECT 'opening-' || s.id, s.product_id, s.variant_id, 'OPENING-' || s.id,
+                   s.quantity + COALESCE(r.taken, 0), s.quantity, 'Stock on hand before batch tracking'
+            FROM (
+                SELECT id, id AS product_id, NULL::varchar AS variant_id, quantity FROM products
+                WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id)
+                UNION ALL
+                SELECT id, product_id, id, quantity FROM product_variants
+            ) s
+            LEFT JOIN (
+                SELECT COALESCE(variant_id, product_id) AS stock_id, SUM(quantity) AS taken
+                FROM stock_reservations
+                WHERE status IN ('reserved', 'committed') AND delivery_date IS NULL
+                GROUP BY COALESCE(variant_id, product_id)
+            ) r ON r.stock_id = s.id
+            WHERE s.quantity > 0 OR r.taken > 0;
+
+            -- Reservations from before a product had variants have no batch
+            -- to point at and stay untraced
+            INSERT INTO stock_allocations (reservation_id, batch_id, quantity)
+            SELECT r.id, b.id, r.quantity
+            FROM stock_reservations r
+            JOIN stock_batches b ON b.id = 'opening-' || COALESCE(r.variant_id, r.product_id)
+            WHERE r.status IN ('reserved', 'committed') AND r.delivery_date IS NULL;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP TABLE IF EXISTS stock_allocations;
+            DROP TABLE IF EXISTS stock_batches;
+        `);
+    }
+};
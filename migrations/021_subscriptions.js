@@ -0,0 +1,77 @@
+// Recurring subscriptions: what a customer gets, how often, in which
+// delivery slot and where, and the order generated for each delivery date
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE subscriptions (
+                id VARCHAR(255) PRIMARY KEY,
+                customer_id VARCHAR(255) NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+                status VARCHAR(20) NOT NULL DEFAULT 'active'
+                    CHECK (status IN ('active', 'paused', 'cancelled')),
+                frequency VARCHAR(20) NOT NULL
+                    CHECK (frequency IN ('weekly', 'fortnightly', 'every_four_weeks')),
+                -- Deliveries go out in this weekly slot, on its weekday
+                delivery_slot_id VARCHAR(255) NOT NULL REFERENCES delivery_slots(id) ON DELETE RESTRICT,
+                -- Next delivery without an order yet; generated orders move it on
+                next_delivery_date DATE NOT NULL,
+                -- Copied from a saved address when chosen, so later edits to
+                -- the address book do not move a delivery
+                address_id VARCHAR(255) REFERENCES customer_addresses(id) ON DELETE SET NULL,
+                location TEXT NOT NULL,
+                latitude DECIMAL(10, 8) NOT NULL,
+                longitude DECIMAL(11, 8) NOT NULL,
+                delivery_notes TEXT,
+                -- Receipts go here; falls back to the account's email
+                email VARCHAR(255),
+                locale VARCHAR(10) NOT NULL DEFAULT 'en',
+                paused_at TIMESTAMP,
+                cancelled_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX idx_subscriptions_customer ON subscriptions(customer_id, created_at DESC);
+            CREATE INDEX idx_subscriptions_due ON subscriptions(next_delivery_date) WHERE status = 'active';
+
+            CREATE TABLE subscription_items (
+                id SERIAL PRIMARY KEY,
+                subscription_id VARCHAR(255) NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+                product_id VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+                variant_id VARCHAR(255) REFERENCES product_variants(id) ON DELETE CASCADE,
+                quantity INTEGER NOT NULL CHECK (quantity > 0)
+            );
+
+            CREATE INDEX idx_subscription_items_subscription ON subscription_items(subscription_id);
+
+            -- What happened on each delivery date: an order was generated,
+            -- the customer skipped it, or the order could not be placed
+            CREATE TABLE subscription_deliveries (
+                subscription_id VARCHAR(255) NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+                delivery_date DATE NOT NULL,
+                status VARCHAR(20) NOT NULL CHECK (status IN ('generated', 'skipped', 'failed')),
+                order_id VARCHAR(255) REFERENCES orders(id) ON DELETE SET NULL,
+                error TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (subscription_id, delivery_date)
+            );
+
+            CREATE INDEX idx_subscription_deliveries_date ON subscription_deliveries(delivery_date);
+
+            ALTER TABLE orders
+                ADD COLUMN subscription_id VARCHAR(255) REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+            CREATE INDEX idx_orders_subscription ON orders(subscription_id) WHERE subscription_id IS NOT NULL;
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            DROP INDEX IF EXISTS idx_orders_subscription;
+            ALTER TABLE orders DROP COLUMN IF EXISTS subscription_id;
+
+            DROP TABLE IF EXISTS subscription_deliveries;
+            DROP TABLE IF EXISTS subscription_items;
+            DROP TABLE IF EXISTS subscriptions;
+        `);
+    }
+};
@@ -0,0 +1,32 @@
+// What the provider actually received for a payment, which differs from
+// the amount charged on an amount_mismatch payment and bounds its refunds
+module.exports = {
+    async up(client) {
+        await client.query(`
+            ALTER TABLE payments
+                ADD COLUMN received_amount DECIMAL(10, 2) CHECK (received_amount >= 0);
+
+            UPDATE payments SET received_amount = amount
+            WHERE status IN ('completed', 'partially_refunded', 'refunded');
+
+            -- Mismatches only recorded the amount paid in their reason
+            UPDATE payments
+            SET received_amount = substring(failure_reason FROM '^Paid ([0-9]+(?:\\.[0-9]+)?) but')::decimal
+            WHERE status = 'amount_mismatch';
+
+            ALTER TABLE payments
+                DROP CONSTRAINT payments_refunded_amount_check,
+                ADD CONSTRAINT payments_refunded_amount_check
+                    CHECK (refunded_amount BETWEEN 0 AND COALESCE(received_amount, amount));
+        `);
+    },
+
+    async down(client) {
+        await client.query(`
+            ALTER TABLE payments
+                DROP CONSTRAINT IF EXISTS payments_refunded_amount_check,
+                ADD CONSTRAINT payments_refunded_amount_check CHECK (refunded_amount BETWEEN 0 AND amount),
+                DROP COLUMN IF EXISTS received_amount;
+        `);
+    }
+};
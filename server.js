@@ -1,8 +1,39 @@
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
+const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
+const { pool, withTransaction } = require('./lib/db');
+const auth = require('./lib/auth');
+const pricing = require('./lib/pricing');
+const inventory = require('./lib/inventory');
+const lipiana = require('./lib/lipiana');
+const payments = require('./lib/payments');
+const orders = require('./lib/orders');
+const delivery = require('./lib/delivery');
+const tracking = require('./lib/tracking');
+const listing = require('./lib/listing');
+const images = require('./lib/images');
+const notifications = require('./lib/notifications');
+const analytics = require('./lib/analytics');
+const migrations = require('./lib/migrations');
+const promotions = require('./lib/promotions');
+const customers = require('./lib/customers');
+const riders = require('./lib/riders');
+const dispatch = require('./lib/dispatch');
+const dataExports = require('./lib/exports');
+const idempotency = require('./lib/idempotency');
+const events = require('./lib/events');
+const slots = require('./lib/slots');
+const refunds = require('./lib/refunds');
+const jobs = require('./lib/jobs');
+const batches = require('./lib/batches');
+const checkout = require('./lib/checkout');
+const subscriptions = require('./lib/subscriptions');
+const { ValidationError, fieldError, validate, sendValidationError } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const { toShillings } = require('./lib/money');
+const { UPLOAD_DIR, UPLOAD_URL_PATH } = require('./lib/storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,79 +44,75 @@ app.set('trust proxy', 1);
 // Middleware
 app.use(cors({
     origin: '*',
-    credentials: true
+    credentials: true,
+    exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
 }));
 
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+    limit: '50mb',
+    // Keep the raw body for verifying payment callback signatures
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Database connection
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: {
-        rejectUnauthorized: false
-    }
-});
-
-// Initialize database tables
-async function initializeDatabase() {
-    try {
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS products (
-                id VARCHAR(255) PRIMARY KEY,
-                title VARCHAR(255) NOT NULL,
-                description TEXT NOT NULL,
-                type VARCHAR(100) NOT NULL,
-                price DECIMAL(10, 2) NOT NULL,
-                quantity INTEGER NOT NULL,
-                available BOOLEAN DEFAULT true,
-                images TEXT[],
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
+// Product images stored on local disk
+app.use(UPLOAD_URL_PATH, express.static(UPLOAD_DIR, { maxAge: '7d' }));
 
-            CREATE TABLE IF NOT EXISTS orders (
-                id VARCHAR(255) PRIMARY KEY,
-                customer_name VARCHAR(255) NOT NULL,
-                email VARCHAR(255) NOT NULL,
-                phone VARCHAR(20) NOT NULL,
-                location TEXT NOT NULL,
-                latitude DECIMAL(10, 8),
-                longitude DECIMAL(11, 8),
-                delivery_notes TEXT,
-                items JSONB NOT NULL,
-                subtotal DECIMAL(10, 2) NOT NULL,
-                delivery_fee DECIMAL(10, 2) NOT NULL,
-                total DECIMAL(10, 2) NOT NULL,
-                status VARCHAR(50) DEFAULT 'pending',
-                payment_verified BOOLEAN DEFAULT false,
-                transaction_id VARCHAR(255),
-                estimated_delivery TIMESTAMP,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
+// Order tracking is public, so slow down guessing of IDs and phone numbers
+const trackingLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 60,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many tracking requests, please try again later'
+    }
+});
 
-            CREATE TABLE IF NOT EXISTS payments (
-                id VARCHAR(255) PRIMARY KEY,
-                order_id VARCHAR(255) REFERENCES orders(id),
-                amount DECIMAL(10, 2) NOT NULL,
-                currency VARCHAR(10) DEFAULT 'KES',
-                transaction_id VARCHAR(255),
-                status VARCHAR(50) DEFAULT 'pending',
-                lipiana_response JSONB,
-                verified_at TIMESTAMP,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-        
-        console.log('✅ Database tables initialized successfully');
-        
-        // Add sample products
-        await addSampleProducts();
-        
-    } catch (error) {
-        console.error('❌ Error initializing database:', error);
+// Login codes cost an SMS each, so limit how often they can be requested
+const otpLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many code requests, please try again later'
+    }
+});
+
+// Slow down password and code guessing; only failed logins count
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    skipSuccessfulRequests: true,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        error: 'Too many failed login attempts, please try again later'
     }
+});
+
+// Role groups for protected routes
+const anyAdmin = auth.requireRole('owner', 'staff', 'read_only');
+const staffOnly = auth.requireRole('owner', 'staff');
+const ownerOnly = auth.requireRole('owner');
+
+// Seed data a fresh database needs. The schema itself comes from
+// migrations/ (run `npm run migrate`).
+async function seedDatabase() {
+    // Create the first owner account if needed
+    await auth.ensureBootstrapOwner();
+    
+    // Make sure there is somewhere to deliver to
+    await delivery.ensureDefaultZone();
+    
+    // Add sample products
+    await addSampleProducts();
 }
 
 // Add sample products
@@ -137,12 +164,15 @@ async function addSampleProducts() {
             ];
             
             for (const product of sampleProducts) {
-                await pool.query(
-                    `INSERT INTO products (id, title, description, type, price, quantity, available, images)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-                    [product.id, product.title, product.description, product.type, 
-                     product.price, product.quantity, product.available, product.images]
-                );
+                await withTransaction(async (client) => {
+                    await client.query(
+                        `INSERT INTO products (id, title, description, type, price, quantity, available, images)
+                         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                        [product.id, product.title, product.description, product.type, 
+                         product.price, product.quantity, product.available, product.images]
+                    );
+                    await batches.receiveOpeningStock(client, { productId: product.id, quantity: product.quantity });
+                });
             }
             console.log('✅ Sample products added');
         }
@@ -151,454 +181,4153 @@ async function addSampleProducts() {
     }
 }
 
-// Initialize on startup
-initializeDatabase();
+// ============ ADMIN AUTH ROUTES ============
 
-// ============ PUBLIC ROUTES (NO AUTH NEEDED) ============
-
-// 1. Get all products (Public) - FIXED RESPONSE FORMAT
-app.get('/api/products', async (req, res) => {
+// Admin login
+app.post('/api/auth/login', loginLimiter, validate(schemas.auth.login), async (req, res) => {
     try {
+        const { email, password } = req.body;
+        
         const result = await pool.query(
-            'SELECT * FROM products WHERE available = true ORDER BY created_at DESC'
+            'SELECT * FROM admin_users WHERE email = $1',
+            [email]
         );
+        const user = result.rows[0];
+        
+        // Same response for unknown email and wrong password
+        if (!user || !user.active || !(await auth.verifyPassword(password, user.password_hash))) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid email or password'
+            });
+        }
+        
+        await pool.query(
+            'UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [user.id]
+        );
+        
         res.json({
             success: true,
-            data: result.rows
+            data: {
+                user: auth.publicUser(user),
+                ...(await auth.issueTokens(user))
+            }
         });
     } catch (error) {
-        console.error('Error fetching products:', error);
-        res.status(500).json({ 
+        console.error('Error logging in:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to fetch products' 
+            error: 'Failed to log in'
         });
     }
 });
 
-// 2. Get single product (Public)
-app.get('/api/products/:id', async (req, res) => {
+// Exchange a refresh token for a new token pair (the old refresh token is revoked)
+app.post('/api/auth/refresh', validate(schemas.auth.refresh), async (req, res) => {
     try {
-        const { id } = req.params;
-        const result = await pool.query(
-            'SELECT * FROM products WHERE id = $1',
-            [id]
-        );
+        const user = await auth.rotateRefreshToken(req.body.refreshToken, auth.SESSIONS.admin);
         
-        if (result.rows.length === 0) {
-            return res.status(404).json({ 
+        if (!user) {
+            return res.status(401).json({
                 success: false,
-                error: 'Product not found' 
+                error: 'Invalid or expired refresh token'
             });
         }
         
         res.json({
             success: true,
-            data: result.rows[0]
+            data: {
+                user: auth.publicUser(user),
+                ...(await auth.issueTokens(user))
+            }
         });
     } catch (error) {
-        console.error('Error fetching product:', error);
-        res.status(500).json({ 
+        console.error('Error refreshing token:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to fetch product' 
+            error: 'Failed to refresh token'
         });
     }
 });
 
-// 3. Create order (Public) - FIXED
-app.post('/api/orders', async (req, res) => {
+// Revoke a refresh token
+app.post('/api/auth/logout', validate(schemas.auth.logout), async (req, res) => {
     try {
-        const {
-            customerName,
-            email,
-            phone,
-            location,
-            latitude,
-            longitude,
-            deliveryNotes,
-            items,
-            subtotal,
-            deliveryFee,
-            total
-        } = req.body;
+        const { refreshToken } = req.body;
         
-        // Validate required fields
-        if (!customerName || !email || !phone || !location || !items || !total) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields'
-            });
+        if (refreshToken) {
+            try {
+                const payload = auth.verifyToken(refreshToken, 'refresh');
+                await auth.revokeRefreshToken(payload.jti);
+            } catch (error) {
+                // Already invalid, nothing to revoke
+            }
         }
         
-        const id = `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const transactionId = `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        const result = await pool.query(
-            `INSERT INTO orders (id, customer_name, email, phone, location, latitude, longitude, 
-                               delivery_notes, items, subtotal, delivery_fee, total, transaction_id)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-             RETURNING *`,
-            [id, customerName, email, phone, location, 
-             latitude || 0, longitude || 0,
-             deliveryNotes || '', 
-             JSON.stringify(items), 
-             subtotal || 0, 
-             deliveryFee || 200, 
-             total, 
-             transactionId]
-        );
-        
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Order created successfully',
-            data: result.rows[0]
+            message: 'Logged out'
         });
-        
     } catch (error) {
-        console.error('Error creating order:', error);
-        res.status(500).json({ 
+        console.error('Error logging out:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to create order' 
+            error: 'Failed to log out'
         });
     }
 });
 
-// 4. Get all orders (Public)
-app.get('/api/orders', async (req, res) => {
+// Current admin user
+app.get('/api/auth/me', auth.requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        data: auth.publicUser(req.admin)
+    });
+});
+
+// List admin users (Owner)
+app.get('/api/admin/users', ownerOnly, async (req, res) => {
     try {
         const result = await pool.query(
-            'SELECT * FROM orders ORDER BY created_at DESC'
+            'SELECT * FROM admin_users ORDER BY created_at ASC'
         );
         res.json({
             success: true,
-            data: result.rows
+            data: result.rows.map(auth.publicUser)
         });
     } catch (error) {
-        console.error('Error fetching orders:', error);
-        res.status(500).json({ 
+        console.error('Error fetching admin users:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to fetch orders' 
+            error: 'Failed to fetch admin users'
         });
     }
 });
 
-// 5. Update order status (Public)
-app.patch('/api/orders/:id/status', async (req, res) => {
+// Create admin user (Owner)
+app.post('/api/admin/users', ownerOnly, validate(schemas.adminUsers.create), async (req, res) => {
     try {
-        const { id } = req.params;
-        const { status } = req.body;
-        
-        if (!['pending', 'confirmed', 'delivered', 'cancelled'].includes(status)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid status'
-            });
-        }
-        
-        let estimatedDelivery = null;
-        if (status === 'confirmed') {
-            estimatedDelivery = new Date(Date.now() + 45 * 60 * 1000);
-        }
+        const { email, name, password, role } = req.body;
         
         const result = await pool.query(
-            `UPDATE orders 
-             SET status = $1, estimated_delivery = $2, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $3
+            `INSERT INTO admin_users (id, email, name, password_hash, role)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (email) DO NOTHING
              RETURNING *`,
-            [status, estimatedDelivery, id]
+            [uuidv4(), email, name, await auth.hashPassword(password), role]
         );
         
         if (result.rows.length === 0) {
-            return res.status(404).json({ 
+            return res.status(409).json({
                 success: false,
-                error: 'Order not found' 
+                error: 'An admin user with that email already exists'
             });
         }
         
-        res.json({
+        res.status(201).json({
             success: true,
-            data: result.rows[0]
+            message: 'Admin user created successfully',
+            data: auth.publicUser(result.rows[0])
         });
     } catch (error) {
-        console.error('Error updating order status:', error);
-        res.status(500).json({ 
+        console.error('Error creating admin user:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to update order status' 
+            error: 'Failed to create admin user'
         });
     }
 });
 
-// 6. Create payment (Public)
-app.post('/api/payments/create', async (req, res) => {
+// Update admin user role, status or password (Owner)
+app.patch('/api/admin/users/:id', ownerOnly, validate(schemas.adminUsers.update, { partial: true }), async (req, res) => {
     try {
-        const { orderId, amount } = req.body;
+        const { id } = req.params;
+        const { name, role, active, password } = req.body;
         
-        if (!orderId || !amount) {
+        // An owner cannot demote or disable themselves and lock everyone out
+        if (id === req.admin.id && ((role && role !== 'owner') || active === false)) {
             return res.status(400).json({
                 success: false,
-                error: 'Order ID and amount are required'
+                error: 'You cannot demote or disable your own account'
             });
         }
         
-        // Check if order exists
-        const orderCheck = await pool.query(
-            'SELECT id FROM orders WHERE id = $1',
-            [orderId]
+        const passwordHash = password ? await auth.hashPassword(password) : null;
+        
+        const result = await pool.query(
+            `UPDATE admin_users
+             SET name = COALESCE($1, name),
+                 role = COALESCE($2, role),
+                 active = COALESCE($3, active),
+                 password_hash = COALESCE($4, password_hash),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5
+             RETURNING *`,
+            [name || null, role || null, active === undefined ? null : active, passwordHash, id]
         );
         
-        if (orderCheck.rows.length === 0) {
+        if (result.rows.length === 0) {
             return res.status(404).json({
                 success: false,
-                error: 'Order not found'
+                error: 'Admin user not found'
             });
         }
         
-        const transactionId = `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const paymentId = uuidv4();
-        
-        await pool.query(
-            `INSERT INTO payments (id, order_id, amount, transaction_id, status)
-             VALUES ($1, $2, $3, $4, 'pending')`,
-            [paymentId, orderId, amount, transactionId]
-        );
+        // Disabling an account or changing its password ends its sessions
+        if (active === false || password) {
+            await pool.query(
+                `UPDATE admin_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+                 WHERE user_id = $1 AND revoked_at IS NULL`,
+                [id]
+            );
+        }
         
         res.json({
             success: true,
-            paymentId,
-            transactionId,
-            message: 'Payment initiated'
+            message: 'Admin user updated successfully',
+            data: auth.publicUser(result.rows[0])
         });
-        
     } catch (error) {
-        console.error('Error creating payment:', error);
-        res.status(500).json({ 
+        console.error('Error updating admin user:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to create payment' 
+            error: 'Failed to update admin user'
         });
     }
 });
 
-// 7. Verify payment (Public) - SIMULATED
-app.post('/api/payments/verify/:orderId', async (req, res) => {
+// ============ CUSTOMER ACCOUNT ROUTES ============
+
+function sendCustomerError(res, error) {
+    return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+    });
+}
+
+// Text a login code (Public)
+app.post('/api/customers/otp', otpLimiter, validate(schemas.customers.requestOtp), async (req, res) => {
     try {
-        const { orderId } = req.params;
-        
-        // Check if order exists
-        const orderCheck = await pool.query(
-            'SELECT * FROM orders WHERE id = $1',
-            [orderId]
-        );
-        
-        if (orderCheck.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Order not found'
-            });
-        }
-        
-        // Simulate payment verification (always successful for demo)
-        const paymentVerified = true;
-        
-        if (paymentVerified) {
-            // Update payment status
-            await pool.query(
-                `UPDATE payments 
-                 SET status = 'completed', verified_at = CURRENT_TIMESTAMP
-                 WHERE order_id = $1`,
-                [orderId]
-            );
-            
-            // Update order status
-            await pool.query(
-                `UPDATE orders 
-                 SET payment_verified = true, status = 'confirmed', updated_at = CURRENT_TIMESTAMP
-                 WHERE id = $1`,
-                [orderId]
-            );
-            
-            // Get updated order
-            const updatedOrder = await pool.query(
-                'SELECT * FROM orders WHERE id = $1',
-                [orderId]
-            );
-            
-            res.json({
-                success: true,
-                message: 'Payment verified successfully',
-                orderId,
-                status: 'confirmed',
-                data: updatedOrder.rows[0]
-            });
-        } else {
-            res.status(400).json({
-                success: false,
-                message: 'Payment verification failed'
-            });
+        const { expiresAt } = await customers.requestOtp(req.body.phone, req.body.language);
+        res.json({
+            success: true,
+            message: 'Code sent',
+            expiresAt
+        });
+    } catch (error) {
+        if (error instanceof customers.CustomerError) {
+            return sendCustomerError(res, error);
         }
-        
+        console.error('Error sending login code:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send code'
+        });
+    }
+});
+
+// Register with a phone number verified by a login code (Public).
+// Past guest orders from that phone are added to the new account.
+app.post('/api/customers/register', validate(schemas.customers.register), async (req, res) => {
+    try {
+        const customer = await customers.register(req.body);
+        res.status(201).json({
+            success: true,
+            message: 'Account created successfully',
+            data: {
+                customer: customers.publicCustomer(customer),
+                ...(await auth.issueCustomerTokens(customer))
+            }
+        });
     } catch (error) {
-        console.error('Error verifying payment:', error);
-        res.status(500).json({ 
+        if (error instanceof customers.CustomerError) {
+            return sendCustomerError(res, error);
+        }
+        console.error('Error registering customer:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to verify payment' 
+            error: 'Failed to create account'
         });
     }
 });
 
-// 8. Dashboard stats (Public)
-app.get('/api/dashboard/stats', async (req, res) => {
+// Customer login with a login code or password (Public)
+app.post('/api/customers/login', loginLimiter, validate(schemas.customers.login), async (req, res) => {
     try {
-        const [
-            totalOrders,
-            totalRevenue,
-            pendingOrders,
-            totalProducts
-        ] = await Promise.all([
-            pool.query('SELECT COUNT(*) as count FROM orders'),
-            pool.query(`SELECT COALESCE(SUM(total), 0) as revenue FROM orders WHERE status IN ('confirmed', 'delivered')`),
-            pool.query("SELECT COUNT(*) as count FROM orders WHERE status = 'pending'"),
-            pool.query('SELECT COUNT(*) as count FROM products')
-        ]);
+        const { code, password } = req.body;
         
+        if (!code === !password) {
+            return sendValidationError(res, new ValidationError([
+                { field: 'code', code: 'required', message: 'Send either a login code or a password' }
+            ]));
+        }
+        
+        const customer = await customers.login(req.body);
         res.json({
             success: true,
             data: {
-                totalOrders: parseInt(totalOrders.rows[0].count),
-                totalRevenue: parseFloat(totalRevenue.rows[0].revenue || 0),
-                pendingOrders: parseInt(pendingOrders.rows[0].count),
-                totalProducts: parseInt(totalProducts.rows[0].count),
-                todayRevenue: parseFloat(totalRevenue.rows[0].revenue || 0) * 0.1, // 10% of total for demo
-                totalCustomers: parseInt(totalOrders.rows[0].count) * 0.8 // 80% of orders for demo
+                customer: customers.publicCustomer(customer),
+                ...(await auth.issueCustomerTokens(customer))
             }
         });
     } catch (error) {
-        console.error('Error fetching dashboard stats:', error);
-        res.status(500).json({ 
+        if (error instanceof customers.CustomerError) {
+            return sendCustomerError(res, error);
+        }
+        console.error('Error logging in customer:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to fetch stats' 
+            error: 'Failed to log in'
         });
     }
 });
 
-// 9. Add/update product (Public)
-app.post('/api/products', async (req, res) => {
+// Exchange a customer refresh token for a new token pair
+app.post('/api/customers/refresh', validate(schemas.customers.refresh), async (req, res) => {
     try {
-        const {
-            title,
-            description,
-            type,
-            price,
-            quantity,
-            available = true,
-            images = []
-        } = req.body;
+        const session = await customers.refreshSession(req.body.refreshToken);
         
-        if (!title || !description || !type || !price || quantity === undefined) {
-            return res.status(400).json({
+        if (!session) {
+            return res.status(401).json({
                 success: false,
-                error: 'Missing required fields'
+                error: 'Invalid or expired refresh token'
             });
         }
         
-        const id = uuidv4();
-        
-        const result = await pool.query(
-            `INSERT INTO products (id, title, description, type, price, quantity, available, images)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-             RETURNING *`,
-            [id, title, description, type, price, quantity, available, images]
-        );
-        
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Product created successfully',
-            data: result.rows[0]
+            data: {
+                customer: customers.publicCustomer(session.customer),
+                ...session.tokens
+            }
         });
     } catch (error) {
-        console.error('Error creating product:', error);
-        res.status(500).json({ 
+        console.error('Error refreshing customer token:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to create product' 
+            error: 'Failed to refresh token'
         });
     }
 });
 
-// 10. Update product (Public)
-app.put('/api/products/:id', async (req, res) => {
+// Revoke a customer refresh token
+app.post('/api/customers/logout', validate(schemas.customers.logout), async (req, res) => {
     try {
-        const { id } = req.params;
-        const {
-            title,
-            description,
-            type,
-            price,
-            quantity,
-            available,
-            images
-        } = req.body;
-        
-        // Check if product exists
-        const check = await pool.query(
-            'SELECT id FROM products WHERE id = $1',
-            [id]
-        );
+        const { refreshToken } = req.body;
         
-        if (check.rows.length === 0) {
-            return res.status(404).json({ 
-                success: false,
-                error: 'Product not found' 
-            });
+        if (refreshToken) {
+            try {
+                const payload = auth.verifyToken(refreshToken, auth.SESSIONS.customer.refresh);
+                await auth.revokeCustomerRefreshToken(payload.jti);
+            } catch (error) {
+                // Already invalid, nothing to revoke
+            }
         }
         
-        const result = await pool.query(
-            `UPDATE products 
-             SET title = $1, description = $2, type = $3, price = $4, 
-                 quantity = $5, available = $6, images = $7, updated_at = CURRENT_TIMESTAMP
-             WHERE id = $8
-             RETURNING *`,
-            [title, description, type, price, quantity, available, images || [], id]
-        );
-        
         res.json({
             success: true,
-            message: 'Product updated successfully',
-            data: result.rows[0]
+            message: 'Logged out'
         });
     } catch (error) {
-        console.error('Error updating product:', error);
-        res.status(500).json({ 
+        console.error('Error logging out customer:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to update product' 
+            error: 'Failed to log out'
         });
     }
 });
 
-// 11. Delete product (Public)
-app.delete('/api/products/:id', async (req, res) => {
+// Current customer with order totals (Customer)
+app.get('/api/customers/me', auth.requireCustomer, async (req, res) => {
     try {
-        const { id } = req.params;
-        
+        res.json({
+            success: true,
+            data: {
+                ...customers.publicCustomer(req.customer),
+                stats: await customers.orderStats(req.customer.id)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching customer profile:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch profile'
+        });
+    }
+});
+
+// Update name, email or password (Customer)
+app.patch('/api/customers/me', auth.requireCustomer, validate(schemas.customers.updateProfile, { partial: true }), async (req, res) => {
+    try {
+        const { name, email, password, currentPassword } = req.body;
+        
+        // Accounts that already have a password must confirm it to change it
+        if (password && req.customer.password_hash &&
+            !(currentPassword && await auth.verifyPassword(currentPassword, req.customer.password_hash))) {
+            return res.status(401).json({
+                success: false,
+                error: 'Current password is incorrect',
+                code: 'INVALID_CREDENTIALS'
+            });
+        }
+        
+        const result = await pool.query(
+            `UPDATE customers
+             SET name = COALESCE($1, name),
+                 email = CASE WHEN $2 THEN $3 ELSE email END,
+                 password_hash = COALESCE($4, password_hash),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5
+             RETURNING *`,
+            [name || null, email !== undefined, email === undefined ? null : email,
+             password ? await auth.hashPassword(password) : null, req.customer.id]
+        );
+        
+        // A new password ends the other sessions
+        if (password) {
+            await auth.revokeAllRefreshTokens(req.customer.id, auth.SESSIONS.customer);
+        }
+        
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: customers.publicCustomer(result.rows[0])
+        });
+    } catch (error) {
+        console.error('Error updating customer profile:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update profile'
+        });
+    }
+});
+
+// Order history, newest first (Customer) - ?page|cursor, limit
+app.get('/api/customers/me/orders', auth.requireCustomer, validate(schemas.customers.orders), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT * FROM orders WHERE customer_id = $1
+                 ORDER BY created_at DESC, id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                [req.customer.id]
+            ),
+            pool.query('SELECT COUNT(*) FROM orders WHERE customer_id = $1', [req.customer.id])
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows.map(customers.customerOrder),
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching customer orders:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch orders'
+        });
+    }
+});
+
+// Saved delivery addresses, default first (Customer)
+app.get('/api/customers/me/addresses', auth.requireCustomer, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT * FROM customer_addresses WHERE customer_id = $1
+             ORDER BY is_default DESC, created_at ASC`,
+            [req.customer.id]
+        );
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching addresses:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch addresses'
+        });
+    }
+});
+
+// Save a delivery address (Customer) - the first one becomes the default
+app.post('/api/customers/me/addresses', auth.requireCustomer, validate(schemas.customers.createAddress), async (req, res) => {
+    try {
+        const { label, location, latitude, longitude, deliveryNotes, isDefault } = req.body;
+        
+        const address = await withTransaction(async (client) => {
+            const existing = await client.query(
+                'SELECT COUNT(*) FROM customer_addresses WHERE customer_id = $1',
+                [req.customer.id]
+            );
+            const makeDefault = isDefault || parseInt(existing.rows[0].count) === 0;
+            
+            if (makeDefault) {
+                await client.query(
+                    'UPDATE customer_addresses SET is_default = false WHERE customer_id = $1 AND is_default',
+                    [req.customer.id]
+                );
+            }
+            
+            const result = await client.query(
+                `INSERT INTO customer_addresses (id, customer_id, label, location, latitude, longitude,
+                                                 delivery_notes, is_default)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 RETURNING *`,
+                [uuidv4(), req.customer.id, label || null, location, latitude, longitude,
+                 deliveryNotes || null, makeDefault]
+            );
+            return result.rows[0];
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Address saved successfully',
+            data: address
+        });
+    } catch (error) {
+        console.error('Error saving address:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save address'
+        });
+    }
+});
+
+// Update a saved address (Customer)
+app.put('/api/customers/me/addresses/:id', auth.requireCustomer, validate(schemas.customers.updateAddress, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const address = await withTransaction(async (client) => {
+            const check = await client.query(
+                'SELECT * FROM customer_addresses WHERE id = $1 AND customer_id = $2 FOR UPDATE',
+                [id, req.customer.id]
+            );
+            if (check.rows.length === 0) {
+                return null;
+            }
+            
+            // Fields left out of the body keep their current values
+            const current = check.rows[0];
+            const field = (name, column) => (req.body[name] !== undefined ? req.body[name] : current[column]);
+            
+            if (req.body.isDefault) {
+                await client.query(
+                    'UPDATE customer_addresses SET is_default = false WHERE customer_id = $1 AND is_default AND id <> $2',
+                    [req.customer.id, id]
+                );
+            }
+            
+            const result = await client.query(
+                `UPDATE customer_addresses
+                 SET label = $1, location = $2, latitude = $3, longitude = $4, delivery_notes = $5,
+                     is_default = $6, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $7
+                 RETURNING *`,
+                [field('label', 'label'), field('location', 'location'),
+                 field('latitude', 'latitude'), field('longitude', 'longitude'),
+                 field('deliveryNotes', 'delivery_notes'), field('isDefault', 'is_default'), id]
+            );
+            return result.rows[0];
+        });
+        
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                error: 'Address not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Address updated successfully',
+            data: address
+        });
+    } catch (error) {
+        console.error('Error updating address:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update address'
+        });
+    }
+});
+
+// Delete a saved address (Customer)
+app.delete('/api/customers/me/addresses/:id', auth.requireCustomer, validate(schemas.customers.removeAddress), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM customer_addresses WHERE id = $1 AND customer_id = $2 RETURNING *',
+            [req.params.id, req.customer.id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Address not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Address deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting address:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete address'
+        });
+    }
+});
+
+// List customers with order counts and lifetime spend (Admin) - ?page|cursor, limit, q, sort, order
+app.get('/api/customers', anyAdmin, validate(schemas.customers.list), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        const orderBy = listing.parseSort(req.query, {
+            created_at: 'c.created_at',
+            name: 'c.name',
+            lifetime_spend: 'lifetime_spend'
+        }, 'created_at');
+        
+        const filters = listing.createFilters();
+        if (req.query.q) {
+            const q = filters.param(`%${req.query.q}%`);
+            filters.add(`(c.name ILIKE ${q} OR c.phone ILIKE ${q} OR c.email ILIKE ${q})`);
+        }
+        
+        const where = filters.where();
+        const countParams = [...filters.params];
+        const paidStatuses = filters.param(orders.PAID_STATUSES);
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT c.*, COALESCE(s.orders, 0) AS order_count, COALESCE(s.spend, 0) AS lifetime_spend
+                 FROM customers c
+                 LEFT JOIN (
+                     SELECT customer_id, COUNT(*) AS orders,
+                            SUM(total - refunded_amount) FILTER (WHERE status = ANY(${paidStatuses}::varchar[])) AS spend
+                     FROM orders WHERE customer_id IS NOT NULL
+                     GROUP BY customer_id
+                 ) s ON s.customer_id = c.id
+                 ${where}
+                 ORDER BY ${orderBy}, c.id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                filters.params
+            ),
+            pool.query(`SELECT COUNT(*) FROM customers c ${where}`, countParams)
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows.map(row => ({
+                ...customers.publicCustomer(row),
+                orderCount: parseInt(row.order_count),
+                lifetimeSpend: parseFloat(row.lifetime_spend)
+            })),
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching customers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch customers'
+        });
+    }
+});
+
+// Customer profile with addresses, lifetime spend and recent orders (Admin)
+app.get('/api/customers/:id', anyAdmin, validate(schemas.customers.get), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const result = await pool.query('SELECT * FROM customers WHERE id = $1', [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Customer not found'
+            });
+        }
+        
+        const [addresses, recentOrders, stats] = await Promise.all([
+            pool.query(
+                'SELECT * FROM customer_addresses WHERE customer_id = $1 ORDER BY is_default DESC, created_at ASC',
+                [id]
+            ),
+            pool.query(
+                `SELECT id, status, total, discount, created_at FROM orders
+                 WHERE customer_id = $1 ORDER BY created_at DESC LIMIT 10`,
+                [id]
+            ),
+            customers.orderStats(id)
+        ]);
+        
+        res.json({
+            success: true,
+            data: {
+                ...customers.publicCustomer(result.rows[0]),
+                stats,
+                addresses: addresses.rows,
+                recentOrders: recentOrders.rows
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching customer:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch customer'
+        });
+    }
+});
+
+// ============ STOREFRONT & ADMIN ROUTES ============
+
+// 1. Get all products (Public) - paginated, with filters and search
+//    ?page|cursor, limit, type, minPrice, maxPrice, inStock, q, sort, order
+app.get('/api/products', validate(schemas.products.list), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        const orderBy = listing.parseSort(req.query, {
+            created_at: 'created_at',
+            price: 'price',
+            title: 'title'
+        }, 'created_at');
+        
+        const filters = listing.createFilters();
+        filters.add('available = true');
+        
+        const types = listing.parseList(req.query.type);
+        if (types) {
+            filters.add(`type = ANY(${filters.param(types)}::varchar[])`);
+        }
+        const minPrice = listing.parseNumber(req.query.minPrice, 'minPrice');
+        if (minPrice !== undefined) {
+            filters.add(`price >= ${filters.param(minPrice)}`);
+        }
+        const maxPrice = listing.parseNumber(req.query.maxPrice, 'maxPrice');
+        if (maxPrice !== undefined) {
+            filters.add(`price <= ${filters.param(maxPrice)}`);
+        }
+        if (listing.parseBoolean(req.query.inStock, 'inStock')) {
+            // Products sold by variant are in stock while any variant is
+            filters.add(`(quantity > 0 OR EXISTS (
+                SELECT 1 FROM product_variants v
+                WHERE v.product_id = products.id AND v.available = true AND v.quantity > 0
+            ))`);
+        }
+        if (req.query.q) {
+            filters.add(`to_tsvector('english', title || ' ' || description) @@ plainto_tsquery('english', ${filters.param(req.query.q)})`);
+        }
+        
+        const where = filters.where();
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT * FROM products ${where}
+                 ORDER BY ${orderBy}, id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                filters.params
+            ),
+            pool.query(`SELECT COUNT(*) FROM products ${where}`, filters.params)
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows,
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching products:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to fetch products' 
+        });
+    }
+});
+
+// 2. Get single product with its variants (Public)
+app.get('/api/products/:id', validate(schemas.products.get), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const [result, variants] = await Promise.all([
+            pool.query('SELECT * FROM products WHERE id = $1', [id]),
+            listVariants(id)
+        ]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Product not found' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: { ...result.rows[0], variants }
+        });
+    } catch (error) {
+        console.error('Error fetching product:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to fetch product' 
+        });
+    }
+});
+
+// 3. Create order (Public, optionally signed in as a customer) - prices are computed server-side.
+//    Send an Idempotency-Key header to make retries safe.
+app.post('/api/orders', auth.optionalCustomer, validate(schemas.orders.create), idempotency.idempotent('orders.create'), async (req, res) => {
+    try {
+        const { deliverySlotId, deliveryDate } = req.body;
+        
+        if (!deliverySlotId !== !deliveryDate || (deliveryDate && !slots.isDate(deliveryDate))) {
+            return sendValidationError(res, new ValidationError([
+                { field: 'deliveryDate', code: 'invalid_date', message: 'Send a deliveryDate (YYYY-MM-DD) with the deliverySlotId' }
+            ]));
+        }
+        
+        const { order, reservationExpiresAt, trackingToken } = await withTransaction(
+            client => checkout.placeOrder(client, req.body, { customer: req.customer })
+        );
+        
+        res.status(201).json({
+            success: true,
+            message: 'Order created successfully',
+            reservationExpiresAt,
+            // Shown once: the customer needs it for GET /api/orders/:id/track
+            trackingToken,
+            data: order
+        });
+        
+    } catch (error) {
+        if (error instanceof inventory.InventoryError) {
+            return res.status(409).json({
+                success: false,
+                error: error.message,
+                code: error.code,
+                details: error.details
+            });
+        }
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        if (error instanceof delivery.DeliveryError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                code: error.code,
+                details: error.details
+            });
+        }
+        if (error instanceof slots.SlotError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+        console.error('Error creating order:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to create order' 
+        });
+    }
+});
+
+// Track an order (Public) - by tracking token, or by the phone number used to order
+app.get('/api/orders/:id/track', trackingLimiter, validate(schemas.orders.track), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { token, phone } = req.query;
+        
+        if (!token && !phone) {
+            return sendValidationError(res, new ValidationError([
+                { field: 'token', code: 'required', message: 'A tracking token or phone number is required' }
+            ]));
+        }
+        
+        const result = await pool.query(
+            'SELECT * FROM orders WHERE id = $1',
+            [id]
+        );
+        const order = result.rows[0];
+        
+        if (!tracking.canTrack(order, { token, phone })) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: tracking.trackingView(order, await orders.getTimeline(pool, id))
+        });
+    } catch (error) {
+        console.error('Error tracking order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to track order'
+        });
+    }
+});
+
+// 4. Get all orders (Admin) - paginated, with filters
+//    ?page|cursor, limit, status, paymentVerified, from, to, phone, email, deliveryDate, preorder, sort, order
+app.get('/api/orders', anyAdmin, validate(schemas.orders.list), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        const orderBy = listing.parseSort(req.query, {
+            created_at: 'created_at',
+            total: 'total',
+            status: 'status'
+        }, 'created_at');
+        
+        const filters = listing.createFilters();
+        
+        const statuses = listing.parseList(req.query.status);
+        if (statuses) {
+            filters.add(`status = ANY(${filters.param(statuses)}::varchar[])`);
+        }
+        const paymentVerified = listing.parseBoolean(req.query.paymentVerified, 'paymentVerified');
+        if (paymentVerified !== undefined) {
+            filters.add(`payment_verified = ${filters.param(paymentVerified)}`);
+        }
+        const from = listing.parseDate(req.query.from, 'from');
+        if (from) {
+            filters.add(`created_at >= ${filters.param(from)}`);
+        }
+        const to = listing.parseDate(req.query.to, 'to');
+        if (to) {
+            filters.add(`created_at <= ${filters.param(to)}`);
+        }
+        if (req.query.phone) {
+            // Match on the last nine digits so 07.., 7.. and +2547.. all work
+            const digits = req.query.phone.replace(/\D/g, '').slice(-9);
+            filters.add(`regexp_replace(phone, '\\D', '', 'g') LIKE ${filters.param('%' + digits)}`);
+        }
+        if (req.query.email) {
+            filters.add(`LOWER(email) = ${filters.param(req.query.email.toLowerCase())}`);
+        }
+        if (req.query.deliveryDate) {
+            if (!slots.isDate(req.query.deliveryDate)) {
+                throw new listing.ListQueryError('deliveryDate must be a date in YYYY-MM-DD format', 'deliveryDate');
+            }
+            filters.add(`delivery_date = ${filters.param(req.query.deliveryDate)}::date`);
+        }
+        if (req.query.preorder !== undefined) {
+            filters.add(`is_preorder = ${filters.param(req.query.preorder)}`);
+        }
+        
+        const where = filters.where();
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT * FROM orders ${where}
+                 ORDER BY ${orderBy}, id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                filters.params
+            ),
+            pool.query(`SELECT COUNT(*) FROM orders ${where}`, filters.params)
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows,
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching orders:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to fetch orders' 
+        });
+    }
+});
+
+// 5. Update order status (Staff) - follows the order lifecycle rules
+app.patch('/api/orders/:id/status', staffOnly, validate(schemas.orders.updateStatus), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, note, estimatedDelivery } = req.body;
+        
+        if (orders.SYSTEM_STATUSES.includes(status)) {
+            return sendValidationError(res, new ValidationError([
+                {
+                    field: 'status',
+                    code: 'not_allowed',
+                    message: status === 'paid'
+                        ? 'Orders are marked paid by payment verification'
+                        : 'Orders are marked refunded by refunding their payment: POST /api/orders/:id/refunds'
+                }
+            ]));
+        }
+        
+        // Cancelling a paid order refunds it, approved by whoever cancels
+        if (status === 'cancelled') {
+            const cancelled = await withTransaction(client => refunds.cancelOrder(client, id, {
+                actor: orders.adminActor(req.admin),
+                note: note || null,
+                approver: refunds.adminApprover(req.admin)
+            }));
+            const sent = cancelled.refund ? await trySendRefund(cancelled.refund) : null;
+            
+            return res.json({
+                success: true,
+                ...(sent && sent.error
+                    ? { message: 'Order cancelled but its refund could not be sent; send it again from the refunds list' }
+                    : {}),
+                data: (sent && sent.order) || cancelled.order,
+                refund: sent ? sent.refund : null
+            });
+        }
+        
+        const order = await withTransaction(client => orders.transitionOrder(client, id, status, {
+            actor: orders.adminActor(req.admin),
+            note: note || null,
+            estimatedDelivery: estimatedDelivery || null
+        }));
+        
+        res.json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        if (error instanceof orders.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        // From the refund a cancellation records
+        if (error instanceof refunds.RefundError || error instanceof ValidationError) {
+            return sendRefundError(res, error, 'cancelling order');
+        }
+        console.error('Error updating order status:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to update order status' 
+        });
+    }
+});
+
+// Order status timeline (Admin)
+app.get('/api/orders/:id/timeline', anyAdmin, validate(schemas.orders.timeline), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const orderCheck = await pool.query(
+            'SELECT id, status, estimated_delivery FROM orders WHERE id = $1',
+            [id]
+        );
+        
+        if (orderCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                orderId: id,
+                status: orderCheck.rows[0].status,
+                estimatedDelivery: orderCheck.rows[0].estimated_delivery,
+                allowedNext: orders.TRANSITIONS[orderCheck.rows[0].status] || [],
+                timeline: await orders.getTimeline(pool, id)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching order timeline:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch order timeline'
+        });
+    }
+});
+
+// 6. Create payment (Public) - starts an M-Pesa STK push for the order total
+//    Send an Idempotency-Key header to make retries safe. While the order has
+//    a payment in progress, that payment is returned instead of a new one.
+app.post('/api/payments/create', validate(schemas.payments.create), idempotency.idempotent('payments.create'), async (req, res) => {
+    try {
+        const { orderId, phone } = req.body;
+        
+        if (!lipiana.isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: 'Payments are currently unavailable'
+            });
+        }
+        
+        const inProgress = (payment) => res.json({
+            success: true,
+            paymentId: payment.id,
+            checkoutRequestId: payment.checkout_request_id,
+            amount: parseFloat(payment.amount),
+            reused: true,
+            message: 'A payment for this order is already in progress, check your phone to complete it'
+        });
+        
+        // May settle a lapsed payment, so look before loading the order
+        const open = await payments.openPayment(orderId);
+        
+        // Check if order exists
+        const orderCheck = await pool.query(
+            'SELECT * FROM orders WHERE id = $1',
+            [orderId]
+        );
+        
+        if (orderCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        const order = orderCheck.rows[0];
+        
+        if (order.payment_verified || order.status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                error: 'Order is not awaiting payment'
+            });
+        }
+        
+        if (open) {
+            return inProgress(open);
+        }
+        
+        // The amount charged is always the server-computed order total, in
+        // whole shillings as M-Pesa takes no cents
+        const paymentId = uuidv4();
+        const amount = toShillings(order.total);
+        const payerPhone = phone || order.phone;
+        
+        try {
+            await pool.query(
+                `INSERT INTO payments (id, order_id, amount, phone, status)
+                 VALUES ($1, $2, $3, $4, 'pending')`,
+                [paymentId, orderId, amount, payerPhone]
+            );
+        } catch (error) {
+            // A concurrent request started a payment first (one pending per order)
+            if (error.code === '23505') {
+                const started = await payments.openPayment(orderId);
+                if (started) {
+                    return inProgress(started);
+                }
+            }
+            throw error;
+        }
+        
+        let push;
+        try {
+            push = await lipiana.initiateStkPush({
+                phone: payerPhone,
+                amount,
+                reference: orderId
+            });
+        } catch (error) {
+            if (!(error instanceof lipiana.PaymentProviderError)) {
+                throw error;
+            }
+            await pool.query(
+                `UPDATE payments
+                 SET status = 'failed', failure_reason = $1, lipiana_response = $2,
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $3`,
+                [error.message, JSON.stringify(error.response || {}), paymentId]
+            );
+            console.error('Payment provider rejected STK push:', error.message);
+            return res.status(502).json({
+                success: false,
+                error: 'Could not start M-Pesa payment, please try again'
+            });
+        }
+        
+        await pool.query(
+            `UPDATE payments
+             SET checkout_request_id = $1, lipiana_response = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            [push.checkoutRequestId, JSON.stringify(push.raw), paymentId]
+        );
+        
+        res.json({
+            success: true,
+            paymentId,
+            checkoutRequestId: push.checkoutRequestId,
+            amount,
+            message: 'Payment initiated, check your phone to complete the M-Pesa payment'
+        });
+        
+    } catch (error) {
+        console.error('Error creating payment:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to create payment' 
+        });
+    }
+});
+
+// Payment provider callback (signed webhook)
+app.post('/api/payments/callback', async (req, res) => {
+    try {
+        const signature = req.headers['x-lipiana-signature'];
+        
+        if (!lipiana.verifySignature(req.rawBody, signature)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid signature'
+            });
+        }
+        
+        const result = lipiana.parseResult(req.body);
+        
+        const paymentCheck = await pool.query(
+            'SELECT id FROM payments WHERE checkout_request_id = $1',
+            [result.checkoutRequestId]
+        );
+        
+        if (paymentCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payment not found'
+            });
+        }
+        
+        const settled = await payments.settlePayment(paymentCheck.rows[0].id, result);
+        
+        if (['amount_mismatch', 'order_not_payable', 'stock_unavailable', 'slot_full'].includes(settled.outcome)) {
+            console.warn(`⚠️  Payment ${paymentCheck.rows[0].id} needs attention: ${settled.outcome}`);
+        }
+        
+        res.json({
+            success: true,
+            outcome: settled.outcome
+        });
+    } catch (error) {
+        console.error('Error handling payment callback:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process payment callback'
+        });
+    }
+});
+
+// 7. Verify payment (Public) - falls back to querying the provider when no callback arrived
+app.post('/api/payments/verify/:orderId', validate(schemas.payments.verify), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        
+        const orderCheck = await pool.query(
+            'SELECT * FROM orders WHERE id = $1',
+            [orderId]
+        );
+        
+        if (orderCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        let order = orderCheck.rows[0];
+        
+        if (!order.payment_verified) {
+            const paymentCheck = await pool.query(
+                `SELECT * FROM payments WHERE order_id = $1
+                 ORDER BY created_at DESC LIMIT 1`,
+                [orderId]
+            );
+            const payment = paymentCheck.rows[0];
+            
+            if (!payment) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No payment has been started for this order'
+                });
+            }
+            
+            let outcome = payment.status;
+            if (payment.status === 'pending' && payment.checkout_request_id) {
+                try {
+                    const result = await lipiana.queryStatus(payment.checkout_request_id);
+                    const settled = await payments.settlePayment(payment.id, result);
+                    outcome = settled.outcome === 'already_settled' ? settled.payment.status : settled.outcome;
+                    order = settled.order || order;
+                } catch (error) {
+                    if (!(error instanceof lipiana.PaymentProviderError)) {
+                        throw error;
+                    }
+                    console.error('Payment status query failed:', error.message);
+                }
+            }
+            
+            if (!order.payment_verified) {
+                const messages = {
+                    pending: 'Payment is still pending',
+                    failed: 'Payment verification failed',
+                    amount_mismatch: 'Amount paid does not match the amount charged',
+                    stock_unavailable: 'Payment received but some items are no longer in stock',
+                    slot_full: 'Payment received but the delivery slot is now full'
+                };
+                return res.status(outcome === 'pending' ? 202 : 400).json({
+                    success: false,
+                    status: outcome,
+                    message: messages[outcome] || 'Payment verification failed'
+                });
+            }
+        }
+        
+        res.json({
+            success: true,
+            message: 'Payment verified successfully',
+            orderId,
+            status: order.status,
+            data: order
+        });
+        
+    } catch (error) {
+        console.error('Error verifying payment:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to verify payment' 
+        });
+    }
+});
+
+// 8. Dashboard stats (Admin)
+app.get('/api/dashboard/stats', anyAdmin, async (req, res) => {
+    try {
+        const [
+            totalOrders,
+            totalRevenue,
+            pendingOrders,
+            totalProducts,
+            figures
+        ] = await Promise.all([
+            pool.query('SELECT COUNT(*) as count FROM orders'),
+            pool.query('SELECT COALESCE(SUM(total - refunded_amount), 0) as revenue FROM orders WHERE status = ANY($1::varchar[])', [orders.PAID_STATUSES]),
+            pool.query("SELECT COUNT(*) as count FROM orders WHERE status = 'pending'"),
+            pool.query('SELECT COUNT(*) as count FROM products'),
+            analytics.dashboardFigures()
+        ]);
+        
+        res.json({
+            success: true,
+            data: {
+                totalOrders: parseInt(totalOrders.rows[0].count),
+                totalRevenue: parseFloat(totalRevenue.rows[0].revenue || 0),
+                pendingOrders: parseInt(pendingOrders.rows[0].count),
+                totalProducts: parseInt(totalProducts.rows[0].count),
+                todayRevenue: figures.todayRevenue,
+                totalCustomers: figures.totalCustomers
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching dashboard stats:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to fetch stats' 
+        });
+    }
+});
+
+// Sales analytics (Admin) - ?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=day|week|month&timezone=
+app.get('/api/analytics', anyAdmin, validate(schemas.analytics.report), async (req, res) => {
+    try {
+        const range = analytics.parseRange(req.query);
+        res.json({
+            success: true,
+            data: await analytics.report(range)
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching analytics:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch analytics'
+        });
+    }
+});
+
+// 9. Add/update product (Staff)
+app.post('/api/products', staffOnly, validate(schemas.products.create), async (req, res) => {
+    try {
+        const {
+            title,
+            description,
+            type,
+            price,
+            quantity,
+            available,
+            images
+        } = req.body;
+        
+        const id = uuidv4();
+        
+        // Stock it starts with is recorded as an opening batch
+        const product = await withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO products (id, title, description, type, price, quantity, available, images)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 RETURNING *`,
+                [id, title, description, type, price, quantity, available, images]
+            );
+            if (quantity > 0) {
+                await batches.receiveOpeningStock(client, { productId: id, quantity }, req.admin);
+            }
+            return result.rows[0];
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Product created successfully',
+            data: product
+        });
+    } catch (error) {
+        console.error('Error creating product:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to create product' 
+        });
+    }
+});
+
+// Stock on hand is what is left in a product's active batches, so it is
+// changed through STOCK BATCH ROUTES rather than set directly
+function sendStockNotEditable(res) {
+    sendValidationError(res, new ValidationError([
+        fieldError('quantity', 'read_only', 'quantity comes from stock batches; receive or adjust a batch instead')
+    ]));
+}
+
+// 10. Update product (Staff) - PUT and PATCH both change only the fields sent
+const PRODUCT_COLUMNS = {
+    title: 'title',
+    description: 'description',
+    type: 'type',
+    price: 'price',
+    available: 'available',
+    images: 'images'
+};
+
+async function updateProduct(req, res) {
+    try {
+        const { id } = req.params;
+        
+        if (req.body.quantity !== undefined) {
+            return sendStockNotEditable(res);
+        }
+        
+        const values = [];
+        const assignments = Object.entries(req.body).map(([field, value]) => {
+            values.push(value);
+            return `${PRODUCT_COLUMNS[field]} = $${values.length}`;
+        });
+        values.push(id);
+        
+        const result = await pool.query(
+            `UPDATE products 
+             SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $${values.length}
+             RETURNING *`,
+            values
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Product not found' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Product updated successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error updating product:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to update product' 
+        });
+    }
+}
+
+const validateProductUpdate = validate(schemas.products.update, { partial: true });
+app.put('/api/products/:id', staffOnly, validateProductUpdate, updateProduct);
+app.patch('/api/products/:id', staffOnly, validateProductUpdate, updateProduct);
+
+// 11. Delete product (Owner) - also removes its stored images
+app.delete('/api/products/:id', ownerOnly, validate(schemas.products.remove), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Image rows go with the product (ON DELETE CASCADE); grab them first
+        const stored = await pool.query(
+            'SELECT storage_driver, storage_key FROM product_images WHERE product_id = $1',
+            [id]
+        );
+        
+        const result = await pool.query(
+            'DELETE FROM products WHERE id = $1 RETURNING *',
+            [id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ 
+                success: false,
+                error: 'Product not found' 
+            });
+        }
+        
+        await images.removeStoredImages(stored.rows);
+        
+        res.json({ 
+            success: true, 
+            message: 'Product deleted successfully' 
+        });
+    } catch (error) {
+        // foreign_key_violation: the product appears on past orders
+        if (error.code === '23503') {
+            return res.status(409).json({
+                success: false,
+                error: 'Product has been ordered before; mark it unavailable instead of deleting it'
+            });
+        }
+        console.error('Error deleting product:', error);
+        res.status(500).json({ 
+            success: false,
+            error: 'Failed to delete product' 
+        });
+    }
+});
+
+// ============ CANCELLATION & REFUND ROUTES ============
+
+function sendRefundError(res, error, action) {
+    if (error instanceof refunds.RefundError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+    if (error instanceof orders.OrderTransitionError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message
+        });
+    }
+    if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed ${action}`
+    });
+}
+
+// Send a refund once the change that approved it is committed. If that
+// fails the refund stays approved for POST /api/refunds/:id/send, and the
+// committed change is still reported as done.
+async function trySendRefund(refund) {
+    try {
+        return await refunds.sendRefund(refund.id);
+    } catch (error) {
+        console.error(`Error sending refund ${refund.id}:`, error);
+        return { refund, order: null, error: error.message };
+    }
+}
+
+// Respond with a refund just sent to the provider. It is recorded either
+// way; when the provider could not be reached it can be sent again.
+function sendRefundResult(res, sent, status = 200) {
+    res.status(status).json({
+        success: true,
+        message: sent.error
+            ? 'Refund recorded but the payment provider could not be reached; send it again later'
+            : `Refund ${sent.refund.status}`,
+        data: sent.refund,
+        order: sent.order
+    });
+}
+
+// Cancel an order (Public) - the customer, signed in or with the tracking
+// token or phone, until preparation starts. A paid order's refund is
+// requested for staff to approve.
+app.post('/api/orders/:id/cancel', trackingLimiter, auth.optionalCustomer, validate(schemas.orders.cancel), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason, token, phone } = req.body;
+        
+        const result = await pool.query('SELECT * FROM orders WHERE id = $1', [id]);
+        const order = result.rows[0];
+        const owned = order && req.customer && order.customer_id === req.customer.id;
+        
+        if (!owned && !token && !phone) {
+            return sendValidationError(res, new ValidationError([
+                { field: 'token', code: 'required', message: 'A tracking token or phone number is required' }
+            ]));
+        }
+        if (!owned && !tracking.canTrack(order, { token, phone })) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        const cancelled = await withTransaction(client => refunds.cancelOrder(client, id, {
+            actor: { type: 'customer', id: order.customer_id, name: order.customer_name },
+            note: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer',
+            onlyFrom: refunds.CUSTOMER_CANCELLABLE
+        }));
+        
+        res.json({
+            success: true,
+            message: cancelled.refund
+                ? 'Order cancelled; your refund will be sent once it is approved'
+                : 'Order cancelled',
+            data: tracking.trackingView(cancelled.order, await orders.getTimeline(pool, id))
+        });
+    } catch (error) {
+        sendRefundError(res, error, 'cancelling order');
+    }
+});
+
+// Refund an order's payment (Staff), approved by the caller
+//    body: { reason, amount? | items? } - neither refunds everything left
+app.post('/api/orders/:id/refunds', staffOnly, validate(schemas.refunds.create), async (req, res) => {
+    try {
+        const { amount, items, reason } = req.body;
+        
+        if (amount !== undefined && items !== undefined) {
+            return sendValidationError(res, new ValidationError([
+                { field: 'amount', code: 'not_allowed', message: 'Send amount or items, not both' }
+            ]));
+        }
+        
+        const refund = await refunds.createRefund(req.params.id, { amount, items, reason, admin: req.admin });
+        sendRefundResult(res, await trySendRefund(refund), 201);
+    } catch (error) {
+        sendRefundError(res, error, 'creating refund');
+    }
+});
+
+// An order's refunds (Admin)
+app.get('/api/orders/:id/refunds', anyAdmin, validate(schemas.refunds.forOrder), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await refunds.listForOrder(req.params.id)
+        });
+    } catch (error) {
+        sendRefundError(res, error, 'fetching refunds');
+    }
+});
+
+// List refunds, newest first (Admin) - ?page|cursor, limit, status, order
+app.get('/api/refunds', anyAdmin, validate(schemas.refunds.list), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        const orderBy = listing.parseSort(req.query, { created_at: 'created_at' }, 'created_at');
+        const filters = listing.createFilters();
+        
+        const statuses = listing.parseList(req.query.status);
+        if (statuses) {
+            filters.add(`status = ANY(${filters.param(statuses)}::varchar[])`);
+        }
+        
+        const where = filters.where();
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT * FROM refunds ${where}
+                 ORDER BY ${orderBy}, id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                filters.params
+            ),
+            pool.query(`SELECT COUNT(*) FROM refunds ${where}`, filters.params)
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows,
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        sendRefundError(res, error, 'fetching refunds');
+    }
+});
+
+// Approve a customer's refund request and send it (Staff)
+app.post('/api/refunds/:id/approve', staffOnly, validate(schemas.refunds.approve), async (req, res) => {
+    try {
+        const refund = await refunds.approveRefund(req.params.id, req.admin);
+        sendRefundResult(res, await trySendRefund(refund));
+    } catch (error) {
+        sendRefundError(res, error, 'approving refund');
+    }
+});
+
+// Turn a refund request down (Staff) - body: { note }
+app.post('/api/refunds/:id/reject', staffOnly, validate(schemas.refunds.reject), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Refund rejected',
+            data: await refunds.rejectRefund(req.params.id, req.admin, req.body.note)
+        });
+    } catch (error) {
+        sendRefundError(res, error, 'rejecting refund');
+    }
+});
+
+// Send an approved refund again, or check on one the provider is still
+// processing (Staff)
+app.post('/api/refunds/:id/send', staffOnly, validate(schemas.refunds.send), async (req, res) => {
+    try {
+        sendRefundResult(res, await refunds.sendRefund(req.params.id));
+    } catch (error) {
+        sendRefundError(res, error, 'sending refund');
+    }
+});
+
+// ============ SUBSCRIPTION ROUTES ============
+
+function sendSubscriptionError(res, error, action) {
+    if (error instanceof subscriptions.SubscriptionError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+    if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed ${action}`
+    });
+}
+
+// A customer's subscriptions, cancelled ones last (Customer)
+app.get('/api/customers/me/subscriptions', auth.requireCustomer, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await subscriptions.listForCustomer(req.customer.id)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'fetching subscriptions');
+    }
+});
+
+// A subscription with its next delivery dates and recent deliveries (Customer)
+app.get('/api/customers/me/subscriptions/:id', auth.requireCustomer, validate(schemas.subscriptions.get), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await subscriptions.getSubscription(req.params.id, req.customer.id)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'fetching subscription');
+    }
+});
+
+// Subscribe to regular deliveries (Customer) - body: { items, frequency, deliverySlotId, addressId, startDate }
+app.post('/api/customers/me/subscriptions', auth.requireCustomer, validate(schemas.subscriptions.create), async (req, res) => {
+    try {
+        res.status(201).json({
+            success: true,
+            message: 'Subscription created successfully',
+            data: await subscriptions.createSubscription(req.customer, req.body)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'creating subscription');
+    }
+});
+
+// Change items and quantities, frequency, slot or address (Customer). Orders
+// already placed keep what they had.
+app.patch('/api/customers/me/subscriptions/:id', auth.requireCustomer, validate(schemas.subscriptions.update, { partial: true }), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Subscription updated successfully',
+            data: await subscriptions.updateSubscription(req.customer, req.params.id, req.body)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'updating subscription');
+    }
+});
+
+// Stop generating orders until resumed (Customer)
+app.post('/api/customers/me/subscriptions/:id/pause', auth.requireCustomer, validate(schemas.subscriptions.change), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Subscription paused',
+            data: await subscriptions.pauseSubscription(req.params.id, req.customer.id)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'pausing subscription');
+    }
+});
+
+// Resume from the next delivery date that can still be reached (Customer)
+app.post('/api/customers/me/subscriptions/:id/resume', auth.requireCustomer, validate(schemas.subscriptions.change), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Subscription resumed',
+            data: await subscriptions.resumeSubscription(req.params.id, req.customer.id)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'resuming subscription');
+    }
+});
+
+// Skip the next delivery not ordered yet (Customer)
+app.post('/api/customers/me/subscriptions/:id/skip', auth.requireCustomer, validate(schemas.subscriptions.change), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Next delivery skipped',
+            data: await subscriptions.skipNextDelivery(req.params.id, req.customer.id)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'skipping delivery');
+    }
+});
+
+// Cancel for good (Customer). Orders already placed are not cancelled.
+app.post('/api/customers/me/subscriptions/:id/cancel', auth.requireCustomer, validate(schemas.subscriptions.change), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Subscription cancelled',
+            data: await subscriptions.cancelSubscription(req.params.id, req.customer.id)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'cancelling subscription');
+    }
+});
+
+// List subscriptions (Admin) - ?page|cursor, limit, sort, order, status, customerId
+app.get('/api/subscriptions', anyAdmin, validate(schemas.subscriptions.list), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        const orderBy = listing.parseSort(req.query, {
+            created_at: 's.created_at',
+            next_delivery_date: 's.next_delivery_date'
+        }, 'created_at');
+        const filters = listing.createFilters();
+        
+        const statuses = listing.parseList(req.query.status);
+        if (statuses) {
+            filters.add(`s.status = ANY(${filters.param(statuses)}::varchar[])`);
+        }
+        if (req.query.customerId) {
+            filters.add(`s.customer_id = ${filters.param(req.query.customerId)}`);
+        }
+        
+        const where = filters.where();
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT s.*, c.name AS customer_name, c.phone, ds.name AS slot_name, ds.weekday
+                 FROM subscriptions s
+                 JOIN customers c ON c.id = s.customer_id
+                 JOIN delivery_slots ds ON ds.id = s.delivery_slot_id
+                 ${where}
+                 ORDER BY ${orderBy}, s.id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                filters.params
+            ),
+            pool.query(`SELECT COUNT(*) FROM subscriptions s ${where}`, filters.params)
+        ]);
+        
+        res.json({
+            success: true,
+            data: await subscriptions.withItems(result.rows),
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'fetching subscriptions');
+    }
+});
+
+// Subscription deliveries between two dates (Admin) - ?from, to; the next
+// two weeks by default. Orders already generated, skipped and failed ones,
+// and the ones still to be generated with the day they will be.
+app.get('/api/subscriptions/upcoming', anyAdmin, validate(schemas.subscriptions.upcoming), async (req, res) => {
+    try {
+        const { from, to } = slots.parseDates(req.query);
+        res.json({
+            success: true,
+            data: await subscriptions.upcomingDeliveries({ from, to })
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'fetching upcoming deliveries');
+    }
+});
+
+// A subscription with its next delivery dates and recent deliveries (Admin)
+app.get('/api/subscriptions/:id', anyAdmin, validate(schemas.subscriptions.get), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await subscriptions.getSubscription(req.params.id)
+        });
+    } catch (error) {
+        sendSubscriptionError(res, error, 'fetching subscription');
+    }
+});
+
+// ============ NOTIFICATION ROUTES ============
+
+// Notification log (Admin) - ?page|cursor, limit, status, channel, event, orderId
+app.get('/api/notifications', anyAdmin, validate(schemas.notifications.list), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        const filters = listing.createFilters();
+        
+        const statuses = listing.parseList(req.query.status);
+        if (statuses) {
+            filters.add(`status = ANY(${filters.param(statuses)}::varchar[])`);
+        }
+        if (req.query.channel) {
+            filters.add(`channel = ${filters.param(req.query.channel)}`);
+        }
+        if (req.query.event) {
+            filters.add(`event = ${filters.param(req.query.event)}`);
+        }
+        if (req.query.orderId) {
+            filters.add(`order_id = ${filters.param(req.query.orderId)}`);
+        }
+        
+        const where = filters.where();
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT * FROM notifications ${where}
+                 ORDER BY created_at DESC, id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                filters.params
+            ),
+            pool.query(`SELECT COUNT(*) FROM notifications ${where}`, filters.params)
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows,
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch notifications'
+        });
+    }
+});
+
+// Retry a failed notification (Staff)
+app.post('/api/notifications/:id/retry', staffOnly, validate(schemas.notifications.retry), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `UPDATE notifications
+             SET status = 'queued', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND status = 'failed'
+             RETURNING *`,
+            [req.params.id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Failed notification not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Notification queued for retry',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error retrying notification:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry notification'
+        });
+    }
+});
+
+// ============ JOB ROUTES ============
+
+// Background jobs with their schedule, lock and latest run (Admin)
+app.get('/api/jobs', anyAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await jobs.listJobs()
+        });
+    } catch (error) {
+        console.error('Error fetching jobs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch jobs'
+        });
+    }
+});
+
+// Job run log (Admin) - ?page|cursor, limit, job, status
+app.get('/api/jobs/runs', anyAdmin, validate(schemas.jobs.runs), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        const filters = listing.createFilters();
+        
+        if (req.query.job) {
+            filters.add(`job = ${filters.param(req.query.job)}`);
+        }
+        const statuses = listing.parseList(req.query.status);
+        if (statuses) {
+            filters.add(`status = ANY(${filters.param(statuses)}::varchar[])`);
+        }
+        
+        const where = filters.where();
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT * FROM job_runs ${where}
+                 ORDER BY started_at DESC, id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                filters.params
+            ),
+            pool.query(`SELECT COUNT(*) FROM job_runs ${where}`, filters.params)
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows,
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching job runs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job runs'
+        });
+    }
+});
+
+// Run a job now, outside its schedule (Owner). Responds once it has finished.
+app.post('/api/jobs/:name/run', ownerOnly, validate(schemas.jobs.run), async (req, res) => {
+    try {
+        const run = await jobs.runNow(req.params.name, req.admin);
+        res.json({
+            success: true,
+            message: run.status === 'succeeded' ? 'Job finished' : 'Job failed',
+            data: run
+        });
+    } catch (error) {
+        if (error instanceof jobs.JobError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+        console.error('Error running job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run job'
+        });
+    }
+});
+
+// ============ PRODUCT VARIANT ROUTES ============
+// Options a product is sold in (e.g. live or dressed, weight bands, half
+// trays), each with its own SKU, price and stock. A product with variants
+// is ordered by variant: items[].variantId.
+
+async function listVariants(productId, db = pool) {
+    const result = await db.query(
+        `SELECT * FROM product_variants WHERE product_id = $1
+         ORDER BY position ASC, created_at ASC`,
+        [productId]
+    );
+    return result.rows;
+}
+
+function sendVariantSaveError(res, error, action) {
+    // unique_violation on sku
+    if (error.code === '23505') {
+        return res.status(409).json({
+            success: false,
+            error: 'Another variant already uses this SKU',
+            code: 'SKU_TAKEN'
+        });
+    }
+    console.error(`Error ${action === 'create' ? 'creating' : 'updating'} product variant:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action} product variant`
+    });
+}
+
+// List a product's variants (Admin)
+app.get('/api/products/:id/variants', anyAdmin, validate(schemas.productVariants.list), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const product = await pool.query('SELECT id FROM products WHERE id = $1', [id]);
+        
+        if (product.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: await listVariants(id)
+        });
+    } catch (error) {
+        console.error('Error fetching product variants:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch product variants'
+        });
+    }
+});
+
+// Add a variant (Staff). Once a product has variants, it can only be
+// ordered by variant.
+app.post('/api/products/:id/variants', staffOnly, validate(schemas.productVariants.create), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { sku, name, options, price, quantity, available, position } = req.body;
+        
+        const variant = await withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO product_variants (id, product_id, sku, name, options, price, quantity, available, position)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                 RETURNING *`,
+                [uuidv4(), id, sku, name, JSON.stringify(options), price, quantity, available, position]
+            );
+            if (quantity > 0) {
+                await batches.receiveOpeningStock(client, { productId: id, variantId: result.rows[0].id, quantity }, req.admin);
+            }
+            return result.rows[0];
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Product variant created successfully',
+            data: variant
+        });
+    } catch (error) {
+        // foreign_key_violation: no such product
+        if (error.code === '23503') {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+        sendVariantSaveError(res, error, 'create');
+    }
+});
+
+// Update a variant (Staff) - PUT and PATCH both change only the fields sent.
+// Its stock comes from batches, like a product's.
+const VARIANT_COLUMNS = {
+    sku: 'sku',
+    name: 'name',
+    options: 'options',
+    price: 'price',
+    available: 'available',
+    position: 'position'
+};
+
+async function updateVariant(req, res) {
+    try {
+        const { id, variantId } = req.params;
+        
+        if (req.body.quantity !== undefined) {
+            return sendStockNotEditable(res);
+        }
+        
+        const values = [];
+        const assignments = Object.entries(req.body).map(([field, value]) => {
+            values.push(field === 'options' ? JSON.stringify(value) : value);
+            return `${VARIANT_COLUMNS[field]} = $${values.length}`;
+        });
+        values.push(id, variantId);
+        
+        const result = await pool.query(
+            `UPDATE product_variants
+             SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE product_id = $${values.length - 1} AND id = $${values.length}
+             RETURNING *`,
+            values
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product variant not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Product variant updated successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        sendVariantSaveError(res, error, 'update');
+    }
+}
+
+const validateVariantUpdate = validate(schemas.productVariants.update, { partial: true });
+app.put('/api/products/:id/variants/:variantId', staffOnly, validateVariantUpdate, updateVariant);
+app.patch('/api/products/:id/variants/:variantId', staffOnly, validateVariantUpdate, updateVariant);
+
+// Delete a variant (Staff) - variants on past orders are made unavailable instead
+app.delete('/api/products/:id/variants/:variantId', staffOnly, validate(schemas.productVariants.remove), async (req, res) => {
+    try {
+        const { id, variantId } = req.params;
+        
+        const used = await pool.query(
+            `SELECT 1 FROM order_items WHERE variant_id = $1
+             UNION ALL
+             SELECT 1 FROM stock_reservations WHERE variant_id = $1
+             LIMIT 1`,
+            [variantId]
+        );
+        
+        const result = used.rows.length > 0
+            ? await pool.query(
+                `UPDATE product_variants SET available = false, sold_out = false, updated_at = CURRENT_TIMESTAMP
+                 WHERE product_id = $1 AND id = $2 RETURNING *`,
+                [id, variantId]
+            )
+            : await pool.query(
+                'DELETE FROM product_variants WHERE product_id = $1 AND id = $2 RETURNING *',
+                [id, variantId]
+            );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Product variant not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: used.rows.length > 0
+                ? 'Product variant has been ordered before and was made unavailable'
+                : 'Product variant deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting product variant:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete product variant'
+        });
+    }
+});
+
+// ============ PRODUCT IMAGE ROUTES ============
+
+// List a product's images with their IDs (Admin)
+app.get('/api/products/:id/images', anyAdmin, validate(schemas.productImages.list), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await images.getImages(req.params.id)
+        });
+    } catch (error) {
+        if (error instanceof images.ImageError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error fetching product images:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch product images'
+        });
+    }
+});
+
+// Upload images (Staff) - multipart/form-data, field "images"
+app.post('/api/products/:id/images', staffOnly, validate(schemas.productImages.upload), images.uploadMiddleware, async (req, res) => {
+    try {
+        const data = await images.addImages(req.params.id, req.files);
+        res.status(201).json({
+            success: true,
+            message: 'Images uploaded successfully',
+            data
+        });
+    } catch (error) {
+        if (error instanceof images.ImageError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error uploading product images:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to upload images'
+        });
+    }
+});
+
+// Reorder images (Staff) - body: { imageIds: [...] } in display order
+app.put('/api/products/:id/images/order', staffOnly, validate(schemas.productImages.reorder), async (req, res) => {
+    try {
+        const data = await images.reorderImages(req.params.id, req.body.imageIds);
+        res.json({
+            success: true,
+            message: 'Images reordered successfully',
+            data
+        });
+    } catch (error) {
+        if (error instanceof images.ImageError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error reordering product images:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reorder images'
+        });
+    }
+});
+
+// Delete an image (Staff)
+app.delete('/api/products/:id/images/:imageId', staffOnly, validate(schemas.productImages.remove), async (req, res) => {
+    try {
+        const data = await images.deleteImage(req.params.id, req.params.imageId);
+        res.json({
+            success: true,
+            message: 'Image deleted successfully',
+            data
+        });
+    } catch (error) {
+        if (error instanceof images.ImageError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error deleting product image:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete image'
+        });
+    }
+});
+
+// ============ DELIVERY ROUTES ============
+
+// Delivery fee quote for a drop-off point (Public) - with items, also previews promotions and the coupon
+app.post('/api/delivery/quote', validate(schemas.delivery.quote), async (req, res) => {
+    try {
+        const { latitude, longitude, items, subtotal, couponCode, phone } = req.body;
+        const point = { latitude, longitude };
+        
+        // Prefer pricing the actual cart (with promotions); fall back to a subtotal hint
+        if (items) {
+            const priced = await pricing.priceOrder(items, pool, { point, couponCode, phone });
+            return res.json({
+                success: true,
+                data: {
+                    ...priced.delivery,
+                    subtotal: priced.subtotal,
+                    discount: priced.discount,
+                    discounts: priced.discounts,
+                    couponCode: priced.couponCode,
+                    total: priced.total
+                }
+            });
+        }
+        
+        const orderSubtotal = subtotal || 0;
+        const quote = await delivery.quote(point, orderSubtotal);
+        
+        res.json({
+            success: true,
+            data: {
+                ...quote,
+                subtotal: orderSubtotal,
+                total: pricing.toMoney(orderSubtotal + quote.deliveryFee)
+            }
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        if (error instanceof delivery.DeliveryError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                code: error.code,
+                details: error.details
+            });
+        }
+        console.error('Error quoting delivery:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to quote delivery'
+        });
+    }
+});
+
+// List delivery zones (Admin)
+app.get('/api/delivery/zones', anyAdmin, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT * FROM delivery_zones ORDER BY priority ASC, created_at ASC'
+        );
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching delivery zones:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch delivery zones'
+        });
+    }
+});
+
+// Create delivery zone (Staff)
+app.post('/api/delivery/zones', staffOnly, validate(schemas.delivery.createZone), async (req, res) => {
+    try {
+        const {
+            name,
+            kind,
+            radiusKm,
+            polygon,
+            fee,
+            minOrderValue,
+            freeDeliveryThreshold,
+            priority,
+            active
+        } = req.body;
+        
+        const invalid = delivery.validateZone({ kind, radiusKm, polygon, fee });
+        if (invalid) {
+            return sendValidationError(res, new ValidationError([
+                { field: kind === 'polygon' ? 'polygon' : 'radiusKm', code: 'invalid_zone', message: invalid }
+            ], invalid));
+        }
+        
+        const result = await pool.query(
+            `INSERT INTO delivery_zones (id, name, kind, radius_km, polygon, fee, min_order_value,
+                                         free_delivery_threshold, priority, active)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING *`,
+            [uuidv4(), name, kind,
+             kind === 'radius' ? radiusKm : null,
+             kind === 'polygon' ? JSON.stringify(polygon) : null,
+             fee, minOrderValue, freeDeliveryThreshold, priority, active]
+        );
+        
+        res.status(201).json({
+            success: true,
+            message: 'Delivery zone created successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error creating delivery zone:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create delivery zone'
+        });
+    }
+});
+
+// Update delivery zone (Staff)
+app.put('/api/delivery/zones/:id', staffOnly, validate(schemas.delivery.updateZone, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const check = await pool.query(
+            'SELECT * FROM delivery_zones WHERE id = $1',
+            [id]
+        );
+        
+        if (check.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery zone not found'
+            });
+        }
+        
+        // Fields left out of the body keep their current values
+        const current = check.rows[0];
+        const zone = {
+            name: req.body.name !== undefined ? req.body.name : current.name,
+            kind: req.body.kind !== undefined ? req.body.kind : current.kind,
+            radiusKm: req.body.radiusKm !== undefined ? req.body.radiusKm : current.radius_km,
+            polygon: req.body.polygon !== undefined ? req.body.polygon : current.polygon,
+            fee: req.body.fee !== undefined ? req.body.fee : current.fee,
+            minOrderValue: req.body.minOrderValue !== undefined ? req.body.minOrderValue : current.min_order_value,
+            freeDeliveryThreshold: req.body.freeDeliveryThreshold !== undefined
+                ? req.body.freeDeliveryThreshold : current.free_delivery_threshold,
+            priority: req.body.priority !== undefined ? req.body.priority : current.priority,
+            active: req.body.active !== undefined ? req.body.active : current.active
+        };
+        
+        const invalid = delivery.validateZone(zone);
+        if (invalid) {
+            return sendValidationError(res, new ValidationError([
+                { field: zone.kind === 'polygon' ? 'polygon' : 'radiusKm', code: 'invalid_zone', message: invalid }
+            ], invalid));
+        }
+        
+        const result = await pool.query(
+            `UPDATE delivery_zones
+             SET name = $1, kind = $2, radius_km = $3, polygon = $4, fee = $5, min_order_value = $6,
+                 free_delivery_threshold = $7, priority = $8, active = $9, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $10
+             RETURNING *`,
+            [zone.name, zone.kind,
+             zone.kind === 'radius' ? zone.radiusKm : null,
+             zone.kind === 'polygon' ? JSON.stringify(zone.polygon) : null,
+             zone.fee, zone.minOrderValue, zone.freeDeliveryThreshold, zone.priority, zone.active, id]
+        );
+        
+        res.json({
+            success: true,
+            message: 'Delivery zone updated successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error updating delivery zone:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update delivery zone'
+        });
+    }
+});
+
+// Delete delivery zone (Staff) - zones used by past orders are deactivated instead
+app.delete('/api/delivery/zones/:id', staffOnly, validate(schemas.delivery.removeZone), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const used = await pool.query(
+            'SELECT 1 FROM orders WHERE delivery_zone_id = $1 LIMIT 1',
+            [id]
+        );
+        
+        const result = used.rows.length > 0
+            ? await pool.query(
+                `UPDATE delivery_zones SET active = false, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 RETURNING *`,
+                [id]
+            )
+            : await pool.query(
+                'DELETE FROM delivery_zones WHERE id = $1 RETURNING *',
+                [id]
+            );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery zone not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: used.rows.length > 0
+                ? 'Delivery zone is used by past orders and was deactivated'
+                : 'Delivery zone deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting delivery zone:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete delivery zone'
+        });
+    }
+});
+
+function sendSlotDateError(res, field = 'date') {
+    return sendValidationError(res, new ValidationError([
+        { field, code: 'invalid_date', message: `${field} must be a date in YYYY-MM-DD format` }
+    ]));
+}
+
+// Bookable delivery slots with places left (Public) - ?from, to, latitude, longitude.
+// With a drop-off point, zone limits are applied; full slots are listed as full.
+app.get('/api/delivery/slots/available', validate(schemas.delivery.availableSlots), async (req, res) => {
+    try {
+        const { from, to } = slots.parseDates(req.query);
+        const { latitude, longitude } = req.query;
+        
+        if ((latitude === undefined) !== (longitude === undefined)) {
+            return sendValidationError(res, new ValidationError([
+                { field: 'longitude', code: 'required', message: 'Send latitude and longitude together' }
+            ]));
+        }
+        
+        let zoneId = null;
+        if (latitude !== undefined) {
+            const zone = await delivery.findZone({ latitude, longitude });
+            if (!zone) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'We do not deliver to this location yet',
+                    code: 'OUTSIDE_DELIVERY_AREA'
+                });
+            }
+            zoneId = zone.id;
+        }
+        
+        res.json({
+            success: true,
+            data: await slots.listAvailable({ from, to, zoneId })
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching available delivery slots:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch delivery slots'
+        });
+    }
+});
+
+// List delivery slots with their zone limits (Admin)
+app.get('/api/delivery/slots', anyAdmin, async (req, res) => {
+    try {
+        const [result, limits] = await Promise.all([
+            pool.query('SELECT * FROM delivery_slots ORDER BY weekday ASC, start_time ASC, name ASC'),
+            pool.query('SELECT * FROM delivery_slot_zone_limits ORDER BY zone_id ASC')
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows.map(row => ({
+                ...row,
+                zone_limits: limits.rows.filter(limit => limit.slot_id === row.id)
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching delivery slots:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch delivery slots'
+        });
+    }
+});
+
+// Replace a slot's zone limits inside the caller's transaction
+async function saveSlotZoneLimits(client, slotId, zoneLimits) {
+    await client.query('DELETE FROM delivery_slot_zone_limits WHERE slot_id = $1', [slotId]);
+    for (const limit of zoneLimits) {
+        await client.query(
+            `INSERT INTO delivery_slot_zone_limits (slot_id, zone_id, capacity)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (slot_id, zone_id) DO UPDATE SET capacity = EXCLUDED.capacity`,
+            [slotId, limit.zoneId, limit.capacity]
+        );
+    }
+    const result = await client.query(
+        'SELECT * FROM delivery_slot_zone_limits WHERE slot_id = $1 ORDER BY zone_id ASC',
+        [slotId]
+    );
+    return result.rows;
+}
+
+function sendSlotSaveError(res, error, label) {
+    // Unknown zone in zoneLimits
+    if (error.code === '23503') {
+        return sendValidationError(res, new ValidationError([
+            { field: 'zoneLimits', code: 'not_found', message: 'zoneLimits refers to a delivery zone that does not exist' }
+        ]));
+    }
+    console.error(`Error ${label} delivery slot:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${label === 'creating' ? 'create' : 'update'} delivery slot`
+    });
+}
+
+// Create delivery slot (Staff) - weekly window with a capacity per date
+app.post('/api/delivery/slots', staffOnly, validate(schemas.delivery.createSlot), async (req, res) => {
+    try {
+        const { name, weekday, startTime, endTime, capacity, cutoffMinutes, active, zoneLimits } = req.body;
+        
+        if (endTime <= startTime) {
+            return sendValidationError(res, new ValidationError([
+                { field: 'endTime', code: 'invalid_range', message: 'endTime must be after startTime' }
+            ]));
+        }
+        
+        const slot = await withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO delivery_slots (id, name, weekday, start_time, end_time, capacity, cutoff_minutes, active)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 RETURNING *`,
+                [uuidv4(), name, weekday, startTime, endTime, capacity, cutoffMinutes, active]
+            );
+            return {
+                ...result.rows[0],
+                zone_limits: await saveSlotZoneLimits(client, result.rows[0].id, zoneLimits)
+            };
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Delivery slot created successfully',
+            data: slot
+        });
+    } catch (error) {
+        sendSlotSaveError(res, error, 'creating');
+    }
+});
+
+// Update delivery slot (Staff). Orders already booked keep their window.
+app.put('/api/delivery/slots/:id', staffOnly, validate(schemas.delivery.updateSlot, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const slot = await withTransaction(async (client) => {
+            const check = await client.query('SELECT * FROM delivery_slots WHERE id = $1 FOR UPDATE', [id]);
+            if (check.rows.length === 0) {
+                return null;
+            }
+            
+            // Fields left out of the body keep their current values
+            const current = check.rows[0];
+            const pick = (field, column) => req.body[field] !== undefined ? req.body[field] : current[column];
+            const startTime = pick('startTime', 'start_time').slice(0, 5);
+            const endTime = pick('endTime', 'end_time').slice(0, 5);
+            
+            if (endTime <= startTime) {
+                throw new ValidationError([
+                    { field: 'endTime', code: 'invalid_range', message: 'endTime must be after startTime' }
+                ]);
+            }
+            
+            const result = await client.query(
+                `UPDATE delivery_slots
+                 SET name = $1, weekday = $2, start_time = $3, end_time = $4, capacity = $5,
+                     cutoff_minutes = $6, active = $7, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $8
+                 RETURNING *`,
+                [pick('name', 'name'), pick('weekday', 'weekday'), startTime, endTime,
+                 pick('capacity', 'capacity'), pick('cutoffMinutes', 'cutoff_minutes'), pick('active', 'active'), id]
+            );
+            
+            const zoneLimits = req.body.zoneLimits !== undefined
+                ? await saveSlotZoneLimits(client, id, req.body.zoneLimits)
+                : (await client.query(
+                    'SELECT * FROM delivery_slot_zone_limits WHERE slot_id = $1 ORDER BY zone_id ASC',
+                    [id]
+                )).rows;
+            
+            return { ...result.rows[0], zone_limits: zoneLimits };
+        });
+        
+        if (!slot) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery slot not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Delivery slot updated successfully',
+            data: slot
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        sendSlotSaveError(res, error, 'updating');
+    }
+});
+
+// Delete delivery slot (Staff) - slots booked by orders are deactivated instead
+app.delete('/api/delivery/slots/:id', staffOnly, validate(schemas.delivery.removeSlot), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const used = await pool.query(
+            `SELECT 1 FROM orders WHERE delivery_slot_id = $1
+             UNION ALL
+             SELECT 1 FROM subscriptions WHERE delivery_slot_id = $1
+             LIMIT 1`,
+            [id]
+        );
+        
+        const result = used.rows.length > 0
+            ? await pool.query(
+                `UPDATE delivery_slots SET active = false, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 RETURNING *`,
+                [id]
+            )
+            : await pool.query(
+                'DELETE FROM delivery_slots WHERE id = $1 RETURNING *',
+                [id]
+            );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery slot not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: used.rows.length > 0
+                ? 'Delivery slot is used by orders or subscriptions and was deactivated'
+                : 'Delivery slot deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting delivery slot:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete delivery slot'
+        });
+    }
+});
+
+// List blackout dates (Admin) - ?from, to; from defaults to today
+app.get('/api/delivery/blackout-dates', anyAdmin, validate(schemas.delivery.blackoutDates), async (req, res) => {
+    try {
+        const { from, to } = slots.parseDates(req.query);
+        
+        const result = await pool.query(
+            `SELECT * FROM delivery_blackout_dates
+             WHERE date >= $1::date AND ($2::date IS NULL OR date <= $2::date)
+             ORDER BY date ASC`,
+            [from || slots.bookingWindow().today, to]
+        );
+        
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching blackout dates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch blackout dates'
+        });
+    }
+});
+
+// Add or update a blackout date (Staff). No slot can be booked on it; orders
+// already booked for the day are counted so staff can rearrange them.
+app.put('/api/delivery/blackout-dates/:date', staffOnly, validate(schemas.delivery.setBlackoutDate), async (req, res) => {
+    try {
+        const { date } = req.params;
+        
+        if (!slots.isDate(date)) {
+            return sendSlotDateError(res);
+        }
+        
+        const result = await pool.query(
+            `INSERT INTO delivery_blackout_dates (date, reason)
+             VALUES ($1, $2)
+             ON CONFLICT (date) DO UPDATE SET reason = EXCLUDED.reason
+             RETURNING *`,
+            [date, req.body.reason || null]
+        );
+        const booked = await pool.query(
+            `SELECT COUNT(*) FROM orders
+             WHERE delivery_date = $1 AND status NOT IN ('cancelled', 'refunded')`,
+            [date]
+        );
+        
+        res.json({
+            success: true,
+            message: 'Blackout date saved',
+            data: {
+                ...result.rows[0],
+                bookedOrders: parseInt(booked.rows[0].count)
+            }
+        });
+    } catch (error) {
+        console.error('Error saving blackout date:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save blackout date'
+        });
+    }
+});
+
+// Remove a blackout date (Staff)
+app.delete('/api/delivery/blackout-dates/:date', staffOnly, validate(schemas.delivery.removeBlackoutDate), async (req, res) => {
+    try {
+        const { date } = req.params;
+        
+        if (!slots.isDate(date)) {
+            return sendSlotDateError(res);
+        }
+        
+        const result = await pool.query(
+            'DELETE FROM delivery_blackout_dates WHERE date = $1 RETURNING *',
+            [date]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Blackout date not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Blackout date removed'
+        });
+    } catch (error) {
+        console.error('Error removing blackout date:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove blackout date'
+        });
+    }
+});
+
+// ============ PRE-ORDER STOCK ROUTES ============
+// Stock expected for a delivery date (e.g. a batch ready for a holiday).
+// Pre-orders for that date take from it instead of the shelf.
+
+// What can be pre-ordered, per delivery date (Public) - ?from, to within the booking window
+app.get('/api/preorder-stock', validate(schemas.preorderStock.list), async (req, res) => {
+    try {
+        const { from, to } = slots.parseDates(req.query);
+        const { today, last } = slots.bookingWindow();
+        
+        const result = await pool.query(
+            `SELECT ps.product_id, p.title, p.type, p.price, ps.delivery_date,
+                    ps.quantity - ps.taken AS remaining
+             FROM preorder_stock ps
+             JOIN products p ON p.id = ps.product_id
+             WHERE ps.delivery_date > $1::date AND ps.delivery_date <= $2::date
+               AND ($3::date IS NULL OR ps.delivery_date >= $3::date)
+               AND ($4::date IS NULL OR ps.delivery_date <= $4::date)
+               AND (p.available = true OR p.sold_out = true)
+             ORDER BY ps.delivery_date ASC, p.title ASC`,
+            [today, last, from, to]
+        );
+        
+        res.json({
+            success: true,
+            data: result.rows.map(row => ({
+                productId: row.product_id,
+                title: row.title,
+                type: row.type,
+                price: parseFloat(row.price),
+                deliveryDate: row.delivery_date,
+                remaining: row.remaining
+            }))
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching pre-order stock:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch pre-order stock'
+        });
+    }
+});
+
+// A product's expected stock from today on (Admin)
+app.get('/api/products/:id/preorder-stock', anyAdmin, validate(schemas.preorderStock.product), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT * FROM preorder_stock
+             WHERE product_id = $1 AND delivery_date >= $2::date
+             ORDER BY delivery_date ASC`,
+            [req.params.id, slots.bookingWindow().today]
+        );
+        
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching pre-order stock:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch pre-order stock'
+        });
+    }
+});
+
+// Set the stock expected for a delivery date (Staff) - body: { quantity }.
+// It cannot go below what has already been pre-ordered.
+app.put('/api/products/:id/preorder-stock/:date', staffOnly, validate(schemas.preorderStock.set), async (req, res) => {
+    try {
+        const { id, date } = req.params;
+        
+        if (!slots.isDate(date)) {
+            return sendSlotDateError(res);
+        }
+        
+        const result = await pool.query(
+            `INSERT INTO preorder_stock (product_id, delivery_date, quantity)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (product_id, delivery_date) DO UPDATE
+                 SET quantity = EXCLUDED.quantity, updated_at = CURRENT_TIMESTAMP
+             RETURNING *`,
+            [id, date, req.body.quantity]
+        );
+        
+        res.json({
+            success: true,
+            message: 'Pre-order stock saved',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({
+                success: false,
+                error: 'Product not found'
+            });
+        }
+        if (error.code === '23514') {
+            return res.status(409).json({
+                success: false,
+                error: 'More than that has already been pre-ordered for this date'
+            });
+        }
+        console.error('Error saving pre-order stock:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save pre-order stock'
+        });
+    }
+});
+
+// Remove expected stock nobody has pre-ordered yet (Staff)
+app.delete('/api/products/:id/preorder-stock/:date', staffOnly, validate(schemas.preorderStock.remove), async (req, res) => {
+    try {
+        const { id, date } = req.params;
+        
+        if (!slots.isDate(date)) {
+            return sendSlotDateError(res);
+        }
+        
+        const result = await pool.query(
+            `DELETE FROM preorder_stock
+             WHERE product_id = $1 AND delivery_date = $2 AND taken = 0
+             RETURNING *`,
+            [id, date]
+        );
+        
+        if (result.rows.length === 0) {
+            const exists = await pool.query(
+                'SELECT 1 FROM preorder_stock WHERE product_id = $1 AND delivery_date = $2',
+                [id, date]
+            );
+            return res.status(exists.rows.length > 0 ? 409 : 404).json({
+                success: false,
+                error: exists.rows.length > 0
+                    ? 'Some of this stock has been pre-ordered; lower it to what was taken instead'
+                    : 'Pre-order stock not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Pre-order stock removed'
+        });
+    } catch (error) {
+        console.error('Error removing pre-order stock:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove pre-order stock'
+        });
+    }
+});
+
+// ============ STOCK BATCH ROUTES ============
+// Stock is received in batches (a flock's slaughter, a day's lay) and sold
+// first-expiring first; a product's quantity is what its active batches
+// still hold. See lib/batches.js.
+
+function sendBatchError(res, error, action) {
+    if (error instanceof batches.BatchError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+    if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+    }
+    // unique_violation on code
+    if (error.code === '23505') {
+        return res.status(409).json({
+            success: false,
+            error: 'Another batch already uses this code',
+            code: 'BATCH_CODE_TAKEN'
+        });
+    }
+    // check_violation: expiry before the production date
+    if (error.code === '23514') {
+        return sendValidationError(res, new ValidationError([
+            fieldError('expiresOn', 'invalid_range', 'expiresOn cannot be before producedOn')
+        ]));
+    }
+    console.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed ${action}`
+    });
+}
+
+// List batches (Admin) - ?page|cursor, limit, sort=received_at|expires_on,
+// order, productId, variantId, status, q
+app.get('/api/stock-batches', anyAdmin, validate(schemas.stockBatches.list), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        const orderBy = listing.parseSort(req.query, {
+            received_at: 'b.received_at',
+            expires_on: 'b.expires_on'
+        }, 'received_at');
+        const filters = listing.createFilters();
+        
+        if (req.query.productId) {
+            filters.add(`b.product_id = ${filters.param(req.query.productId)}`);
+        }
+        if (req.query.variantId) {
+            filters.add(`b.variant_id = ${filters.param(req.query.variantId)}`);
+        }
+        const statuses = listing.parseList(req.query.status);
+        if (statuses) {
+            filters.add(`b.status = ANY(${filters.param(statuses)}::varchar[])`);
+        }
+        if (req.query.q) {
+            const term = filters.param(`%${req.query.q}%`);
+            filters.add(`(b.code ILIKE ${term} OR b.supplier ILIKE ${term} OR b.farm ILIKE ${term})`);
+        }
+        
+        const where = filters.where();
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT b.*, p.title AS product_title, v.name AS variant_name
+                 FROM stock_batches b
+                 JOIN products p ON p.id = b.product_id
+                 LEFT JOIN product_variants v ON v.id = b.variant_id
+                 ${where}
+                 ORDER BY ${orderBy} NULLS LAST, b.id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                filters.params
+            ),
+            pool.query(`SELECT COUNT(*) FROM stock_batches b ${where}`, filters.params)
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows,
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        sendBatchError(res, error, 'fetching stock batches');
+    }
+});
+
+// Batches with stock left that expire within ?days (Admin), soonest first -
+// sell or discount these first
+app.get('/api/stock-batches/expiring-soon', anyAdmin, validate(schemas.stockBatches.expiringSoon), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await batches.expiringSoon(req.query.days)
+        });
+    } catch (error) {
+        sendBatchError(res, error, 'fetching expiring stock');
+    }
+});
+
+app.get('/api/stock-batches/:id', anyAdmin, validate(schemas.stockBatches.get), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await batches.getBatch(req.params.id)
+        });
+    } catch (error) {
+        sendBatchError(res, error, 'fetching stock batch');
+    }
+});
+
+// Recall list (Admin): every order, and customer, that got units from the batch
+app.get('/api/stock-batches/:id/orders', anyAdmin, validate(schemas.stockBatches.orders), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await batches.recallOrders(req.params.id)
+        });
+    } catch (error) {
+        sendBatchError(res, error, 'fetching batch orders');
+    }
+});
+
+// Receive stock (Staff) - body: { productId, variantId?, code, quantity,
+// supplier, farm, producedOn, expiresOn, unitCost, notes }
+app.post('/api/stock-batches', staffOnly, validate(schemas.stockBatches.receive), async (req, res) => {
+    try {
+        res.status(201).json({
+            success: true,
+            message: 'Stock batch received',
+            data: await batches.receiveBatch(req.body, req.admin)
+        });
+    } catch (error) {
+        sendBatchError(res, error, 'receiving stock batch');
+    }
+});
+
+// Correct a batch (Staff) - PUT and PATCH both change only the fields sent
+async function updateBatch(req, res) {
+    try {
+        res.json({
+            success: true,
+            message: 'Stock batch updated',
+            data: await batches.updateBatch(req.params.id, req.body)
+        });
+    } catch (error) {
+        sendBatchError(res, error, 'updating stock batch');
+    }
+}
+
+const validateBatchUpdate = validate(schemas.stockBatches.update, { partial: true });
+app.put('/api/stock-batches/:id', staffOnly, validateBatchUpdate, updateBatch);
+app.patch('/api/stock-batches/:id', staffOnly, validateBatchUpdate, updateBatch);
+
+// Recall a batch (Staff) - body: { reason }. Its units come off sale; see
+// GET /api/stock-batches/:id/orders for who received it.
+app.post('/api/stock-batches/:id/recall', staffOnly, validate(schemas.stockBatches.recall), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            message: 'Stock batch recalled',
+            data: await batches.recallBatch(req.params.id, req.body.reason)
+        });
+    } catch (error) {
+        sendBatchError(res, error, 'recalling stock batch');
+    }
+});
+
+// ============ PROMOTION ROUTES ============
+
+// API field -> promotions column
+const PROMOTION_COLUMNS = {
+    name: 'name',
+    code: 'code',
+    kind: 'kind',
+    value: 'value',
+    maxDiscount: 'max_discount',
+    productTypes: 'product_types',
+    minSubtotal: 'min_subtotal',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    usageLimit: 'usage_limit',
+    perCustomerLimit: 'per_customer_limit',
+    active: 'active'
+};
+
+function promotionInvalid(res, message) {
+    return sendValidationError(res, new ValidationError([
+        { field: 'kind', code: 'invalid_promotion', message }
+    ], message));
+}
+
+// List promotions with their redemption counts (Admin)
+app.get('/api/promotions', anyAdmin, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT p.*,
+                    (SELECT COUNT(*) FROM promotion_redemptions r
+                     JOIN orders o ON o.id = r.order_id
+                     WHERE r.promotion_id = p.id AND o.status <> 'cancelled') AS redemptions
+             FROM promotions p
+             ORDER BY p.active DESC, p.created_at DESC`
+        );
+        res.json({
+            success: true,
+            data: result.rows.map(row => ({ ...row, redemptions: parseInt(row.redemptions) }))
+        });
+    } catch (error) {
+        console.error('Error fetching promotions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch promotions'
+        });
+    }
+});
+
+// Create promotion (Staff) - with a code it is a coupon, without one it applies automatically
+app.post('/api/promotions', staffOnly, validate(schemas.promotions.create), async (req, res) => {
+    try {
+        const invalid = promotions.validatePromotion(req.body);
+        if (invalid) {
+            return promotionInvalid(res, invalid);
+        }
+        
+        const promotion = { ...req.body, code: req.body.code ? promotions.normalizeCode(req.body.code) : null };
+        const fields = Object.keys(PROMOTION_COLUMNS);
+        
+        const result = await pool.query(
+            `INSERT INTO promotions (id, ${fields.map(field => PROMOTION_COLUMNS[field]).join(', ')})
+             VALUES ($1, ${fields.map((field, i) => `$${i + 2}`).join(', ')})
+             RETURNING *`,
+            [uuidv4(), ...fields.map(field => promotion[field] === undefined ? null : promotion[field])]
+        );
+        
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        // unique_violation on the code index
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: 'A promotion with that code already exists'
+            });
+        }
+        console.error('Error creating promotion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create promotion'
+        });
+    }
+});
+
+// Update promotion (Staff)
+app.put('/api/promotions/:id', staffOnly, validate(schemas.promotions.update, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const check = await pool.query(
+            'SELECT * FROM promotions WHERE id = $1',
+            [id]
+        );
+        
+        if (check.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Promotion not found'
+            });
+        }
+        
+        // Fields left out of the body keep their current values
+        const current = check.rows[0];
+        const fields = Object.keys(PROMOTION_COLUMNS);
+        const promotion = {};
+        for (const field of fields) {
+            promotion[field] = req.body[field] !== undefined ? req.body[field] : current[PROMOTION_COLUMNS[field]];
+        }
+        promotion.code = promotion.code ? promotions.normalizeCode(promotion.code) : null;
+        
+        const invalid = promotions.validatePromotion(promotion);
+        if (invalid) {
+            return promotionInvalid(res, invalid);
+        }
+        
+        const result = await pool.query(
+            `UPDATE promotions
+             SET ${fields.map((field, i) => `${PROMOTION_COLUMNS[field]} = $${i + 1}`).join(', ')},
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $${fields.length + 1}
+             RETURNING *`,
+            [...fields.map(field => promotion[field]), id]
+        );
+        
+        res.json({
+            success: true,
+            message: 'Promotion updated successfully',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: 'A promotion with that code already exists'
+            });
+        }
+        console.error('Error updating promotion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update promotion'
+        });
+    }
+});
+
+// Delete promotion (Staff) - promotions that have been redeemed are deactivated instead
+app.delete('/api/promotions/:id', staffOnly, validate(schemas.promotions.remove), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const used = await pool.query(
+            'SELECT 1 FROM promotion_redemptions WHERE promotion_id = $1 LIMIT 1',
+            [id]
+        );
+        
+        const result = used.rows.length > 0
+            ? await pool.query(
+                `UPDATE promotions SET active = false, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 RETURNING *`,
+                [id]
+            )
+            : await pool.query(
+                'DELETE FROM promotions WHERE id = $1 RETURNING *',
+                [id]
+            );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Promotion not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: used.rows.length > 0
+                ? 'Promotion has been redeemed and was deactivated'
+                : 'Promotion deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting promotion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete promotion'
+        });
+    }
+});
+
+// Redemptions of a promotion, newest first (Admin)
+app.get('/api/promotions/:id/redemptions', anyAdmin, validate(schemas.promotions.redemptions), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT r.order_id, r.amount, r.created_at, o.customer_name, o.phone, o.status, o.total
+             FROM promotion_redemptions r
+             JOIN orders o ON o.id = r.order_id
+             WHERE r.promotion_id = $1
+             ORDER BY r.created_at DESC`,
+            [req.params.id]
+        );
+        res.json({
+            success: true,
+            data: result.rows
+        });
+    } catch (error) {
+        console.error('Error fetching promotion redemptions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch promotion redemptions'
+        });
+    }
+});
+
+// ============ RIDER & DISPATCH ROUTES ============
+// Riders sign in on their phones, report their position and confirm pickups
+// and handovers; staff create riders and assign orders to them.
+
+const deliveryPhotoUpload = images.createUploadMiddleware('photo', 1);
+
+function sendDispatchError(res, error) {
+    return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+    });
+}
+
+// Rider login with phone and password (Public)
+app.post('/api/riders/login', loginLimiter, validate(schemas.riders.login), async (req, res) => {
+    try {
+        const rider = await riders.login(req.body.phone, req.body.password);
+        
+        if (!rider) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid phone number or password',
+                code: 'INVALID_CREDENTIALS'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                rider: riders.publicRider(rider),
+                ...(await auth.issueRiderTokens(rider))
+            }
+        });
+    } catch (error) {
+        console.error('Error logging in rider:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log in'
+        });
+    }
+});
+
+// Exchange a rider refresh token for a new token pair
+app.post('/api/riders/refresh', validate(schemas.riders.refresh), async (req, res) => {
+    try {
+        const session = await riders.refreshSession(req.body.refreshToken);
+        
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired refresh token'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                rider: riders.publicRider(session.rider),
+                ...session.tokens
+            }
+        });
+    } catch (error) {
+        console.error('Error refreshing rider token:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to refresh token'
+        });
+    }
+});
+
+// Revoke a rider refresh token
+app.post('/api/riders/logout', validate(schemas.riders.logout), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (refreshToken) {
+            try {
+                const payload = auth.verifyToken(refreshToken, auth.SESSIONS.rider.refresh);
+                await auth.revokeRefreshToken(payload.jti, pool, auth.SESSIONS.rider);
+            } catch (error) {
+                // Already invalid, nothing to revoke
+            }
+        }
+        
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+    } catch (error) {
+        console.error('Error logging out rider:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out'
+        });
+    }
+});
+
+// Current rider with their open deliveries (Rider)
+app.get('/api/riders/me', auth.requireRider, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                ...riders.publicRider(req.rider),
+                deliveries: await dispatch.activeDeliveries(req.rider.id)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching rider profile:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch profile'
+        });
+    }
+});
+
+// Go on or off shift (Rider) - body: { available }
+app.put('/api/riders/me/availability', auth.requireRider, validate(schemas.riders.availability), async (req, res) => {
+    try {
+        const result = await pool.query(
+            `UPDATE riders SET available = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2
+             RETURNING *`,
+            [req.body.available, req.rider.id]
+        );
+        
+        res.json({
+            success: true,
+            message: req.body.available ? 'You are now available' : 'You are now off shift',
+            data: riders.publicRider(result.rows[0])
+        });
+    } catch (error) {
+        console.error('Error updating rider availability:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update availability'
+        });
+    }
+});
+
+// Report the rider's position (Rider) - body: { latitude, longitude, accuracy? }.
+// ETAs of the orders they are carrying are worked out again from it.
+app.post('/api/riders/me/location', auth.requireRider, validate(schemas.riders.location), async (req, res) => {
+    try {
+        const rider = await riders.recordLocation(req.rider.id, req.body);
+        const etas = await dispatch.updateEtas(rider);
+        
+        res.json({
+            success: true,
+            data: {
+                location: riders.publicRider(rider).location,
+                etas
+            }
+        });
+    } catch (error) {
+        console.error('Error recording rider location:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record location'
+        });
+    }
+});
+
+// Open deliveries assigned to the rider, oldest first (Rider)
+app.get('/api/riders/me/deliveries', auth.requireRider, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await dispatch.activeDeliveries(req.rider.id)
+        });
+    } catch (error) {
+        console.error('Error fetching rider deliveries:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch deliveries'
+        });
+    }
+});
+
+// Confirm the order has been collected (Rider). The order goes out for delivery.
+app.post('/api/riders/me/deliveries/:orderId/pickup', auth.requireRider, validate(schemas.riders.delivery), async (req, res) => {
+    try {
+        const { delivery, order } = await dispatch.pickUp(req.rider, req.params.orderId);
+        
+        res.json({
+            success: true,
+            message: 'Order picked up',
+            data: { delivery, order }
+        });
+    } catch (error) {
+        if (error instanceof dispatch.DispatchError) {
+            return sendDispatchError(res, error);
+        }
+        if (error instanceof orders.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error picking up order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to pick up order'
+        });
+    }
+});
+
+// Hand the order over (Rider) - JSON or multipart/form-data with
+// recipientName and/or a "photo" file as proof of delivery
+app.post('/api/riders/me/deliveries/:orderId/deliver', auth.requireRider, deliveryPhotoUpload, validate(schemas.riders.deliver), async (req, res) => {
+    try {
+        const { delivery, order } = await dispatch.completeDelivery(req.rider, req.params.orderId, {
+            recipientName: req.body.recipientName,
+            photo: req.files && req.files[0]
+        });
+        
+        res.json({
+            success: true,
+            message: 'Order delivered',
+            data: { delivery, order }
+        });
+    } catch (error) {
+        if (error instanceof dispatch.DispatchError) {
+            return sendDispatchError(res, error);
+        }
+        if (error instanceof images.ImageError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        if (error instanceof orders.OrderTransitionError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error completing delivery:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to complete delivery'
+        });
+    }
+});
+
+// List riders with their open delivery counts (Admin) - ?page|cursor, limit, available, active, q
+app.get('/api/riders', anyAdmin, validate(schemas.riders.list), async (req, res) => {
+    try {
+        const pagination = listing.parsePagination(req.query);
+        
+        const filters = listing.createFilters();
+        if (req.query.available !== undefined) {
+            filters.add(`r.available = ${filters.param(req.query.available)}`);
+        }
+        if (req.query.active !== undefined) {
+            filters.add(`r.active = ${filters.param(req.query.active)}`);
+        }
+        if (req.query.q) {
+            const q = filters.param(`%${req.query.q}%`);
+            filters.add(`(r.name ILIKE ${q} OR r.phone ILIKE ${q})`);
+        }
+        
+        const where = filters.where();
+        const [result, count] = await Promise.all([
+            pool.query(
+                `SELECT r.*,
+                        (SELECT COUNT(*) FROM deliveries d
+                         WHERE d.rider_id = r.id AND d.status IN ('assigned', 'picked_up')) AS open_deliveries
+                 FROM riders r
+                 ${where}
+                 ORDER BY r.name ASC, r.id ASC
+                 LIMIT ${pagination.limit} OFFSET ${pagination.offset}`,
+                filters.params
+            ),
+            pool.query(`SELECT COUNT(*) FROM riders r ${where}`, filters.params)
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows.map(row => ({
+                ...riders.publicRider(row),
+                openDeliveries: parseInt(row.open_deliveries)
+            })),
+            pagination: listing.pageInfo(pagination, parseInt(count.rows[0].count), result.rows.length)
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return sendValidationError(res, error);
+        }
+        console.error('Error fetching riders:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch riders'
+        });
+    }
+});
+
+// Dispatch board: every active rider with their open deliveries (Admin)
+app.get('/api/riders/deliveries', anyAdmin, async (req, res) => {
+    try {
+        const [result, deliveries] = await Promise.all([
+            pool.query(
+                `SELECT * FROM riders
+                 WHERE active = true
+                 ORDER BY available DESC, name ASC, id ASC`
+            ),
+            dispatch.activeDeliveries()
+        ]);
+        
+        res.json({
+            success: true,
+            data: result.rows.map(rider => ({
+                ...riders.publicRider(rider),
+                deliveries: deliveries.filter(d => d.riderId === rider.id)
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching dispatch board:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch deliveries'
+        });
+    }
+});
+
+// Create a rider (Staff)
+app.post('/api/riders', staffOnly, validate(schemas.riders.create), async (req, res) => {
+    try {
+        const { name, phone, password, vehicle } = req.body;
+        
         const result = await pool.query(
-            'DELETE FROM products WHERE id = $1 RETURNING *',
-            [id]
+            `INSERT INTO riders (id, name, phone, password_hash, vehicle)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (phone) DO NOTHING
+             RETURNING *`,
+            [uuidv4(), name, phone, await auth.hashPassword(password), vehicle]
         );
         
         if (result.rows.length === 0) {
-            return res.status(404).json({ 
+            return res.status(409).json({
                 success: false,
-                error: 'Product not found' 
+                error: 'A rider with that phone number already exists'
             });
         }
         
-        res.json({ 
-            success: true, 
-            message: 'Product deleted successfully' 
+        res.status(201).json({
+            success: true,
+            message: 'Rider created successfully',
+            data: riders.publicRider(result.rows[0])
         });
     } catch (error) {
-        console.error('Error deleting product:', error);
-        res.status(500).json({ 
+        console.error('Error creating rider:', error);
+        res.status(500).json({
             success: false,
-            error: 'Failed to delete product' 
+            error: 'Failed to create rider'
+        });
+    }
+});
+
+// Rider profile with open deliveries (Admin)
+app.get('/api/riders/:id', anyAdmin, validate(schemas.riders.get), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM riders WHERE id = $1', [req.params.id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Rider not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                ...riders.publicRider(result.rows[0]),
+                deliveries: await dispatch.activeDeliveries(req.params.id)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching rider:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch rider'
+        });
+    }
+});
+
+// Update rider details, status or password (Staff)
+app.patch('/api/riders/:id', staffOnly, validate(schemas.riders.update, { partial: true }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, phone, password, vehicle, active } = req.body;
+        
+        // Reassign a rider's orders before disabling them
+        if (active === false) {
+            const open = await dispatch.activeDeliveries(id);
+            if (open.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Rider still has open deliveries',
+                    code: 'RIDER_HAS_DELIVERIES'
+                });
+            }
+        }
+        
+        const passwordHash = password ? await auth.hashPassword(password) : null;
+        
+        const result = await pool.query(
+            `UPDATE riders
+             SET name = COALESCE($1, name),
+                 phone = COALESCE($2, phone),
+                 vehicle = COALESCE($3, vehicle),
+                 active = COALESCE($4, active),
+                 available = CASE WHEN $4 = false THEN false ELSE available END,
+                 password_hash = COALESCE($5, password_hash),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $6
+             RETURNING *`,
+            [name || null, phone || null, vehicle || null, active === undefined ? null : active, passwordHash, id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Rider not found'
+            });
+        }
+        
+        // Disabling a rider or changing their password ends their sessions
+        if (active === false || password) {
+            await auth.revokeAllRefreshTokens(id, auth.SESSIONS.rider);
+        }
+        
+        res.json({
+            success: true,
+            message: 'Rider updated successfully',
+            data: riders.publicRider(result.rows[0])
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                error: 'A rider with that phone number already exists'
+            });
+        }
+        console.error('Error updating rider:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update rider'
+        });
+    }
+});
+
+// Assign an order to a rider (Staff) - body: { riderId? }; without riderId
+// the nearest available rider gets it. Reassigns an order not yet picked up.
+app.post('/api/orders/:id/assign', staffOnly, validate(schemas.riders.assign), async (req, res) => {
+    try {
+        const { delivery, rider } = await dispatch.assignOrder(req.params.id, {
+            riderId: req.body.riderId || null,
+            assignedBy: req.admin.id
+        });
+        
+        res.json({
+            success: true,
+            message: `Order assigned to ${rider.name}`,
+            data: {
+                delivery,
+                rider: riders.publicRider(rider)
+            }
+        });
+    } catch (error) {
+        if (error instanceof dispatch.DispatchError) {
+            return sendDispatchError(res, error);
+        }
+        console.error('Error assigning order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to assign order'
+        });
+    }
+});
+
+// Take an order off its rider before pickup (Staff)
+app.delete('/api/orders/:id/assign', staffOnly, validate(schemas.riders.unassign), async (req, res) => {
+    try {
+        const delivery = await dispatch.unassignOrder(req.params.id);
+        
+        res.json({
+            success: true,
+            message: 'Rider unassigned',
+            data: delivery
+        });
+    } catch (error) {
+        if (error instanceof dispatch.DispatchError) {
+            return sendDispatchError(res, error);
+        }
+        console.error('Error unassigning order:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unassign order'
+        });
+    }
+});
+
+// ============ LIVE EVENT ROUTES ============
+// Server-Sent Events streams of order-created, payment-verified and
+// status-changed events, delivered through Postgres LISTEN/NOTIFY so every
+// server instance sees every change. Clients should refetch what they show
+// when they get a "resync" event or reconnect.
+
+function streamFailed(res, error) {
+    console.error('Error opening event stream:', error);
+    res.status(503).json({
+        success: false,
+        error: 'Live updates are unavailable right now'
+    });
+}
+
+// All orders (Admin) - ?types=a,b; EventSource clients may pass ?accessToken=
+app.get('/api/events/orders', auth.acceptQueryToken, anyAdmin, validate(schemas.events.orders), async (req, res) => {
+    const types = listing.parseList(req.query.types) || events.EVENT_TYPES;
+    const unknown = types.filter(type => !events.EVENT_TYPES.includes(type));
+    
+    if (unknown.length > 0) {
+        return sendValidationError(res, new ValidationError([
+            { field: 'types', code: 'invalid_enum', message: `types must be among: ${events.EVENT_TYPES.join(', ')}` }
+        ]));
+    }
+    
+    try {
+        await events.openStream(req, res, event => types.includes(event.type) || event.type === 'resync');
+    } catch (error) {
+        streamFailed(res, error);
+    }
+});
+
+// One order (Public) - by tracking token or phone number, like /track. The
+// stream starts with a "snapshot" event holding the tracking view.
+app.get('/api/orders/:id/events', trackingLimiter, validate(schemas.events.order), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { token, phone } = req.query;
+        
+        if (!token && !phone) {
+            return sendValidationError(res, new ValidationError([
+                { field: 'token', code: 'required', message: 'A tracking token or phone number is required' }
+            ]));
+        }
+        
+        const result = await pool.query('SELECT * FROM orders WHERE id = $1', [id]);
+        const order = result.rows[0];
+        
+        if (!tracking.canTrack(order, { token, phone })) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+        
+        // Read once the stream is subscribed, so a change in between
+        // arrives as an event instead of being missed
+        const snapshot = async () => {
+            const current = await pool.query('SELECT * FROM orders WHERE id = $1', [id]);
+            return {
+                type: 'snapshot',
+                order: tracking.trackingView(current.rows[0], await orders.getTimeline(pool, id)),
+                at: new Date().toISOString()
+            };
+        };
+        
+        await events.openStream(req, res, event => event.orderId === id || event.type === 'resync', snapshot);
+    } catch (error) {
+        streamFailed(res, error);
+    }
+});
+
+// ============ EXPORT ROUTES ============
+// CSV downloads for the accountant and printable manifests for riders, all
+// streamed from the database. ?from=YYYY-MM-DD&to=YYYY-MM-DD&timezone=&status=a,b
+
+function exportFailed(res, error, label) {
+    if (error instanceof ValidationError) {
+        return sendValidationError(res, error);
+    }
+    console.error(`Error exporting ${label}:`, error);
+    // Part of the file has gone out already; cut the download off so it is
+    // not mistaken for a complete export
+    if (res.headersSent) {
+        return res.destroy();
+    }
+    res.status(500).json({
+        success: false,
+        error: `Failed to export ${label}`
+    });
+}
+
+// Orders as CSV (Admin)
+app.get('/api/exports/orders.csv', anyAdmin, validate(schemas.exports.orders), async (req, res) => {
+    try {
+        const options = dataExports.parseOptions(req.query);
+        await dataExports.send(res, dataExports.ordersCsv, options, {
+            contentType: 'text/csv; charset=utf-8',
+            filename: dataExports.fileName('orders', options, 'csv')
+        });
+    } catch (error) {
+        exportFailed(res, error, 'orders');
+    }
+});
+
+// Payments as CSV (Admin) - ?status= takes payment statuses
+app.get('/api/exports/payments.csv', anyAdmin, validate(schemas.exports.payments), async (req, res) => {
+    try {
+        const options = dataExports.parseOptions(req.query, dataExports.PAYMENT_STATUSES);
+        await dataExports.send(res, dataExports.paymentsCsv, options, {
+            contentType: 'text/csv; charset=utf-8',
+            filename: dataExports.fileName('payments', options, 'csv')
+        });
+    } catch (error) {
+        exportFailed(res, error, 'payments');
+    }
+});
+
+// Daily sales summary as CSV (Admin) - paid orders unless ?status= is given
+app.get('/api/exports/sales.csv', anyAdmin, validate(schemas.exports.sales), async (req, res) => {
+    try {
+        const options = dataExports.parseOptions(req.query);
+        await dataExports.send(res, dataExports.salesCsv, options, {
+            contentType: 'text/csv; charset=utf-8',
+            filename: dataExports.fileName('daily-sales', options, 'csv')
+        });
+    } catch (error) {
+        exportFailed(res, error, 'sales');
+    }
+});
+
+// Printable delivery manifest grouped by delivery area (Admin) - one day by
+// default, orders that are paid, preparing or out for delivery unless ?status=
+app.get('/api/exports/manifest.html', anyAdmin, validate(schemas.exports.manifest), async (req, res) => {
+    try {
+        const options = dataExports.parseManifestOptions(req.query);
+        await dataExports.send(res, dataExports.manifestHtml, options, {
+            contentType: 'text/html; charset=utf-8',
+            filename: dataExports.fileName('manifest', options, 'html'),
+            inline: !req.query.download
         });
+    } catch (error) {
+        exportFailed(res, error, 'manifest');
     }
 });
 
@@ -614,18 +4343,24 @@ app.get('/api/health', (req, res) => {
             'GET /api/products',
             'POST /api/orders',
             'GET /api/orders',
+            'GET /api/orders/:id/track',
             'POST /api/payments/create',
             'POST /api/payments/verify/:orderId',
+            'POST /api/payments/callback',
             'GET /api/dashboard/stats',
             'POST /api/products',
             'PUT /api/products/:id',
-            'DELETE /api/products/:id'
+            'PATCH /api/products/:id',
+            'DELETE /api/products/:id',
+            'POST /api/delivery/quote',
+            'POST /api/auth/login',
+            'POST /api/auth/refresh'
         ]
     });
 });
 
-// 13. Test endpoint
-app.post('/api/test/products', async (req, res) => {
+// 13. Test endpoint (Owner)
+app.post('/api/test/products', ownerOnly, async (req, res) => {
     try {
         await addSampleProducts();
         res.json({
@@ -665,6 +4400,14 @@ app.use('*', (req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
+    // Body that express.json() could not parse
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            success: false,
+            error: 'Request body is not valid JSON',
+            code: 'INVALID_JSON'
+        });
+    }
     console.error('Server error:', err);
     res.status(500).json({
         success: false,
@@ -672,12 +4415,118 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`🌐 API Base URL: https://main-kuku-yetu.onrender.com`);
-    console.log(`📊 Health check: /api/health`);
-    console.log(`🛍️  Products: /api/products`);
-    console.log(`💳 Orders: /api/orders`);
-    console.log(`💰 Payments: /api/payments`);
-});
+// Background work, run by the job scheduler (see lib/jobs.js) so each job
+// runs on one instance at a time
+function defineBackgroundJobs() {
+    // Return stock held by unpaid orders whose reservation has expired
+    jobs.defineJob('release-expired-reservations', {
+        everySeconds: 60,
+        run: async () => {
+            const released = await inventory.releaseExpiredReservations();
+            if (released > 0) {
+                console.log(`📦 Released stock for ${released} expired reservation(s)`);
+            }
+            return { released };
+        }
+    });
+
+    // Send queued SMS and email notifications
+    jobs.defineJob('send-notifications', {
+        everySeconds: 15,
+        run: async () => {
+            await notifications.requeueStale();
+            const { sent, failed } = await notifications.processQueue();
+            if (sent > 0 || failed > 0) {
+                console.log(`📨 Notifications sent: ${sent}, failed: ${failed}`);
+            }
+            return { sent, failed };
+        }
+    });
+
+    // Settle payments whose callback never arrived
+    jobs.defineJob('requery-stale-payments', {
+        everySeconds: 2 * 60,
+        run: () => payments.requeryStalePayments()
+    });
+
+    jobs.defineJob('send-payment-reminders', {
+        everySeconds: 5 * 60,
+        run: async () => ({ reminded: await payments.sendPaymentReminders() })
+    });
+
+    // Cancel orders that were never paid
+    jobs.defineJob('expire-unpaid-orders', {
+        everySeconds: 5 * 60,
+        run: async () => {
+            const result = await payments.expireUnpaidOrders();
+            if (result.expired > 0) {
+                console.log(`⌛ Expired ${result.expired} unpaid order(s), ${result.refunded} of them paid late and awaiting a refund`);
+            }
+            return result;
+        }
+    });
+
+    // Take expired stock batches off the shelf
+    jobs.defineJob('expire-stock-batches', {
+        everySeconds: 60 * 60,
+        run: async () => {
+            const expired = await batches.expireBatches();
+            if (expired > 0) {
+                console.log(`🥚 ${expired} stock batch(es) expired`);
+            }
+            return { expired };
+        }
+    });
+
+    // Place the orders subscriptions have coming up
+    jobs.defineJob('generate-subscription-orders', {
+        everySeconds: 15 * 60,
+        run: async () => {
+            const result = await subscriptions.generateDueOrders();
+            if (result.generated > 0 || result.failed > 0) {
+                console.log(`🔁 Subscription orders placed: ${result.generated}, failed: ${result.failed}`);
+            }
+            return result;
+        }
+    });
+
+    // Forget stored responses past their retention window
+    jobs.defineJob('delete-expired-idempotency-keys', {
+        everySeconds: 60 * 60,
+        run: async () => ({ deleted: await idempotency.deleteExpired() })
+    });
+
+    jobs.defineJob('delete-old-job-runs', {
+        everySeconds: 24 * 60 * 60,
+        run: async () => ({ deleted: await jobs.deleteOldRuns() })
+    });
+}
+
+// Start server once the schema is current
+async function startServer() {
+    try {
+        const pending = await migrations.pendingMigrations();
+        if (pending.length > 0) {
+            console.error(`❌ ${pending.length} pending migration(s): ${pending.join(', ')}`);
+            console.error('   Run "npm run migrate" before starting the server.');
+            process.exit(1);
+        }
+        await seedDatabase();
+        defineBackgroundJobs();
+        await jobs.start();
+    } catch (error) {
+        console.error('❌ Database is not ready:', error);
+        process.exit(1);
+    }
+    
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`🌐 API Base URL: https://main-kuku-yetu.onrender.com`);
+        console.log(`📊 Health check: /api/health`);
+        console.log(`🛍️  Products: /api/products`);
+        console.log(`💳 Orders: /api/orders`);
+        console.log(`💰 Payments: /api/payments`);
+    });
+}
+
+startServer();